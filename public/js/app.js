@@ -44,51 +44,102 @@ document.addEventListener('DOMContentLoaded', () => {
     `;
   }
 
+  // Fetch the chart resolutions from the server and use them for the timeframe selector
+  function fetchChartResolutions() {
+    return fetch('/api/resolutions')
+      .then(response => response.json())
+      .then(({ chartResolutions }) => {
+        resolutionSelect.innerHTML = chartResolutions
+          .map(resolution => `<option value="${resolution.code}">${resolution.label}</option>`)
+          .join('');
+        resolutionSelect.value = currentResolution;
+        return chartResolutions;
+      })
+      .catch(error => {
+        console.error('Error loading resolutions, keeping the current timeframe only:', error);
+        return [{ code: currentResolution, ms: 0 }];
+      });
+  }
+
+  // Fetch the symbols from the server registry and use them for the symbol selector
+  function fetchSymbols() {
+    return fetch('/api/symbols')
+      .then(response => response.json())
+      .then(symbols => {
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+          throw new Error('No symbols configured');
+        }
+
+        symbolSelect.innerHTML = symbols
+          .map(symbol => `<option value="${symbol.symbol}">${symbol.description}</option>`)
+          .join('');
+
+        if (!symbols.some(symbol => symbol.symbol === currentSymbol)) {
+          currentSymbol = symbols[0].symbol;
+        }
+        symbolSelect.value = currentSymbol;
+        return symbols;
+      })
+      .catch(error => {
+        console.error('Error loading symbols, keeping the current symbol only:', error);
+        return [];
+      });
+  }
+
   // Custom datafeed implementation that uses our direct API endpoints
   class InfluxDBDatafeed {
     constructor() {
       this.symbolsInfo = {};
-      this.resolutionToSeconds = {
-        '1': 60,
-        '5': 300,
-        '15': 900,
-        '30': 1800,
-        '60': 3600,
-        '120': 7200,
-        '240': 14400,
-        '360': 21600,
-        '720': 43200,
-        'D': 86400
-      };
+      this.subscriptions = {};
+      this.resolutionToSeconds = {};
+      this.supportedResolutions = [];
+      this.resolutionsPromise = null;
+    }
+
+    // Load the chart resolutions from the server registry (once)
+    loadResolutions() {
+      if (!this.resolutionsPromise) {
+        this.resolutionsPromise = fetchChartResolutions().then(chartResolutions => {
+          this.supportedResolutions = chartResolutions.map(resolution => resolution.code);
+          chartResolutions.forEach(resolution => {
+            this.resolutionToSeconds[resolution.code] = resolution.ms / 1000;
+          });
+          return this.supportedResolutions;
+        });
+      }
+
+      return this.resolutionsPromise;
     }
 
     // Required method: Called when the chart is initialized
     onReady(callback) {
       console.log('Datafeed onReady');
       
-      // Define the supported resolutions
-      const configurationData = {
-        supported_resolutions: ['1', '5', '15', '30', '60', '120', '240', '360', '720', 'D'],
-        supports_marks: false,
-        supports_timescale_marks: false,
-        supports_time: true,
-        exchanges: [
-          {
-            value: 'InfluxDB',
-            name: 'InfluxDB',
-            desc: 'InfluxDB'
-          }
-        ],
-        symbols_types: [
-          {
-            name: 'crypto',
-            value: 'crypto'
-          }
-        ]
-      };
-      
-      // Call the callback with the configuration data
-      setTimeout(() => callback(configurationData), 0);
+      // The supported resolutions come from the server registry
+      this.loadResolutions().then(supportedResolutions => {
+        const configurationData = {
+          supported_resolutions: supportedResolutions,
+          supports_marks: false,
+          supports_timescale_marks: false,
+          supports_time: true,
+          exchanges: [
+            {
+              value: 'InfluxDB',
+              name: 'InfluxDB',
+              desc: 'InfluxDB'
+            }
+          ],
+          symbols_types: [
+            {
+              name: 'crypto',
+              value: 'crypto'
+            }
+          ]
+        };
+        
+        // Call the callback with the configuration data
+        callback(configurationData);
+      });
     }
 
     // Required method: Search for symbols
@@ -137,9 +188,8 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       // Fetch symbols from our API
-      fetch('/api/symbols')
-        .then(response => response.json())
-        .then(symbols => {
+      Promise.all([fetch('/api/symbols').then(response => response.json()), this.loadResolutions()])
+        .then(([symbols, supportedResolutions]) => {
           // Find the requested symbol
           const symbolInfo = symbols.find(s => s.symbol === symbolName);
           
@@ -154,16 +204,19 @@ document.addEventListener('DOMContentLoaded', () => {
             ticker: symbolInfo.symbol,
             description: symbolInfo.description,
             type: symbolInfo.type,
-            session: '24x7',
-            timezone: 'America/Sao_Paulo',
+            session: symbolInfo.session,
+            timezone: symbolInfo.timezone,
             exchange: symbolInfo.exchange,
-            minmov: 1,
-            pricescale: 100,
+            currency_code: symbolInfo.quoteCurrency,
+            minmov: symbolInfo.minmov,
+            pricescale: symbolInfo.pricescale,
             has_intraday: true,
             has_daily: true,
-            has_weekly_and_monthly: false,
-            supported_resolutions: ['1', '5', '15', '30', '60', '120', '240', '360', '720', 'D'],
-            volume_precision: 8,
+            has_weekly_and_monthly: true,
+            weekly_multipliers: ['1'],
+            monthly_multipliers: ['1'],
+            supported_resolutions: supportedResolutions,
+            volume_precision: symbolInfo.volumePrecision,
             data_status: 'streaming'
           };
           
@@ -231,12 +284,26 @@ document.addEventListener('DOMContentLoaded', () => {
         url.searchParams.append('start', fromDate);
         url.searchParams.append('end', toDate);
         
+        // Ask the server for at least countBack bars ending at `to`
+        if (countBack) {
+          url.searchParams.append('countBack', countBack);
+        }
+        
         console.log('Request URL:', url.toString());
         
+        let nextTime = null;
+        
         // Fetch OHLC data from our API
         fetch(url.toString())
           .then(response => {
             console.log('Response status:', response.status);
+            
+            // Set when the range is empty but older data exists
+            const nextTimeHeader = response.headers.get('X-Next-Time');
+            if (nextTimeHeader) {
+              nextTime = parseInt(nextTimeHeader, 10);
+            }
+            
             return response.json();
           })
           .then(data => {
@@ -249,8 +316,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Check if we got any data
             if (!data || data.length === 0) {
-              console.log('No data for the requested period');
-              onHistoryCallback([], { noData: true });
+              console.log('No data for the requested period', nextTime ? `(next bar at ${new Date(nextTime).toISOString()})` : '(no earlier data)');
+              onHistoryCallback([], nextTime ? { noData: true, nextTime } : { noData: true });
               return;
             }
             
@@ -277,18 +344,63 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
-    // Optional method: Subscribe to real-time updates (not used in this implementation)
+    // Optional method: Subscribe to real-time updates streamed by the server
     subscribeBars(symbolInfo, resolution, onRealtimeCallback, subscriberUID, onResetCacheNeededCallback) {
       console.log('Datafeed subscribeBars:', symbolInfo.name, resolution, subscriberUID);
-      // We're not implementing real-time updates in this POC
-      return;
+      
+      // Close any previous stream registered with the same subscriber ID
+      this.unsubscribeBars(subscriberUID);
+      
+      const url = new URL('/api/stream/bars', window.location.origin);
+      url.searchParams.append('symbol', symbolInfo.name);
+      url.searchParams.append('resolution', resolution);
+      
+      const source = new EventSource(url.toString());
+      const subscription = { source, disconnected: false };
+      this.subscriptions[subscriberUID] = subscription;
+      
+      source.addEventListener('bar', event => {
+        try {
+          const bar = JSON.parse(event.data);
+          onRealtimeCallback({
+            time: bar.time,
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume || 0
+          });
+        } catch (error) {
+          console.error('Error processing streamed bar:', error);
+        }
+      });
+      
+      source.addEventListener('open', () => {
+        // Bars may have been missed while we were disconnected, so ask the chart to reload history
+        if (subscription.disconnected) {
+          console.log('Bar stream reconnected, resetting cache:', subscriberUID);
+          subscription.disconnected = false;
+          onResetCacheNeededCallback();
+        }
+      });
+      
+      source.addEventListener('error', () => {
+        // EventSource reconnects automatically; remember the gap so we can reset on reconnect
+        console.warn('Bar stream disconnected:', subscriberUID);
+        subscription.disconnected = true;
+      });
     }
 
-    // Optional method: Unsubscribe from real-time updates (not used in this implementation)
+    // Optional method: Unsubscribe from real-time updates
     unsubscribeBars(subscriberUID) {
+      const subscription = this.subscriptions[subscriberUID];
+      if (!subscription) {
+        return;
+      }
+      
       console.log('Datafeed unsubscribeBars:', subscriberUID);
-      // We're not implementing real-time updates in this POC
-      return;
+      subscription.source.close();
+      delete this.subscriptions[subscriberUID];
     }
 
     // Optional method: Get server time
@@ -710,6 +822,6 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Initialize the widget on page load
-  initTradingViewWidget();
+  // Initialize the widget on page load, once the symbol selector is filled
+  fetchSymbols().then(() => initTradingViewWidget());
 });
@@ -0,0 +1,60 @@
+/**
+ * Downsampling settings.
+ *
+ * DOWNSAMPLING_ENGINE selects what builds the `trade_ohlc_<resolution>`
+ * candles:
+ *
+ * - `influx` (default): the InfluxDB tasks created by setupDownsamplingTasks.js
+ * - `node`: the DownsamplingEngine in src/services/downsamplingEngine.js, run
+ *   inside the API server (unless DOWNSAMPLING_IN_PROCESS=false) or by
+ *   src/scripts/runDownsamplingEngine.js
+ *
+ * Only one of them should write candles, so the InfluxDB tasks have to be
+ * deleted when switching to the Node engine.
+ */
+
+const ENGINES = ['influx', 'node'];
+
+const DOWNSAMPLING_ENGINE = (() => {
+  const engine = (process.env.DOWNSAMPLING_ENGINE || 'influx').trim().toLowerCase();
+
+  if (!ENGINES.includes(engine)) {
+    console.log(`Invalid DOWNSAMPLING_ENGINE "${process.env.DOWNSAMPLING_ENGINE}", using the InfluxDB tasks`);
+    return 'influx';
+  }
+
+  return engine;
+})();
+
+// Whether the API server runs the Node engine itself
+const DOWNSAMPLING_IN_PROCESS = DOWNSAMPLING_ENGINE === 'node' && process.env.DOWNSAMPLING_IN_PROCESS !== 'false';
+
+// Pause between two engine runs, like the tasks' `every`
+const DOWNSAMPLING_INTERVAL_MS = (() => {
+  const interval = parseInt(process.env.DOWNSAMPLING_INTERVAL_MS || '60000', 10);
+  return Number.isInteger(interval) && interval > 0 ? interval : 60000;
+})();
+
+// How long a task run holds its lease. A run still marked as running after
+// that is taken to have crashed and its lease is reclaimed by the next run,
+// so this must be longer than the slowest run.
+const DOWNSAMPLING_LEASE_MS = (() => {
+  const lease = parseInt(process.env.DOWNSAMPLING_LEASE_MS || '900000', 10);
+  return Number.isInteger(lease) && lease > 0 ? lease : 900000;
+})();
+
+// How long one downsampling chunk should take. Chunk sizes are chosen from
+// the trade density and the previous chunks to match it (see chunkSizer.js).
+const DOWNSAMPLING_TARGET_RUN_MS = (() => {
+  const target = parseInt(process.env.DOWNSAMPLING_TARGET_RUN_MS || '30000', 10);
+  return Number.isInteger(target) && target > 0 ? target : 30000;
+})();
+
+module.exports = {
+  ENGINES,
+  DOWNSAMPLING_ENGINE,
+  DOWNSAMPLING_IN_PROCESS,
+  DOWNSAMPLING_INTERVAL_MS,
+  DOWNSAMPLING_LEASE_MS,
+  DOWNSAMPLING_TARGET_RUN_MS
+};
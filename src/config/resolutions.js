@@ -0,0 +1,427 @@
+/**
+ * Resolution registry.
+ *
+ * Single source of truth for the resolutions the system downsamples to and
+ * the chart resolutions it offers. It is used by the API controllers, the
+ * downsampling task setup, the maintenance scripts and (through
+ * GET /api/resolutions) the frontend datafeed.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Day weekly candles start on, set with WEEK_START. Weeks start when the
+ * symbol's session opens on that day in its timezone. Changing it only
+ * affects candles downsampled afterwards, so the 1w data has to be rebuilt.
+ */
+const WEEK_START = (() => {
+  const day = (process.env.WEEK_START || 'monday').trim().toLowerCase();
+  const index = WEEKDAYS.indexOf(day);
+
+  if (index === -1) {
+    console.log(`Invalid WEEK_START "${process.env.WEEK_START}", weeks will start on Monday`);
+    return 'monday';
+  }
+
+  return day;
+})();
+
+// The Unix epoch was a Thursday, so unshifted weekly windows start on Thursdays
+const WEEK_OFFSET_DAYS = (WEEKDAYS.indexOf(WEEK_START) - WEEKDAYS.indexOf('thursday') + 7) % 7;
+
+/**
+ * Resolutions with a pre-aggregated `trade_ohlc_<name>` measurement.
+ *
+ * - name: resolution name, also used in measurement and task names
+ * - ms: duration in milliseconds (months are approximated as 30 days)
+ * - flux: Flux duration literal used to window the data
+ * - offset: Flux offset of the windows from the Unix epoch, if any
+ * - tradingView: TradingView resolution code with the same duration
+ * - every: how often the downsampling task runs
+ * - chunkDays: days of data a task processes per run until the chunk sizer
+ *   has sized its chunks (see src/services/chunkSizer.js)
+ * - fallback: next larger resolution to query if a query on this one fails
+ * - source: finer resolution the candles are aggregated from, or null to
+ *   aggregate raw trades. Its windows must nest in this resolution's. Daily
+ *   candles come from 15m so sessions and timezone offsets in quarter hours
+ *   still line up.
+ */
+const RESOLUTIONS = [
+  { name: '1s', ms: 1000, flux: '1s', tradingView: '1S', every: '1m', chunkDays: 0.5, fallback: '1m', source: null },
+  { name: '1m', ms: MINUTE, flux: '1m', tradingView: '1', every: '1m', chunkDays: 1, fallback: '15m', source: null },
+  { name: '5m', ms: 5 * MINUTE, flux: '5m', tradingView: '5', every: '1m', chunkDays: 3, fallback: '1h', source: '1m' },
+  { name: '15m', ms: 15 * MINUTE, flux: '15m', tradingView: '15', every: '1m', chunkDays: 7, fallback: '4h', source: '5m' },
+  { name: '45m', ms: 45 * MINUTE, flux: '45m', tradingView: '45', every: '1m', chunkDays: 10, fallback: '3h', source: '15m' },
+  { name: '1h', ms: HOUR, flux: '1h', tradingView: '60', every: '1m', chunkDays: 14, fallback: '1d', source: '15m' },
+  { name: '3h', ms: 3 * HOUR, flux: '3h', tradingView: '180', every: '1m', chunkDays: 20, fallback: '1d', source: '1h' },
+  { name: '4h', ms: 4 * HOUR, flux: '4h', tradingView: '240', every: '1m', chunkDays: 30, fallback: '1d', source: '1h' },
+  { name: '1d', ms: DAY, flux: '1d', tradingView: '1D', every: '1m', chunkDays: 90, fallback: null, source: '15m' },
+  { name: '1w', ms: WEEK, flux: '1w', offset: `${WEEK_OFFSET_DAYS}d`, tradingView: '1W', every: '1m', chunkDays: 180, fallback: null, source: '1d' },
+  { name: '1M', ms: 30 * DAY, flux: '1mo', tradingView: '1M', every: '1m', chunkDays: 365, fallback: null, source: '1d' }
+];
+
+// Sources must come earlier in the list, so processing the resolutions in
+// order never aggregates a source before it is built
+RESOLUTIONS.forEach((resolution, index) => {
+  if (!resolution.source) return;
+
+  const source = RESOLUTIONS.slice(0, index).find(entry => entry.name === resolution.source);
+  if (!source) {
+    throw new Error(`Resolution ${resolution.name} must be listed after its source ${resolution.source}`);
+  }
+  if (resolution.ms % source.ms !== 0) {
+    throw new Error(`Resolution ${resolution.name} is not a multiple of its source ${resolution.source}`);
+  }
+});
+
+/**
+ * Resolutions offered by the chart, with the downsampled resolution each one
+ * is served from. Resolutions without their own measurement are served from
+ * a finer one (e.g. 30 minutes from 15m data).
+ */
+const CHART_RESOLUTIONS = [
+  { code: '1', label: '1 Minute', ms: MINUTE, source: '1m' },
+  { code: '5', label: '5 Minutes', ms: 5 * MINUTE, source: '5m' },
+  { code: '15', label: '15 Minutes', ms: 15 * MINUTE, source: '15m' },
+  { code: '30', label: '30 Minutes', ms: 30 * MINUTE, source: '15m' },
+  { code: '60', label: '1 Hour', ms: HOUR, source: '1h' },
+  { code: '120', label: '2 Hours', ms: 2 * HOUR, source: '1h' },
+  { code: '240', label: '4 Hours', ms: 4 * HOUR, source: '4h' },
+  { code: '360', label: '6 Hours', ms: 6 * HOUR, source: '4h' },
+  { code: '720', label: '12 Hours', ms: 12 * HOUR, source: '4h' },
+  { code: 'D', label: '1 Day', ms: DAY, source: '1d' },
+  { code: 'W', label: '1 Week', ms: WEEK, source: '1w' },
+  { code: 'M', label: '1 Month', ms: 30 * DAY, source: '1M' }
+];
+
+/**
+ * Coarser resolutions forced for long date ranges to keep queries fast.
+ * Checked in order; the first matching rule wins.
+ */
+const RANGE_LIMITS = [
+  { minDays: 365, resolutions: ['1s', '1m', '5m', '15m', '45m', '1h', '3h', '4h'], use: '1d' },
+  { minDays: 90, resolutions: ['1s', '1m', '5m'], use: '1h' },
+  { minDays: 30, resolutions: ['1s', '1m'], use: '15m' }
+];
+
+// Used when a requested resolution cannot be mapped
+const DEFAULT_RESOLUTION = '5m';
+
+const byName = new Map(RESOLUTIONS.map(resolution => [resolution.name, resolution]));
+
+// TradingView accepts both 'D' and '1D' (and likewise for W and M)
+const normalizeChartCode = (code) => code.replace(/^1(?=[DWM]$)/, '');
+
+const findChartResolution = (requested) => {
+  const code = normalizeChartCode(requested);
+  return CHART_RESOLUTIONS.find(resolution => normalizeChartCode(resolution.code) === code);
+};
+
+/**
+ * Returns the registry entry for a downsampled resolution name, or undefined.
+ */
+function getResolution(name) {
+  return byName.get(name);
+}
+
+/**
+ * Converts a requested resolution to milliseconds. Accepts TradingView codes
+ * ('5', '60', 'D', '1W', '1M', '1S') as well as duration strings ('5m', '4h',
+ * '1d', '1mo'). Returns null if the resolution cannot be parsed.
+ */
+function toMilliseconds(requested) {
+  const value = String(requested).trim();
+
+  const chartResolution = findChartResolution(value);
+  if (chartResolution) {
+    return chartResolution.ms;
+  }
+
+  const resolution = byName.get(value);
+  if (resolution) {
+    return resolution.ms;
+  }
+
+  // TradingView codes: plain numbers are minutes, letters are larger units
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * MINUTE;
+  }
+
+  const tradingViewMatch = value.match(/^(\d*)([SDWM])$/);
+  if (tradingViewMatch) {
+    const count = parseInt(tradingViewMatch[1] || '1', 10);
+    const unitMs = { S: 1000, D: DAY, W: WEEK, M: 30 * DAY }[tradingViewMatch[2]];
+    return count * unitMs;
+  }
+
+  const durationMatch = value.toLowerCase().match(/^(\d+)(s|m|h|d|w|mo)$/);
+  if (durationMatch) {
+    const count = parseInt(durationMatch[1], 10);
+    const unitMs = { s: 1000, m: MINUTE, h: HOUR, d: DAY, w: WEEK, mo: 30 * DAY }[durationMatch[2]];
+    return count * unitMs;
+  }
+
+  return null;
+}
+
+/**
+ * Time after local midnight the first session of a TradingView session
+ * string opens, e.g. 9h30m for '0930-1600:23456'. 0 for '24x7'.
+ */
+function sessionStartMs(session) {
+  const match = /^(\d{2})(\d{2})-/.exec(session || '');
+  return match ? (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * MINUTE : 0;
+}
+
+const wallClockFormats = new Map();
+
+// Wall-clock time in `timezone` at `time`, in ms as if that clock were UTC
+const toWallClock = (time, timezone) => {
+  if (timezone === 'UTC') {
+    return time;
+  }
+
+  if (!wallClockFormats.has(timezone)) {
+    wallClockFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(wallClockFormats.get(timezone)
+    .formatToParts(new Date(time))
+    .map(part => [part.type, Number(part.value)]));
+  const seconds = Math.floor(time / 1000) * 1000;
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return time + (wallClock - seconds);
+};
+
+// Inverse of toWallClock. Wall-clock times repeated by a DST change resolve
+// to their first occurrence, skipped ones to the instant right after the change.
+const fromWallClock = (wallClock, timezone) => {
+  if (timezone === 'UTC') {
+    return wallClock;
+  }
+
+  // Offsets a day before and after cover any single DST change
+  const earlier = wallClock - (toWallClock(wallClock - DAY, timezone) - (wallClock - DAY));
+  const later = wallClock - (toWallClock(wallClock + DAY, timezone) - (wallClock + DAY));
+  const matches = [earlier, later].filter(time => toWallClock(time, timezone) === wallClock);
+
+  return matches.length > 0 ? Math.min(...matches) : earlier;
+};
+
+/**
+ * Returns the candle window of a requested resolution as
+ * `{ ms, offsetMs, months, timezone }`. Windows of whole weeks are shifted
+ * by `offsetMs` so they start on WEEK_START. Monthly windows (`months` > 0)
+ * follow calendar months, and their `ms` is only an approximation.
+ *
+ * Given a symbol's `{ timezone, session }`, windows of whole days, weeks and
+ * months start when its session opens in its timezone. Shorter windows are
+ * always aligned in UTC.
+ */
+function getWindow(requested, symbolSession = null) {
+  const value = String(requested).trim();
+
+  let window;
+  const monthMatch = value.match(/^(\d*)M$/) || value.match(/^(\d+)mo$/);
+  if (monthMatch) {
+    const months = parseInt(monthMatch[1] || '1', 10);
+    window = { ms: months * 30 * DAY, offsetMs: 0, months, timezone: 'UTC' };
+  } else {
+    const ms = toMilliseconds(value) || byName.get(DEFAULT_RESOLUTION).ms;
+    const offsetMs = ms % WEEK === 0 ? WEEK_OFFSET_DAYS * DAY : 0;
+    window = { ms, offsetMs, months: 0, timezone: 'UTC' };
+  }
+
+  if (!symbolSession || (!window.months && window.ms % DAY !== 0)) {
+    return window;
+  }
+
+  return {
+    ...window,
+    offsetMs: window.offsetMs + sessionStartMs(symbolSession.session),
+    timezone: symbolSession.timezone || 'UTC'
+  };
+}
+
+/**
+ * Returns the start of the window containing `time` (ms).
+ */
+function alignToWindow(time, window) {
+  const local = toWallClock(time, window.timezone || 'UTC') - window.offsetMs;
+
+  let start;
+  if (window.months) {
+    const date = new Date(local);
+    const month = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const startMonth = Math.floor(month / window.months) * window.months;
+    start = Date.UTC(Math.floor(startMonth / 12), startMonth % 12, 1);
+  } else {
+    start = Math.floor(local / window.ms) * window.ms;
+  }
+
+  return fromWallClock(start + window.offsetMs, window.timezone || 'UTC');
+}
+
+/**
+ * Moves a window boundary `count` windows forward (or backward if negative).
+ */
+function addWindows(time, window, count) {
+  const local = toWallClock(time, window.timezone || 'UTC') - window.offsetMs;
+
+  let next;
+  if (window.months) {
+    const date = new Date(local);
+    next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count * window.months, 1);
+  } else {
+    next = local + count * window.ms;
+  }
+
+  return fromWallClock(next + window.offsetMs, window.timezone || 'UTC');
+}
+
+/**
+ * Flux `every`, `offset` and `location` zone of a candle window, as Flux
+ * duration literals and an IANA zone name.
+ */
+function toFluxWindow(window) {
+  let every = `${Math.round(window.ms / 1000)}s`;
+  if (window.months) {
+    every = `${window.months}mo`;
+  } else if (window.ms % DAY === 0) {
+    // Day units so the windows follow the location's DST changes
+    every = `${window.ms / DAY}d`;
+  }
+
+  return {
+    every,
+    offset: `${Math.round(window.offsetMs / 1000)}s`,
+    location: window.timezone || 'UTC'
+  };
+}
+
+/**
+ * Maps a requested resolution to the downsampled resolution its candles are
+ * built from. Tries, in order: a chart resolution code, a registry name, a
+ * chart resolution with the same duration, and the largest registry
+ * resolution that evenly divides the requested duration. Falls back to 5m.
+ */
+function toDownsampledResolution(requested) {
+  const value = String(requested).trim();
+
+  const chartResolution = findChartResolution(value);
+  if (chartResolution) {
+    return chartResolution.source;
+  }
+
+  if (byName.has(value)) {
+    return value;
+  }
+
+  const ms = toMilliseconds(value);
+  if (ms) {
+    // Durations such as '2h' or '6h' map like their chart resolution
+    const sameDuration = CHART_RESOLUTIONS.find(resolution => resolution.ms === ms);
+    if (sameDuration) {
+      return sameDuration.source;
+    }
+
+    const candidates = RESOLUTIONS.filter(resolution => resolution.ms <= ms && ms % resolution.ms === 0);
+    if (candidates.length > 0) {
+      return candidates[candidates.length - 1].name;
+    }
+  }
+
+  console.log(`No direct mapping for resolution ${requested}, defaulting to ${DEFAULT_RESOLUTION}`);
+  return DEFAULT_RESOLUTION;
+}
+
+/**
+ * Returns the resolution to query for a date range, forcing a coarser one
+ * when the range is too long for the requested resolution.
+ */
+function selectResolutionForRange(name, rangeDays) {
+  const limit = RANGE_LIMITS.find(rule => rangeDays > rule.minDays && rule.resolutions.includes(name));
+  return limit ? limit.use : name;
+}
+
+/**
+ * Returns the chain of larger resolutions to try after `name`, in order.
+ */
+function getFallbackChain(name) {
+  const chain = [];
+  let resolution = byName.get(name);
+
+  while (resolution && resolution.fallback) {
+    chain.push(resolution.fallback);
+    resolution = byName.get(resolution.fallback);
+  }
+
+  return chain;
+}
+
+/**
+ * Returns the chain of sources `name` is aggregated from, finest last,
+ * e.g. ['15m', '5m', '1m'] for 1h.
+ */
+function getSourceChain(name) {
+  const chain = [];
+  let resolution = byName.get(name);
+
+  while (resolution && resolution.source) {
+    chain.push(resolution.source);
+    resolution = byName.get(resolution.source);
+  }
+
+  return chain;
+}
+
+/**
+ * Serializable view of the registry for the API.
+ */
+function describeResolutions() {
+  return {
+    resolutions: RESOLUTIONS.map(resolution => ({
+      ...resolution,
+      measurement: `trade_ohlc_${resolution.name}`,
+      fallbackChain: getFallbackChain(resolution.name),
+      sourceChain: getSourceChain(resolution.name)
+    })),
+    chartResolutions: CHART_RESOLUTIONS,
+    defaultResolution: DEFAULT_RESOLUTION,
+    weekStart: WEEK_START
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  CHART_RESOLUTIONS,
+  DEFAULT_RESOLUTION,
+  WEEK_START,
+  getResolution,
+  toMilliseconds,
+  sessionStartMs,
+  getWindow,
+  alignToWindow,
+  addWindows,
+  toFluxWindow,
+  toDownsampledResolution,
+  selectResolutionForRange,
+  getFallbackChain,
+  getSourceChain,
+  describeResolutions
+};
@@ -0,0 +1,117 @@
+const {
+  getDownsamplingTaskManager,
+  TaskManagementError,
+  DEFAULT_RUN_LIMIT
+} = require('../services/downsamplingTasks');
+
+// Send task management errors with their status, anything else as a 500
+const handleError = (res, error, action) => {
+  if (error instanceof TaskManagementError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ error: `Failed ${action}: ${error.message}` });
+};
+
+// List the downsampling tasks with their cursor, lease and last run
+const listTasks = async (req, res) => {
+  try {
+    return res.json(await getDownsamplingTaskManager().listTasks());
+  } catch (error) {
+    return handleError(res, error, 'listing downsampling tasks');
+  }
+};
+
+// Get the task of a resolution
+const getTask = async (req, res) => {
+  try {
+    return res.json(await getDownsamplingTaskManager().getTask(req.params.resolution));
+  } catch (error) {
+    return handleError(res, error, 'reading downsampling task');
+  }
+};
+
+// Create or update the tasks of all resolutions
+const setupTasks = async (req, res) => {
+  try {
+    const results = await getDownsamplingTaskManager().setupTasks();
+    const failed = results.filter(result => result.error);
+
+    return res.status(failed.length > 0 ? 500 : 200).json(results);
+  } catch (error) {
+    return handleError(res, error, 'setting up downsampling tasks');
+  }
+};
+
+// Create or update the task of a resolution
+const upsertTask = async (req, res) => {
+  try {
+    const { created, task } = await getDownsamplingTaskManager().upsertTask(req.params.resolution);
+    return res.status(created ? 201 : 200).json(task);
+  } catch (error) {
+    return handleError(res, error, 'creating/updating downsampling task');
+  }
+};
+
+// Stop the scheduled runs of a task
+const pauseTask = async (req, res) => {
+  try {
+    return res.json(await getDownsamplingTaskManager().setTaskStatus(req.params.resolution, 'inactive'));
+  } catch (error) {
+    return handleError(res, error, 'pausing downsampling task');
+  }
+};
+
+// Restart the scheduled runs of a task
+const resumeTask = async (req, res) => {
+  try {
+    return res.json(await getDownsamplingTaskManager().setTaskStatus(req.params.resolution, 'active'));
+  } catch (error) {
+    return handleError(res, error, 'resuming downsampling task');
+  }
+};
+
+// Run a task now. With force=true a lease left by a run that has stopped is
+// released first, so the run executes instead of being skipped
+const runTask = async (req, res) => {
+  try {
+    const force = req.query.force === 'true' || (req.body && req.body.force === true);
+    const run = await getDownsamplingTaskManager().runTask(req.params.resolution, { force });
+
+    return res.status(202).json(run);
+  } catch (error) {
+    return handleError(res, error, 'running downsampling task');
+  }
+};
+
+// Release the lease of a task, e.g. one a crashed run left behind
+const unlockTask = async (req, res) => {
+  try {
+    return res.json(await getDownsamplingTaskManager().unlockTask(req.params.resolution));
+  } catch (error) {
+    return handleError(res, error, 'unlocking downsampling task');
+  }
+};
+
+// Get the latest runs of a task with their logs
+const getTaskRuns = async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_RUN_LIMIT;
+    return res.json(await getDownsamplingTaskManager().getRuns(req.params.resolution, limit));
+  } catch (error) {
+    return handleError(res, error, 'reading downsampling task runs');
+  }
+};
+
+module.exports = {
+  listTasks,
+  getTask,
+  setupTasks,
+  upsertTask,
+  pauseTask,
+  resumeTask,
+  runTask,
+  unlockTask,
+  getTaskRuns
+};
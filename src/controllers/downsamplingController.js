@@ -0,0 +1,130 @@
+const { parseTimeRange, FluxQueryError } = require('../services/fluxQueryBuilder');
+const { getCandleRebuilder, RebuildError } = require('../services/candleRebuilder');
+const {
+  getDownsamplingVerifier,
+  VerificationError,
+  DEFAULT_SAMPLES,
+  DEFAULT_TOLERANCE
+} = require('../services/downsamplingVerifier');
+const { getDownsamplingEngine } = require('../services/downsamplingEngine');
+const { ChunkSizeError, DEFAULT_HISTORY_LIMIT } = require('../services/chunkSizer');
+
+// Send validation errors as 400s, rebuild, verification and chunk size errors
+// with their status, anything else as a 500
+const handleError = (res, error, action) => {
+  if (error instanceof FluxQueryError) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error instanceof RebuildError || error instanceof VerificationError || error instanceof ChunkSizeError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ error: `Failed ${action}: ${error.message}` });
+};
+
+// Queue a rebuild of the candles of some symbols and resolutions in a time range
+const createRebuild = async (req, res) => {
+  try {
+    const { symbols, resolutions, start, end } = req.body || {};
+
+    if (!start || !end) {
+      return res.status(400).json({ error: 'Start and end parameters are required' });
+    }
+
+    const { startDate, endDate } = parseTimeRange(start, end);
+    const job = await getCandleRebuilder().createJob({ symbols, resolutions, startDate, endDate });
+
+    console.log(`Queued rebuild ${job.id} from ${job.start} to ${job.end}`);
+    return res.status(202).json(job);
+  } catch (error) {
+    return handleError(res, error, 'creating rebuild');
+  }
+};
+
+// List rebuilds, newest first
+const listRebuilds = (req, res) => {
+  try {
+    return res.json(getCandleRebuilder().listJobs());
+  } catch (error) {
+    return handleError(res, error, 'listing rebuilds');
+  }
+};
+
+// Get the progress of a rebuild
+const getRebuild = (req, res) => {
+  try {
+    const job = getCandleRebuilder().getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: `Rebuild ${req.params.id} not found` });
+    }
+
+    return res.json(job);
+  } catch (error) {
+    return handleError(res, error, 'reading rebuild');
+  }
+};
+
+// Verify the candles described by query or body parameters, or return null
+// after answering with a 400 if some are missing
+const verifyParams = async (params, res) => {
+  const { symbol, resolution, start, end } = params;
+
+  if (!symbol || !resolution || !start || !end) {
+    res.status(400).json({ error: 'Symbol, resolution, start, and end parameters are required' });
+    return null;
+  }
+
+  const { startDate, endDate } = parseTimeRange(start, end);
+  const samples = params.samples !== undefined ? Number(params.samples) : DEFAULT_SAMPLES;
+  const tolerance = params.tolerance !== undefined ? Number(params.tolerance) : DEFAULT_TOLERANCE;
+
+  return getDownsamplingVerifier().verify({ symbol, resolution, startDate, endDate, samples, tolerance });
+};
+
+// Compare stored candles with candles recomputed from trades
+const verifyDownsampling = async (req, res) => {
+  try {
+    const report = await verifyParams(req.query, res);
+    return report && res.json(report);
+  } catch (error) {
+    return handleError(res, error, 'verifying downsampled data');
+  }
+};
+
+// Verify like verifyDownsampling and queue a rebuild of the wrong windows
+const verifyAndRebuild = async (req, res) => {
+  try {
+    const report = await verifyParams(req.body || {}, res);
+    if (!report) return null;
+
+    report.rebuild = await getDownsamplingVerifier().rebuild(report, getCandleRebuilder());
+    return res.status(report.rebuild ? 202 : 200).json(report);
+  } catch (error) {
+    return handleError(res, error, 'verifying and rebuilding downsampled data');
+  }
+};
+
+// List the latest chunk size of every resolution and symbol, or the history
+// of one of them
+const listChunks = async (req, res) => {
+  try {
+    const { resolution, symbol } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_HISTORY_LIMIT;
+
+    return res.json(await getDownsamplingEngine().chunkSizer.listChunks({ resolution, symbol, limit }));
+  } catch (error) {
+    return handleError(res, error, 'listing downsampling chunk sizes');
+  }
+};
+
+module.exports = {
+  verifyDownsampling,
+  verifyAndRebuild,
+  listChunks,
+  createRebuild,
+  listRebuilds,
+  getRebuild
+};
@@ -0,0 +1,66 @@
+const { parseTimeRange, parseSymbol, FluxQueryError } = require('../services/fluxQueryBuilder');
+const { getCandles, loadBarsBefore, CandleQueryError, MAX_DATA_POINTS } = require('../services/candleService');
+const {
+  IndicatorError,
+  parseIndicatorParams,
+  warmUpBars,
+  calculateIndicator
+} = require('../services/indicators');
+
+// Compute a technical indicator over the same candles as GET /api/trades/ohlc
+const getIndicators = async (req, res) => {
+  try {
+    const { symbol, resolution, start, end, type } = req.query;
+
+    if (!symbol || !resolution || !start || !end || !type) {
+      return res.status(400).json({ error: 'Symbol, resolution, start, end, and type parameters are required' });
+    }
+
+    parseSymbol(symbol);
+    const indicatorType = String(type).toLowerCase();
+    const { params, source } = parseIndicatorParams(indicatorType, req.query);
+    const { startDate, endDate } = parseTimeRange(start, end);
+
+    console.log(`Computing ${indicatorType} for ${symbol} from ${start} to ${end} with resolution ${resolution}`);
+
+    const { candles, downsampledResolution, aggregateWindowMs } =
+      await getCandles({ symbol, resolution, startDate, endDate });
+
+    if (candles.length === 0) {
+      return res.json([]);
+    }
+
+    // Older bars of the same size, so the first returned value is already correct
+    const warmUp = Math.min(warmUpBars(indicatorType, params), MAX_DATA_POINTS);
+    const { candles: warmUpCandles } = warmUp > 0
+      ? await loadBarsBefore({
+        symbol,
+        downsampledResolution,
+        aggregateWindowMs,
+        before: new Date(candles[0].time),
+        count: warmUp
+      })
+      : { candles: [] };
+
+    console.log(`Loaded ${warmUpCandles.length} of ${warmUp} warm-up bars for ${indicatorType}`);
+
+    const values = calculateIndicator(indicatorType, [...warmUpCandles, ...candles], params, source);
+
+    return res.json(values.slice(warmUpCandles.length));
+  } catch (error) {
+    if (error instanceof FluxQueryError || error instanceof IndicatorError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error instanceof CandleQueryError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Error computing indicator:', error);
+    return res.status(500).json({ error: `Failed to compute indicator: ${error.message}` });
+  }
+};
+
+module.exports = {
+  getIndicators
+};
@@ -0,0 +1,89 @@
+const symbolRegistry = require('../services/symbolRegistry');
+const { SymbolRegistryError } = symbolRegistry;
+const { DOWNSAMPLING_ENGINE } = require('../config/downsampling');
+const { getDownsamplingTaskManager } = require('../services/downsamplingTasks');
+
+// Send registry errors with their status, anything else as a 500
+const handleError = (res, error, action) => {
+  if (error instanceof SymbolRegistryError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`Error ${action} symbol:`, error);
+  return res.status(500).json({ error: `Failed ${action} symbol` });
+};
+
+// The InfluxDB tasks list the symbols in their scripts. They are updated in
+// the background, a failed update is logged and fixed by the next change or
+// PUT /api/admin/downsampling/tasks.
+const refreshDownsamplingTasks = () => {
+  if (DOWNSAMPLING_ENGINE !== 'influx') return;
+
+  getDownsamplingTaskManager().refreshTasks()
+    .catch(error => console.error('Error updating downsampling tasks for the symbols:', error.message));
+};
+
+// Get available symbols
+const getSymbols = (req, res) => {
+  try {
+    res.json(symbolRegistry.listSymbols());
+  } catch (error) {
+    handleError(res, error, 'listing');
+  }
+};
+
+// Get a single symbol
+const getSymbol = (req, res) => {
+  try {
+    const symbol = symbolRegistry.findSymbol(req.params.symbol);
+
+    if (!symbol) {
+      return res.status(404).json({ error: `Symbol ${req.params.symbol} not found` });
+    }
+
+    res.json(symbol);
+  } catch (error) {
+    handleError(res, error, 'reading');
+  }
+};
+
+// Add a symbol to the registry
+const createSymbol = async (req, res) => {
+  try {
+    const symbol = await symbolRegistry.createSymbol(req.body);
+    refreshDownsamplingTasks();
+    res.status(201).json(symbol);
+  } catch (error) {
+    handleError(res, error, 'creating');
+  }
+};
+
+// Update an existing symbol
+const updateSymbol = async (req, res) => {
+  try {
+    const symbol = await symbolRegistry.updateSymbol(req.params.symbol, req.body);
+    refreshDownsamplingTasks();
+    res.json(symbol);
+  } catch (error) {
+    handleError(res, error, 'updating');
+  }
+};
+
+// Remove a symbol. Stored trades and candles are left in place.
+const deleteSymbol = async (req, res) => {
+  try {
+    const symbol = await symbolRegistry.deleteSymbol(req.params.symbol);
+    refreshDownsamplingTasks();
+    res.json({ message: `Symbol ${symbol.symbol} deleted`, symbol });
+  } catch (error) {
+    handleError(res, error, 'deleting');
+  }
+};
+
+module.exports = {
+  getSymbols,
+  getSymbol,
+  createSymbol,
+  updateSymbol,
+  deleteSymbol
+};
@@ -1,99 +1,27 @@
+const readline = require('readline');
 const { influxDB, writeApi, queryApi, config } = require('../config/influxdb');
-const { Point } = require('@influxdata/influxdb-client');
-
-// Helper function to convert resolution to InfluxDB format
-const getDownsampledResolution = (resolution) => {
-  // Normalize the resolution string to lowercase for consistent processing
-  const normalizedResolution = resolution.toString().toLowerCase();
-  
-  // Core mapping of standard resolutions to their downsampled equivalents
-  const coreMapping = {
-    // Seconds
-    '1': '1s', // 1 second resolution
-    
-    // Minutes
-    '60': '1m',
-    '300': '5m',
-    '900': '15m',
-    '1800': '15m', // Use 15m for 30m requests
-    '2700': '45m',
-    
-    // Hours
-    '3600': '1h',
-    '7200': '1h', // Use 1h for 2h requests
-    '10800': '3h',
-    '14400': '4h',
-    '21600': '4h', // Use 4h for 6h requests
-    '43200': '4h', // Use 4h for 12h requests
-    
-    // Days and other periods
-    '86400': '1d', // 1 day
-    '604800': '1w', // 1 week
-    '2592000': '1M', // 1 month (approx 30 days)
-    
-    // Numeric formats (from frontend)
-    '1': '1s', // 1 second
-    '5': '5m',
-    '15': '15m',
-    '30': '15m', // Use 15m for 30m requests
-    '45': '45m',
-    '60': '1h',
-    '120': '1h', // Use 1h for 2h requests
-    '180': '3h',
-    '240': '4h',
-    '360': '4h', // Use 4h for 6h requests
-    '720': '4h', // Use 4h for 12h requests
-    
-    // Days and other periods
-    'd': '1d',
-    'w': '1w',
-    'mo': '1M'
-  };
-  
-  // Handle numeric resolutions (e.g., '1', '5', '15')
-  if (/^\d+$/.test(normalizedResolution)) {
-    return coreMapping[normalizedResolution] || '5m';
-  }
-  
-  // Handle letter formats without units (e.g., 'D', 'W')
-  if (/^[dwmo]$/.test(normalizedResolution)) {
-    return coreMapping[normalizedResolution];
-  }
-  
-  // Handle formats with number and unit (e.g., '1m', '1h', '1d')
-  const match = normalizedResolution.match(/^(\d+)([smhdwmo]+)$/);
-  if (match) {
-    const [, value, unit] = match;
-    
-    // Direct mapping for standard units
-    if (unit === 's') return '1s';
-    if (unit === 'm') {
-      // Map minute-based resolutions
-      if (value === '1') return '1m';
-      if (value === '5') return '5m';
-      if (value === '15') return '15m';
-      if (value === '30') return '15m';
-      if (value === '45') return '45m';
-      if (value === '60' || value === '120') return '1h';
-      if (value === '180') return '3h';
-      if (value === '240') return '4h';
-    }
-    if (unit === 'h') {
-      // Map hour-based resolutions
-      if (value === '1') return '1h';
-      if (value === '2') return '1h';
-      if (value === '3') return '3h';
-      if (value === '4') return '4h';
-      if (value === '6' || value === '12') return '4h';
-    }
-    if (unit === 'd') return '1d';
-    if (unit === 'w') return '1w';
-    if (unit === 'mo') return '1M';
+const barStream = require('../services/barStream');
+const { createTradePoint } = require('../services/tradeWriter');
+const { parseTrade } = require('../services/tradeValidation');
+const { createCsvParser, parseNdjsonLine, createLineProtocolParser } = require('../services/tradeParsers');
+const { getTradeDeduplicator } = require('../services/tradeDeduplicator');
+const { getDirtyRangeTracker } = require('../services/dirtyRangeTracker');
+const resolutions = require('../config/resolutions');
+const { fromBucket, parseTime, parseTimeRange, parseSymbol, FluxQueryError } = require('../services/fluxQueryBuilder');
+const { getBars, CandleQueryError, MAX_DATA_POINTS, FILL_MODES } = require('../services/candleService');
+const { findSymbol, getSymbolSession } = require('../services/symbolRegistry');
+const { tradesWritten, tradeWriteErrors, countWriteRetries } = require('../services/metrics');
+
+// Convert a requested resolution to milliseconds, defaulting to 5 minutes
+const parseResolutionToMs = (resolution) => {
+  const resolutionMs = resolutions.toMilliseconds(resolution);
+
+  if (!resolutionMs) {
+    console.log(`Warning: Could not parse resolution "${resolution}", defaulting to 5 minutes`);
+    return resolutions.getResolution(resolutions.DEFAULT_RESOLUTION).ms;
   }
-  
-  // Default to 5m if no match found
-  console.log(`No direct mapping for resolution ${resolution}, defaulting to 5m`);
-  return '5m';
+
+  return resolutionMs;
 };
 
 // Function to write a single trade point
@@ -109,62 +37,80 @@ const writeTrade = async (trade) => {
       exponentialBase: 2,
       maxRetryTime: 600000, // 10 minutes
       maxBufferLines: 10, // Small buffer for single trade
-      flushInterval: 1000 // 1 second
+      flushInterval: 1000, // 1 second
+      writeFailed: countWriteRetries('single')
     });
 
-    const point = new Point('trade')
-      .tag('symbol', trade.symbol)
-      .tag('side', trade.side)
-      .floatField('price', trade.price)
-      .floatField('amount', trade.amount)
-      .timestamp(trade.timestamp || new Date());
-
-    singleTradeWriteApi.writePoint(point);
+    singleTradeWriteApi.writePoint(createTradePoint(trade));
 
     // Flush and close the write API
     await singleTradeWriteApi.flush();
     await singleTradeWriteApi.close();
+    tradesWritten.inc({ writer: 'single' });
     
     console.log(`Trade written successfully: ${trade.symbol} at ${trade.price}`);
+
+    // Notify real-time bar subscribers
+    barStream.publishTrades([trade]);
+
+    // Late trades are folded into already downsampled candles
+    getDirtyRangeTracker().record([trade]);
     return Promise.resolve();
   } catch (error) {
+    tradeWriteErrors.inc({ writer: 'single' });
     console.error('Error writing single trade:', error);
     throw error;
   }
 };
 
 // Function to write multiple trade points in batch
+// Returns the number of trades written and the trades skipped as duplicates
 const writeTrades = async (trades) => {
   if (!trades || trades.length === 0) {
     console.log('No trades to write');
-    return Promise.resolve();
+    return { written: 0, duplicates: [] };
+  }
+
+  // Skip trades whose exchange trade ID was already written
+  const deduplicator = getTradeDeduplicator();
+  const { fresh, duplicates } = await deduplicator.partition(trades);
+
+  if (duplicates.length > 0) {
+    console.log(`Skipping ${duplicates.length} duplicate trades`);
   }
 
-  console.log(`Writing ${trades.length} trades to InfluxDB...`);
+  console.log(`Writing ${fresh.length} trades to InfluxDB...`);
 
   // Use larger batch sizes for better performance
   const BATCH_SIZE = 10000;
-  const totalBatches = Math.ceil(trades.length / BATCH_SIZE);
+  const totalBatches = Math.ceil(fresh.length / BATCH_SIZE);
+  let i = 0;
 
   try {
     // Split trades into smaller batches
-    for (let i = 0; i < trades.length; i += BATCH_SIZE) {
+    for (; i < fresh.length; i += BATCH_SIZE) {
       const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
-      const batch = trades.slice(i, i + BATCH_SIZE);
+      const batch = fresh.slice(i, i + BATCH_SIZE);
       console.log(`Processing batch ${batchNumber} of ${totalBatches} (${batch.length} trades)`);
 
       // Process this batch
       await processBatch(batch, batchNumber, totalBatches);
+
+      // Notify real-time bar subscribers once the batch is persisted
+      barStream.publishTrades(batch);
+      getDirtyRangeTracker().record(batch);
       
       // Log progress
-      if (i + BATCH_SIZE < trades.length) {
+      if (i + BATCH_SIZE < fresh.length) {
         console.log('Processing next batch...');
       }
     }
 
     console.log('All batches processed successfully');
-    return Promise.resolve();
+    return { written: fresh.length, duplicates };
   } catch (error) {
+    // Trades that were not written can be submitted again
+    deduplicator.release(fresh.slice(i));
     console.error('Error writing trades:', error);
     throw error;
   }
@@ -182,20 +128,14 @@ async function processBatch(batch, batchNumber, totalBatches) {
     exponentialBase: 2,
     maxRetryTime: 600000, // 10 minutes
     maxBufferLines: 2000,
-    flushInterval: 1000 // 1 second
+    flushInterval: 1000, // 1 second
+    writeFailed: countWriteRetries('batch')
   });
 
   try {
     // Add points to the write API
     batch.forEach(trade => {
-      const point = new Point('trade')
-        .tag('symbol', trade.symbol)
-        .tag('side', trade.side)
-        .floatField('price', trade.price)
-        .floatField('amount', trade.amount)
-        .timestamp(trade.timestamp || new Date());
-
-      batchWriteApi.writePoint(point);
+      batchWriteApi.writePoint(createTradePoint(trade));
     });
 
     console.log(`Batch ${batchNumber}: Points added to write buffer, flushing...`);
@@ -206,9 +146,12 @@ async function processBatch(batch, batchNumber, totalBatches) {
     
     await batchWriteApi.close();
     console.log(`Batch ${batchNumber}: Write API closed successfully`);
+    tradesWritten.inc({ writer: 'batch' }, batch.length);
     
     return Promise.resolve();
   } catch (error) {
+    tradeWriteErrors.inc({ writer: 'batch' });
+
     // Make sure to close the API even if there's an error
     try {
       await batchWriteApi.close();
@@ -223,14 +166,13 @@ async function processBatch(batch, batchNumber, totalBatches) {
 // Function to query trades by symbol and time range
 const queryTrades = async (symbol, start, end) => {
   // Query to fetch trades
-  const fluxQuery = `
-    from(bucket: "${config.bucket}")
-      |> range(start: ${start}, stop: ${end})
-      |> filter(fn: (r) => r._measurement == "trade")
-      |> filter(fn: (r) => r.symbol == "${symbol}")
-      |> pivot(rowKey:["_time", "symbol", "side"], columnKey: ["_field"], valueColumn: "_value")
-      |> drop(columns: ["_start", "_stop", "_measurement"])
-  `;
+  const fluxQuery = fromBucket(config.bucket)
+    .range(start, end)
+    .measurement('trade')
+    .symbol(symbol)
+    .pipe('pivot(rowKey:["_time", "symbol", "side"], columnKey: ["_field"], valueColumn: "_value")')
+    .pipe('drop(columns: ["_start", "_stop", "_measurement"])')
+    .build();
 
   const result = [];
   try {
@@ -265,6 +207,10 @@ const getTrades = async (req, res) => {
     const trades = await queryTrades(symbol, start, end);
     return res.json(trades);
   } catch (error) {
+    if (error instanceof FluxQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Error fetching trades:', error);
     return res.status(500).json({ error: 'Failed to fetch trades' });
   }
@@ -273,21 +219,27 @@ const getTrades = async (req, res) => {
 // Create a single trade
 const createTrade = async (req, res) => {
   try {
-    const { symbol, side, price, amount, timestamp } = req.body;
+    const { trade, error } = parseTrade(req.body);
 
-    if (!symbol || !side || !price || !amount) {
-      return res.status(400).json({ error: 'Symbol, side, price, and amount are required' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const trade = {
-      symbol,
-      side,
-      price: parseFloat(price),
-      amount: parseFloat(amount),
-      timestamp: timestamp ? new Date(timestamp) : new Date()
-    };
+    const deduplicator = getTradeDeduplicator();
+    const { duplicates } = await deduplicator.partition([trade]);
+
+    if (duplicates.length > 0) {
+      console.log(`Duplicate trade ignored: ${trade.symbol} ${trade.tradeId}`);
+      return res.status(200).json({ message: 'Duplicate trade ignored', duplicate: true, trade });
+    }
+
+    try {
+      await writeTrade(trade);
+    } catch (writeError) {
+      deduplicator.release([trade]);
+      throw writeError;
+    }
 
-    await writeTrade(trade);
     return res.status(201).json({ message: 'Trade created successfully', trade });
   } catch (error) {
     console.error('Error creating trade:', error);
@@ -295,19 +247,170 @@ const createTrade = async (req, res) => {
   }
 };
 
+// Pick the bulk import format from the query string or the Content-Type header
+const detectImportFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format.toLowerCase();
+  }
+
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  if (contentType.includes('csv')) return 'csv';
+  if (contentType.includes('ndjson') || contentType.includes('jsonl')) return 'ndjson';
+  if (contentType.includes('text/plain')) return 'lp';
+  return null;
+};
+
+// Import trades in bulk from a streamed CSV, NDJSON or line protocol body
+const importTrades = async (req, res) => {
+  const startTime = Date.now();
+
+  // Keep the response bounded when a large file is mostly invalid
+  const MAX_REPORTED_ERRORS = 1000;
+  const BATCH_SIZE = 10000;
+
+  const format = detectImportFormat(req);
+  let parseLine;
+
+  try {
+    if (format === 'csv') {
+      parseLine = createCsvParser({
+        columns: typeof req.query.columns === 'object' ? req.query.columns : {},
+        delimiter: req.query.delimiter || ','
+      });
+    } else if (format === 'ndjson') {
+      parseLine = parseNdjsonLine;
+    } else if (format === 'lp') {
+      parseLine = createLineProtocolParser({ precision: req.query.precision || 'ns' });
+    } else {
+      return res.status(400).json({
+        error: 'Unsupported format. Use format=csv, ndjson or lp, or a matching Content-Type header'
+      });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  console.log(`Starting bulk import in ${format} format`);
+
+  let accepted = 0;
+  let rejected = 0;
+  const errors = [];
+  const duplicateRows = [];
+  let duplicates = 0;
+  let batch = [];
+
+  // Row numbers of the trades in the current batch, used to report duplicates
+  const batchRows = new Map();
+
+  const reject = (row, error) => {
+    rejected++;
+    if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push({ row, error });
+    }
+  };
+
+  const flushBatch = async () => {
+    if (batch.length === 0) return;
+    const trades = batch;
+    batch = [];
+
+    const result = await writeTrades(trades);
+    accepted += result.written;
+    duplicates += result.duplicates.length;
+
+    result.duplicates.forEach(trade => {
+      if (duplicateRows.length < MAX_REPORTED_ERRORS) {
+        duplicateRows.push(batchRows.get(trade));
+      }
+    });
+    batchRows.clear();
+  };
+
+  try {
+    // Read the body line by line; awaiting each write pauses the stream,
+    // so only one batch is held in memory at a time
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+    let row = 0;
+
+    for await (const line of lines) {
+      row++;
+
+      if (line.trim() === '' || (format === 'lp' && line.startsWith('#'))) {
+        continue;
+      }
+
+      let payload;
+      try {
+        payload = parseLine(line);
+      } catch (error) {
+        reject(row, error.message);
+        continue;
+      }
+
+      // CSV header line
+      if (payload === null) {
+        continue;
+      }
+
+      const { trade, error } = parseTrade(payload);
+      if (error) {
+        reject(row, error);
+        continue;
+      }
+
+      batch.push(trade);
+      batchRows.set(trade, row);
+
+      if (batch.length >= BATCH_SIZE) {
+        await flushBatch();
+      }
+    }
+
+    await flushBatch();
+    duplicateRows.sort((a, b) => a - b);
+
+    const durationMs = Date.now() - startTime;
+    console.log(`Bulk import completed: ${accepted} accepted, ${duplicates} duplicates, ${rejected} rejected in ${durationMs}ms`);
+
+    return res.json({
+      format,
+      accepted,
+      duplicates,
+      duplicateRows,
+      rejected,
+      errors,
+      errorsTruncated: rejected > errors.length,
+      durationMs
+    });
+  } catch (error) {
+    console.error('Error importing trades:', error);
+    return res.status(500).json({
+      error: `Failed to import trades: ${error.message}`,
+      accepted,
+      duplicates,
+      duplicateRows,
+      rejected,
+      errors,
+      durationMs: Date.now() - startTime
+    });
+  }
+};
+
+// Query for the most recent price point of a symbol
+const latestPriceQuery = (symbol) => fromBucket(config.bucket)
+  .range(0)
+  .measurement('trade')
+  .symbol(symbol)
+  .field('price')
+  .pipe('last()')
+  .build();
+
 // Function to get the latest trade timestamp for a symbol
 const getLatestTradeTimestamp = async (symbol) => {
   console.log(`Finding latest trade timestamp for ${symbol}`);
   
   // Query to fetch the latest trade timestamp
-  const fluxQuery = `
-    from(bucket: "${config.bucket}")
-      |> range(start: 0)
-      |> filter(fn: (r) => r._measurement == "trade")
-      |> filter(fn: (r) => r.symbol == "${symbol}")
-      |> filter(fn: (r) => r._field == "price")
-      |> last()
-  `;
+  const fluxQuery = latestPriceQuery(symbol);
 
   try {
     let latestTimestamp = null;
@@ -337,6 +440,10 @@ const generateFakeTrades = async (req, res) => {
     const { symbol = 'BTCUSD', count: requestedCount = 10000 } = req.query;
     const count = parseInt(requestedCount); // No cap, generate as many as requested
 
+    if (!findSymbol(symbol)) {
+      return res.status(400).json({ error: `Unknown symbol ${symbol}` });
+    }
+
     // Use a larger batch size for better performance
     const batchSize = 100000; // Increased as requested
     let processedCount = 0;
@@ -378,14 +485,7 @@ const generateFakeTrades = async (req, res) => {
     
     if (latestTimestamp) {
       // Query to fetch the latest trade price
-      const fluxQuery = `
-        from(bucket: "${config.bucket}")
-          |> range(start: 0)
-          |> filter(fn: (r) => r._measurement == "trade")
-          |> filter(fn: (r) => r.symbol == "${symbol}")
-          |> filter(fn: (r) => r._field == "price")
-          |> last()
-      `;
+      const fluxQuery = latestPriceQuery(symbol);
       
       try {
         let latestPrice = null;
@@ -525,472 +625,219 @@ const generateFakeTrades = async (req, res) => {
   }
 };
 
+// Parse an optional positive integer query parameter, capped at the number of
+// points a single OHLC response may hold
+const parseBarCount = (value, name) => {
+  if (value === undefined) {
+    return null;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count <= 0 || count > MAX_DATA_POINTS) {
+    throw new FluxQueryError(`${name} must be an integer between 1 and ${MAX_DATA_POINTS}`);
+  }
+
+  return count;
+};
+
+// Parse the optional gap-filling mode, 'none' by default
+const parseFill = (value) => {
+  if (value === undefined) {
+    return 'none';
+  }
+
+  if (!FILL_MODES.includes(value)) {
+    throw new FluxQueryError(`fill must be one of: ${FILL_MODES.join(', ')}`);
+  }
+
+  return value;
+};
+
 // Get OHLC data for charting - using pre-downsampled data
 const getOHLC = async (req, res) => {
   try {
-    const { symbol, start, end, resolution } = req.query;
+    const { symbol, end, resolution } = req.query;
+    let { start } = req.query;
 
-    if (!symbol || !start || !end || !resolution) {
-      return res.status(400).json({ error: 'Symbol, start, end, and resolution parameters are required' });
+    if (!symbol || !end || !resolution || (!start && req.query.countBack === undefined)) {
+      return res.status(400).json({ error: 'Symbol, start (or countBack), end, and resolution parameters are required' });
+    }
+
+    // Validate request input before it is used in any query
+    parseSymbol(symbol);
+    const countBack = parseBarCount(req.query.countBack, 'countBack');
+    const limit = parseBarCount(req.query.limit, 'limit');
+    const fill = parseFill(req.query.fill);
+
+    // Without a start, look back far enough for countBack bars
+    if (!start) {
+      const endTime = parseTime(end, 'end');
+      if (!(endTime instanceof Date)) {
+        throw new FluxQueryError('End must be an absolute date');
+      }
+      start = new Date(endTime.getTime() - countBack * parseResolutionToMs(resolution)).toISOString();
     }
 
     console.log(`Generating OHLC data for ${symbol} from ${start} to ${end} with resolution ${resolution}`);
 
-    // Parse dates and calculate time range
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    const timeRangeMs = endDate.getTime() - startDate.getTime();
-    const dateRangeDays = timeRangeMs / (24 * 60 * 60 * 1000);
-    
-    console.log(`Date range for OHLC: ${timeRangeMs}ms (${dateRangeDays.toFixed(2)} days)`);
+    const { startDate, endDate } = parseTimeRange(start, end);
 
-    // Use the unified getDownsampledResolution function to get the appropriate resolution
-    let downsampledResolution = getDownsampledResolution(resolution);
-    
-    console.log(`Initial downsampled resolution mapping: ${resolution} -> ${downsampledResolution}`);
-
-    // For very large date ranges, force a larger resolution to improve performance
-    // This ensures we use the best fitting downsampled data based on the date range
-    if (dateRangeDays > 365 && downsampledResolution !== '1d') {
-      console.log(`Date range is over a year, forcing 1d resolution instead of ${downsampledResolution}`);
-      downsampledResolution = '1d';
-    } else if (dateRangeDays > 90 && ['1m', '5m'].includes(downsampledResolution)) {
-      console.log(`Date range is over 90 days, forcing 1h resolution instead of ${downsampledResolution}`);
-      downsampledResolution = '1h';
-    } else if (dateRangeDays > 30 && downsampledResolution === '1m') {
-      console.log(`Date range is over 30 days, forcing 15m resolution instead of ${downsampledResolution}`);
-      downsampledResolution = '15m';
-    }
+    const { candles, nextTime } = await getBars({ symbol, resolution, startDate, endDate, countBack, limit, fill });
 
-    console.log(`Using downsampled resolution: ${downsampledResolution}`);
+    // Tell the datafeed where older data resumes when this range is empty
+    if (nextTime !== null) {
+      res.set('X-Next-Time', String(nextTime));
+    }
 
-    // Set a reasonable limit on the number of data points to return
-    const MAX_DATA_POINTS = 5000;
-    
-    // Calculate if we need to further downsample the data
-    const resolutionMs = parseResolutionToMs(resolution);
-    const expectedDataPoints = timeRangeMs / resolutionMs;
-    
-    console.log(`Expected data points at ${resolution} resolution: ~${Math.ceil(expectedDataPoints)}`);
-    
-    let aggregateWindow = null;
-    
-    // If we expect too many data points, add an additional aggregation step
-    if (expectedDataPoints > MAX_DATA_POINTS) {
-      const aggregateFactor = Math.ceil(expectedDataPoints / MAX_DATA_POINTS);
-      aggregateWindow = `${Math.ceil(aggregateFactor * resolutionMs / 1000)}s`;
-      console.log(`Too many data points, adding aggregation window of ${aggregateWindow} to limit to ~${MAX_DATA_POINTS} points`);
+    return res.json(candles);
+  } catch (error) {
+    if (error instanceof FluxQueryError) {
+      return res.status(400).json({ error: error.message });
     }
 
-    try {
-      // Query the pre-downsampled data from the appropriate measurement
-      // This is much more efficient than calculating OHLC from raw trade data
-      let fluxQuery = `
-        // Query pre-downsampled data from the appropriate measurement
-        from(bucket: "${config.bucket}")
-          |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-          |> filter(fn: (r) => r._measurement == "trade_ohlc_${downsampledResolution}")
-          |> filter(fn: (r) => r.symbol == "${symbol}")
-      `;
-      
-      // If we need to further aggregate the data to reduce the number of points
-      if (aggregateWindow) {
-        // For large datasets, use a simpler approach with separate queries for each field
-        // This avoids complex nested operations that can cause errors
-        
-        // Get open values (first value in each window)
-        const openQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${downsampledResolution}")
-            |> filter(fn: (r) => r.symbol == "${symbol}")
-            |> filter(fn: (r) => r._field == "open")
-            |> aggregateWindow(every: ${aggregateWindow}, fn: first, createEmpty: false)
-        `;
-        
-        // Get high values (max value in each window)
-        const highQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${downsampledResolution}")
-            |> filter(fn: (r) => r.symbol == "${symbol}")
-            |> filter(fn: (r) => r._field == "high")
-            |> aggregateWindow(every: ${aggregateWindow}, fn: max, createEmpty: false)
-        `;
-        
-        // Get low values (min value in each window)
-        const lowQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${downsampledResolution}")
-            |> filter(fn: (r) => r.symbol == "${symbol}")
-            |> filter(fn: (r) => r._field == "low")
-            |> aggregateWindow(every: ${aggregateWindow}, fn: min, createEmpty: false)
-        `;
-        
-        // Get close values (last value in each window)
-        const closeQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${downsampledResolution}")
-            |> filter(fn: (r) => r.symbol == "${symbol}")
-            |> filter(fn: (r) => r._field == "close")
-            |> aggregateWindow(every: ${aggregateWindow}, fn: last, createEmpty: false)
-        `;
-        
-        // Get volume values (sum in each window)
-        const volumeQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${downsampledResolution}")
-            |> filter(fn: (r) => r.symbol == "${symbol}")
-            |> filter(fn: (r) => r._field == "volume")
-            |> aggregateWindow(every: ${aggregateWindow}, fn: sum, createEmpty: false)
-        `;
-        
-        console.log('Executing separate queries for each OHLC component');
-        
-        // Execute all queries in parallel
-        const [openRows, highRows, lowRows, closeRows, volumeRows] = await Promise.all([
-          queryApi.collectRows(openQuery),
-          queryApi.collectRows(highQuery),
-          queryApi.collectRows(lowQuery),
-          queryApi.collectRows(closeQuery),
-          queryApi.collectRows(volumeQuery)
-        ]);
-        
-        // Create a map of time to OHLC data
-        const timeMap = new Map();
-        
-        // Process open values
-        openRows.forEach(row => {
-          const time = new Date(row._time).getTime();
-          if (!timeMap.has(time)) {
-            timeMap.set(time, { time });
-          }
-          timeMap.get(time).open = row._value;
-        });
-        
-        // Process high values
-        highRows.forEach(row => {
-          const time = new Date(row._time).getTime();
-          if (!timeMap.has(time)) {
-            timeMap.set(time, { time });
-          }
-          timeMap.get(time).high = row._value;
-        });
-        
-        // Process low values
-        lowRows.forEach(row => {
-          const time = new Date(row._time).getTime();
-          if (!timeMap.has(time)) {
-            timeMap.set(time, { time });
-          }
-          timeMap.get(time).low = row._value;
-        });
-        
-        // Process close values
-        closeRows.forEach(row => {
-          const time = new Date(row._time).getTime();
-          if (!timeMap.has(time)) {
-            timeMap.set(time, { time });
-          }
-          timeMap.get(time).close = row._value;
-        });
-        
-        // Process volume values
-        volumeRows.forEach(row => {
-          const time = new Date(row._time).getTime();
-          if (!timeMap.has(time)) {
-            timeMap.set(time, { time });
-          }
-          timeMap.get(time).volume = row._value || 0;
-        });
-        
-        // Convert map to array and filter out incomplete candles
-        const result = Array.from(timeMap.values())
-          .filter(candle => 
-            candle.open !== undefined && 
-            candle.high !== undefined && 
-            candle.low !== undefined && 
-            candle.close !== undefined
-          )
-          .sort((a, b) => a.time - b.time);
-        
-        console.log(`Generated ${result.length} OHLC candles from pre-downsampled data using separate queries`);
-        return res.json(result);
-      } else {
-        // If no additional aggregation is needed, just pivot the data
-        fluxQuery += `
-          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
-        `;
-        
-        console.log('Executing simple pivot query on pre-downsampled data');
-        
-        // Set a timeout for the query
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Query timed out after 30 seconds')), 30000);
-        });
-        
-        // Create a promise for the query execution
-        const queryPromise = new Promise(async (resolve, reject) => {
-          try {
-            // Use collectRows instead of iterateRows for better performance with large datasets
-            const rows = await queryApi.collectRows(fluxQuery);
-            
-            // Process the rows
-            const ohlcData = rows
-              .filter(row => 
-                row.open !== undefined && 
-                row.high !== undefined && 
-                row.low !== undefined && 
-                row.close !== undefined
-              )
-              .map(row => ({
-                time: new Date(row._time).getTime(),
-                open: row.open,
-                high: row.high,
-                low: row.low,
-                close: row.close,
-                volume: row.volume || 0
-              }))
-              .sort((a, b) => a.time - b.time);
-            
-            resolve(ohlcData);
-          } catch (error) {
-            reject(error);
-          }
-        });
-        
-        // Race the query against the timeout
-        const result = await Promise.race([queryPromise, timeoutPromise]);
-        
-        console.log(`Generated ${result.length} OHLC candles from pre-downsampled data`);
-        return res.json(result);
-      }
-    } catch (error) {
-      console.error('Error generating OHLC data from pre-downsampled data:', error);
-      
-      if (error.message.includes('Query timed out')) {
-        return res.status(504).json({ 
-          error: 'Query timed out. Try a smaller date range or a larger resolution.' 
-        });
-      }
-      
-      // If the downsampled data query fails, try a more aggressive approach with a larger resolution
-      console.log('Query on pre-downsampled data failed, trying with a larger resolution');
-      
-      // Choose a larger resolution based on the current one
-      let largerResolution;
-      if (downsampledResolution === '1m') largerResolution = '15m';
-      else if (downsampledResolution === '5m') largerResolution = '1h';
-      else if (downsampledResolution === '15m') largerResolution = '4h';
-      else if (downsampledResolution === '1h') largerResolution = '1d';
-      else largerResolution = '1d'; // Default to daily
-      
-      console.log(`Trying with larger resolution: ${largerResolution}`);
-      
-      try {
-        // Query with the larger resolution
-        const fallbackQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${largerResolution}")
-            |> filter(fn: (r) => r.symbol == "${symbol}")
-            |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
-        `;
-        
-        console.log('Executing fallback query with larger resolution');
-        
-        // Set a shorter timeout for the fallback query
-        const fallbackTimeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Fallback query timed out after 15 seconds')), 15000);
-        });
-        
-        // Process the query results
-        const fallbackQueryPromise = new Promise(async (resolve, reject) => {
-          try {
-            const rows = await queryApi.collectRows(fallbackQuery);
-            
-            const ohlcData = rows
-              .filter(row => row.open !== undefined && row.high !== undefined && 
-                      row.low !== undefined && row.close !== undefined)
-              .map(row => ({
-                time: new Date(row._time).getTime(),
-                open: row.open,
-                high: row.high,
-                low: row.low,
-                close: row.close,
-                volume: row.volume || 0
-              }))
-              .sort((a, b) => a.time - b.time);
-            
-            resolve(ohlcData);
-          } catch (error) {
-            reject(error);
-          }
-        });
-        
-        // Race the fallback query against the timeout
-        const fallbackResult = await Promise.race([fallbackQueryPromise, fallbackTimeoutPromise]);
-        
-        console.log(`Generated ${fallbackResult.length} OHLC candles using fallback larger resolution`);
-        return res.json(fallbackResult);
-      } catch (fallbackError) {
-        console.error('Error in fallback query:', fallbackError);
-        
-        if (fallbackError.message.includes('timed out')) {
-          return res.status(504).json({ 
-            error: 'Query timed out even with larger resolution. Try a much smaller date range.' 
-          });
-        }
-        
-        // Last resort: try to get just a small sample of data
-        try {
-          console.log('Trying last resort: getting a limited sample of data');
-          
-          const lastResortQuery = `
-            from(bucket: "${config.bucket}")
-              |> range(start: ${startDate.toISOString()}, stop: ${endDate.toISOString()})
-              |> filter(fn: (r) => r._measurement == "trade_ohlc_1d")
-              |> filter(fn: (r) => r.symbol == "${symbol}")
-              |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
-              |> limit(n: 100)
-          `;
-          
-          const sampleRows = await queryApi.collectRows(lastResortQuery);
-          
-          const sampleData = sampleRows
-            .filter(row => row.open !== undefined && row.high !== undefined && 
-                    row.low !== undefined && row.close !== undefined)
-            .map(row => ({
-              time: new Date(row._time).getTime(),
-              open: row.open,
-              high: row.high,
-              low: row.low,
-              close: row.close,
-              volume: row.volume || 0
-            }))
-            .sort((a, b) => a.time - b.time);
-          
-          console.log(`Generated ${sampleData.length} sample OHLC candles as last resort`);
-          return res.json(sampleData);
-        } catch (lastResortError) {
-          console.error('Error in last resort query:', lastResortError);
-          return res.status(500).json({ 
-            error: `Failed to generate OHLC data: The database contains too much data for the requested time range. Please use a much smaller date range or a larger resolution.` 
-          });
-        }
-      }
+    if (error instanceof CandleQueryError) {
+      return res.status(error.status).json({ error: error.message });
     }
-  } catch (error) {
+
     console.error('Error fetching OHLC data:', error);
     return res.status(500).json({ error: `Failed to fetch OHLC data: ${error.message}` });
   }
 };
 
-// Helper function to convert resolution string to milliseconds
-function parseResolutionToMs(resolution) {
-  // Normalize the resolution string to lowercase for consistent processing
-  const normalizedResolution = resolution.toString().toLowerCase();
-  
-  // Handle special cases for numeric resolutions
-  if (/^\d+$/.test(normalizedResolution)) {
-    const numericValue = parseInt(normalizedResolution);
-    
-    // Map common numeric resolutions to their millisecond values
-    switch (numericValue) {
-      case 1: return 1 * 1000; // 1 second
-      case 5: return 5 * 60 * 1000; // 5 minutes
-      case 15: return 15 * 60 * 1000; // 15 minutes
-      case 30: return 30 * 60 * 1000; // 30 minutes
-      case 45: return 45 * 60 * 1000; // 45 minutes
-      case 60: return 60 * 60 * 1000; // 1 hour
-      case 120: return 120 * 60 * 1000; // 2 hours
-      case 180: return 180 * 60 * 1000; // 3 hours
-      case 240: return 240 * 60 * 1000; // 4 hours
-      case 360: return 360 * 60 * 1000; // 6 hours
-      case 720: return 720 * 60 * 1000; // 12 hours
-      default: return numericValue * 60 * 1000; // Default to minutes
+// Build the candle currently forming from trades already stored in InfluxDB,
+// with the time of its last trade so the bar stream can skip the published
+// trades it contains
+const loadFormingBar = async (symbol, window) => {
+  const barTime = barStream.bucketTime(Date.now(), window);
+  const windowStart = new Date(resolutions.addWindows(barTime, window, -1)).toISOString();
+
+  const trades = await queryTrades(symbol, windowStart, new Date().toISOString());
+  if (trades.length === 0) {
+    return null;
+  }
+
+  trades.sort((a, b) => new Date(a.time).getTime() - new Date(b.time).getTime());
+
+  return trades.reduce((bar, trade) => {
+    if (!bar) {
+      return {
+        time: barTime,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: trade.amount || 0,
+        lastTradeTime: new Date(trade.time).getTime()
+      };
+    }
+
+    bar.high = Math.max(bar.high, trade.price);
+    bar.low = Math.min(bar.low, trade.price);
+    bar.close = trade.price;
+    bar.volume += trade.amount || 0;
+    bar.lastTradeTime = new Date(trade.time).getTime();
+    return bar;
+  }, null);
+};
+
+// Attempts at loading the forming bar before its streams are closed, and the
+// pause before the second one (doubled after each failure)
+const SEED_ATTEMPTS = 3;
+const SEED_RETRY_MS = 1000;
+
+// Seed the forming bar of a stream from the stored trades and send it to the
+// subscribers. If it cannot be loaded, their streams are closed with an error.
+const seedFormingBar = async (symbol, resolution, window) => {
+  for (let attempt = 1; attempt <= SEED_ATTEMPTS; attempt++) {
+    try {
+      barStream.seedBar(symbol, resolution, await loadFormingBar(symbol, window));
+      return;
+    } catch (error) {
+      console.error(`Error loading forming bar for stream (attempt ${attempt} of ${SEED_ATTEMPTS}):`, error);
+    }
+
+    if (attempt < SEED_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, SEED_RETRY_MS * 2 ** (attempt - 1)));
     }
   }
-  
-  // Handle special case for month (MO) to avoid confusion with minutes (M)
-  if (normalizedResolution.endsWith('mo')) {
-    const value = parseInt(normalizedResolution.slice(0, -2)) || 1;
-    return value * 30 * 24 * 60 * 60 * 1000; // Approximate month as 30 days
+
+  barStream.failSeed(symbol, resolution, 'Could not load the forming bar, reconnect to retry');
+};
+
+// Stream real-time bar updates using Server-Sent Events
+const streamBars = async (req, res) => {
+  const { symbol, resolution } = req.query;
+
+  if (!symbol || !resolution) {
+    return res.status(400).json({ error: 'Symbol and resolution parameters are required' });
   }
-  
-  // Handle formats with number and unit (e.g., '1m', '1h', '1d')
-  const match = normalizedResolution.match(/^(\d+)([smhdw])$/);
-  if (match) {
-    const value = parseInt(match[1]);
-    const unit = match[2];
-    
-    switch (unit) {
-      case 's': // Seconds
-        return value * 1000;
-      case 'm': // Minutes
-        return value * 60 * 1000;
-      case 'h': // Hours
-        return value * 60 * 60 * 1000;
-      case 'd': // Days
-        return value * 24 * 60 * 60 * 1000;
-      case 'w': // Weeks
-        return value * 7 * 24 * 60 * 60 * 1000;
+
+  try {
+    parseSymbol(symbol);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Daily and longer bars follow the symbol's session, months the calendar
+  const window = resolutions.getWindow(resolution, getSymbolSession(symbol));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Ask EventSource clients to reconnect after 3 seconds if the connection drops
+  res.write('retry: 3000\n\n');
+
+  const sendBar = (bar, { closed, error }) => {
+    if (error) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+      res.end();
+      return;
     }
+
+    res.write(`event: bar\ndata: ${JSON.stringify({ ...bar, closed })}\n\n`);
+  };
+
+  const unsubscribe = barStream.subscribe(symbol, resolution, window, sendBar);
+  console.log(`Bar stream opened for ${symbol} (${resolution})`);
+
+  // Keep proxies from closing idle connections
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`Bar stream closed for ${symbol} (${resolution})`);
+  });
+
+  // Send the forming candle right away so the chart's last bar is up to date.
+  // The first subscriber seeds it, which sends it to every subscriber; while
+  // it is being seeded, later subscribers wait for that.
+  if (barStream.startSeed(symbol, resolution)) {
+    await seedFormingBar(symbol, resolution, window);
+    return;
   }
-  
-  // Handle letter formats without units (e.g., 'D', 'W')
-  switch (normalizedResolution) {
-    case 'd':
-      return 1 * 24 * 60 * 60 * 1000; // 1 day
-    case 'w':
-      return 1 * 7 * 24 * 60 * 60 * 1000; // 1 week
-    case 's':
-      return 1 * 1000; // 1 second
-    case 'm':
-      return 1 * 60 * 1000; // 1 minute
-    case 'h':
-      return 1 * 60 * 60 * 1000; // 1 hour
+
+  const formingBar = barStream.getFormingBar(symbol, resolution);
+  if (formingBar) {
+    sendBar(formingBar, { closed: false });
   }
-  
-  // Default to 5 minutes if no match found
-  console.log(`Warning: Could not parse resolution "${resolution}", defaulting to 5 minutes`);
-  return 5 * 60 * 1000;
-}
+};
 
-// Get available symbols
-const getSymbols = (req, res) => {
-  // For this POC, we'll just return our predefined symbols
-  const symbols = [
-    {
-      symbol: 'BTCUSD',
-      description: 'BTC/USD',
-      exchange: 'InfluxDB',
-      type: 'crypto'
-    },
-    {
-      symbol: 'ETHUSD',
-      description: 'ETH/USD',
-      exchange: 'InfluxDB',
-      type: 'crypto'
-    },
-    {
-      symbol: 'LTCUSD',
-      description: 'LTC/USD',
-      exchange: 'InfluxDB',
-      type: 'crypto'
-    }
-  ];
-  
-  res.json(symbols);
+// Get the supported resolutions and how they map to downsampled data
+const getResolutions = (req, res) => {
+  res.json(resolutions.describeResolutions());
 };
 
 module.exports = {
   getTrades,
   createTrade,
+  importTrades,
   generateFakeTrades,
   getOHLC,
-  getSymbols
+  streamBars,
+  getResolutions
 };
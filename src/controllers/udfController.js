@@ -0,0 +1,195 @@
+const { CHART_RESOLUTIONS } = require('../config/resolutions');
+const { getBars, CandleQueryError, MAX_DATA_POINTS } = require('../services/candleService');
+const { listSymbols, findSymbol } = require('../services/symbolRegistry');
+const { parseSymbol, FluxQueryError } = require('../services/fluxQueryBuilder');
+
+/**
+ * TradingView UDF (Universal Data Feed) endpoints.
+ *
+ * Lets TradingView's stock UDF adapter (public/datafeeds) load data from this
+ * server with `new Datafeeds.UDFCompatibleDatafeed('/udf')`. Bars come from
+ * the same candle service as GET /api/trades/ohlc; times are in seconds as
+ * UDF expects.
+ */
+
+const supportedResolutions = () => CHART_RESOLUTIONS.map(resolution => resolution.code);
+
+// Default number of results for symbol search
+const SEARCH_LIMIT = 30;
+
+// UDF error response
+const sendError = (res, status, errmsg) => res.status(status).json({ s: 'error', errmsg });
+
+// Convert a registry symbol to UDF symbol info
+const toSymbolInfo = (symbol) => ({
+  name: symbol.symbol,
+  ticker: symbol.symbol,
+  description: symbol.description,
+  type: symbol.type,
+  session: symbol.session,
+  timezone: symbol.timezone,
+  exchange: symbol.exchange,
+  listed_exchange: symbol.exchange,
+  currency_code: symbol.quoteCurrency,
+  minmov: symbol.minmov,
+  pricescale: symbol.pricescale,
+  has_intraday: true,
+  has_daily: true,
+  has_weekly_and_monthly: true,
+  weekly_multipliers: ['1'],
+  monthly_multipliers: ['1'],
+  supported_resolutions: supportedResolutions(),
+  volume_precision: symbol.volumePrecision,
+  data_status: 'streaming'
+});
+
+// Parse a UDF time parameter (seconds since the Unix epoch)
+const parseSeconds = (value, name) => {
+  const seconds = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(seconds)) {
+    throw new FluxQueryError(`${name} must be a Unix timestamp in seconds`);
+  }
+  return new Date(seconds * 1000);
+};
+
+// Datafeed configuration
+const getConfig = (req, res) => {
+  const symbols = listSymbols();
+  const unique = (values) => [...new Set(values)];
+
+  res.json({
+    supported_resolutions: supportedResolutions(),
+    supports_search: true,
+    supports_group_request: false,
+    supports_marks: false,
+    supports_timescale_marks: false,
+    supports_time: true,
+    exchanges: unique(symbols.map(symbol => symbol.exchange))
+      .map(exchange => ({ value: exchange, name: exchange, desc: exchange })),
+    symbols_types: unique(symbols.map(symbol => symbol.type))
+      .map(type => ({ name: type, value: type }))
+  });
+};
+
+// Resolve a single symbol
+const getSymbolInfo = (req, res) => {
+  const { symbol } = req.query;
+
+  if (!symbol) {
+    return sendError(res, 400, 'Symbol parameter is required');
+  }
+
+  // The adapter may send EXCHANGE:SYMBOL
+  const name = String(symbol).split(':').pop();
+  const entry = findSymbol(name);
+
+  if (!entry) {
+    return sendError(res, 404, 'unknown_symbol');
+  }
+
+  res.json(toSymbolInfo(entry));
+};
+
+// Search symbols by name or description
+const searchSymbols = (req, res) => {
+  const { query = '', type = '', exchange = '' } = req.query;
+  const limit = parseInt(req.query.limit, 10) || SEARCH_LIMIT;
+  const searchString = String(query).toLowerCase();
+
+  const results = listSymbols()
+    .filter(symbol =>
+      (!searchString ||
+        symbol.symbol.toLowerCase().includes(searchString) ||
+        symbol.description.toLowerCase().includes(searchString)) &&
+      (!type || symbol.type === type) &&
+      (!exchange || symbol.exchange === exchange)
+    )
+    .slice(0, limit)
+    .map(symbol => ({
+      symbol: symbol.symbol,
+      full_name: symbol.symbol,
+      description: symbol.description,
+      exchange: symbol.exchange,
+      ticker: symbol.symbol,
+      type: symbol.type
+    }));
+
+  res.json(results);
+};
+
+// Historical bars in UDF's columnar format
+const getHistory = async (req, res) => {
+  try {
+    const { symbol, resolution, from, to, countback } = req.query;
+
+    if (!symbol || !resolution) {
+      return sendError(res, 400, 'Symbol and resolution parameters are required');
+    }
+
+    parseSymbol(symbol);
+    const name = symbol.split(':').pop();
+
+    if (!findSymbol(name)) {
+      return sendError(res, 404, 'unknown_symbol');
+    }
+
+    const startDate = parseSeconds(from, 'from');
+    const endDate = parseSeconds(to, 'to');
+    let countBack = null;
+
+    if (countback !== undefined) {
+      countBack = Math.min(parseInt(countback, 10), MAX_DATA_POINTS);
+      if (!Number.isInteger(countBack) || countBack <= 0) {
+        return sendError(res, 400, 'countback must be a positive integer');
+      }
+    }
+
+    const { candles, nextTime } = await getBars({ symbol: name, resolution, startDate, endDate, countBack });
+
+    if (candles.length === 0) {
+      return res.json(nextTime !== null
+        ? { s: 'no_data', nextTime: Math.floor(nextTime / 1000) }
+        : { s: 'no_data' });
+    }
+
+    res.json({
+      s: 'ok',
+      t: candles.map(candle => Math.floor(candle.time / 1000)),
+      o: candles.map(candle => candle.open),
+      h: candles.map(candle => candle.high),
+      l: candles.map(candle => candle.low),
+      c: candles.map(candle => candle.close),
+      v: candles.map(candle => candle.volume)
+    });
+  } catch (error) {
+    if (error instanceof FluxQueryError) {
+      return sendError(res, 400, error.message);
+    }
+
+    if (error instanceof CandleQueryError) {
+      return sendError(res, error.status, error.message);
+    }
+
+    console.error('Error fetching UDF history:', error);
+    return sendError(res, 500, `Failed to fetch history: ${error.message}`);
+  }
+};
+
+// Server time in seconds
+const getTime = (req, res) => {
+  res.type('text/plain').send(String(Math.floor(Date.now() / 1000)));
+};
+
+// Chart marks. Trades carry no events to mark yet, so the list is always empty.
+const getMarks = (req, res) => {
+  res.json([]);
+};
+
+module.exports = {
+  getConfig,
+  getSymbolInfo,
+  searchSymbols,
+  getHistory,
+  getTime,
+  getMarks
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Bearer token authentication of the admin API.
+ *
+ * Requests need an `Authorization: Bearer <ADMIN_API_TOKEN>` header. Without
+ * ADMIN_API_TOKEN the admin API is disabled and answers with a 503.
+ */
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+const requireAdminToken = (req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled, set ADMIN_API_TOKEN to enable it' });
+  }
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('authorization') || '');
+  const given = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(ADMIN_API_TOKEN);
+
+  // Constant-time comparison, so the token cannot be guessed from timings
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+
+  return next();
+};
+
+module.exports = {
+  requireAdminToken
+};
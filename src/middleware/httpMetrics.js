@@ -0,0 +1,27 @@
+const { httpRequests, httpRequestDuration } = require('../services/metrics');
+
+/**
+ * Counts requests and measures their latency once the response is sent.
+ *
+ * Requests are labeled with their route pattern (e.g. `/api/symbols/:symbol`)
+ * rather than their path, so the number of series stays bounded. Requests no
+ * API route matched, static files included, are labeled `unmatched`.
+ */
+
+const recordHttpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route, status: String(res.statusCode) };
+
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = {
+  recordHttpMetrics
+};
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdminToken } = require('../middleware/adminAuth');
+
+// Every admin route needs the admin token
+router.use(requireAdminToken);
+
+// Downsampling task routes
+router.get('/downsampling/tasks', adminController.listTasks);
+router.put('/downsampling/tasks', adminController.setupTasks);
+router.get('/downsampling/tasks/:resolution', adminController.getTask);
+router.put('/downsampling/tasks/:resolution', adminController.upsertTask);
+router.post('/downsampling/tasks/:resolution/pause', adminController.pauseTask);
+router.post('/downsampling/tasks/:resolution/resume', adminController.resumeTask);
+router.post('/downsampling/tasks/:resolution/run', adminController.runTask);
+router.post('/downsampling/tasks/:resolution/unlock', adminController.unlockTask);
+router.get('/downsampling/tasks/:resolution/runs', adminController.getTaskRuns);
+
+module.exports = router;
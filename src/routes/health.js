@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { influxDB, config } = require('../config/influxdb');
+const { RESOLUTIONS } = require('../config/resolutions');
+const { fromBucket } = require('../services/fluxQueryBuilder');
+const { loadTaskLeases } = require('../services/downsamplingTasks');
+const { loadCursors, describeLag } = require('../services/downsamplingProgress');
+const { listSymbols } = require('../services/symbolRegistry');
+const { register } = require('../services/metrics');
 
 /**
  * Health check routes for monitoring the application and its dependencies.
@@ -39,7 +45,7 @@ router.get('/health/detailed', async (req, res) => {
     // Check InfluxDB connection
     try {
       const queryApi = influxDB.getQueryApi(config.org);
-      const query = `from(bucket: "${config.bucket}") |> range(start: -1m) |> limit(n: 1)`;
+      const query = fromBucket(config.bucket).range('-1m').pipe('limit(n: 1)').build();
       await queryApi.collectRows(query);
       
       healthStatus.dependencies.influxdb.status = 'ok';
@@ -89,65 +95,12 @@ router.get('/health/detailed', async (req, res) => {
   }
 });
 
-// Metrics endpoint - returns basic metrics for monitoring
+// Metrics endpoint - returns Prometheus metrics. Stored data counts and the
+// downsampling lag come from the background collector, not from this request.
 router.get('/metrics', async (req, res) => {
   try {
-    const metrics = {
-      timestamp: new Date().toISOString(),
-      uptime_seconds: process.uptime(),
-      memory_usage_mb: {
-        rss: Math.round(process.memoryUsage().rss / 1024 / 1024 * 100) / 100,
-        heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024 * 100) / 100,
-        heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 100) / 100,
-        external: Math.round(process.memoryUsage().external / 1024 / 1024 * 100) / 100
-      }
-    };
-
-    // Get trade counts from InfluxDB
-    try {
-      const queryApi = influxDB.getQueryApi(config.org);
-      
-      // Count raw trades
-      const tradeCountQuery = `
-        from(bucket: "${config.bucket}")
-          |> range(start: 0)
-          |> filter(fn: (r) => r._measurement == "trade")
-          |> count()
-          |> yield(name: "count")
-      `;
-      
-      const tradeCountResult = await queryApi.collectRows(tradeCountQuery);
-      
-      if (tradeCountResult.length > 0) {
-        metrics.trade_count = tradeCountResult[0]._value;
-      }
-      
-      // Count downsampled data for each resolution
-      const resolutions = ['1m', '5m', '15m', '1h', '4h', '1d'];
-      metrics.downsampled_counts = {};
-      
-      for (const resolution of resolutions) {
-        const downsampledCountQuery = `
-          from(bucket: "${config.bucket}")
-            |> range(start: 0)
-            |> filter(fn: (r) => r._measurement == "trade_ohlc_${resolution}")
-            |> count()
-            |> yield(name: "count")
-        `;
-        
-        const downsampledCountResult = await queryApi.collectRows(downsampledCountQuery);
-        
-        if (downsampledCountResult.length > 0) {
-          metrics.downsampled_counts[resolution] = downsampledCountResult[0]._value;
-        } else {
-          metrics.downsampled_counts[resolution] = 0;
-        }
-      }
-    } catch (error) {
-      metrics.database_error = error.message;
-    }
-
-    res.status(200).json(metrics);
+    res.set('Content-Type', register.contentType);
+    res.status(200).send(await register.metrics());
   } catch (error) {
     console.error('Metrics error:', error);
     res.status(500).json({
@@ -177,7 +130,7 @@ router.get('/status', async (req, res) => {
     // Check InfluxDB connection
     try {
       const queryApi = influxDB.getQueryApi(config.org);
-      const query = `from(bucket: "${config.bucket}") |> range(start: -1m) |> limit(n: 1)`;
+      const query = fromBucket(config.bucket).range('-1m').pipe('limit(n: 1)').build();
       await queryApi.collectRows(query);
       
       status.database.status = 'ok';
@@ -216,6 +169,10 @@ router.get('/status', async (req, res) => {
         
         status.downsampling.status = recentRuns ? 'ok' : 'stale';
         status.downsampling.tasks = downsamplingTasks.length;
+        
+        // Who holds each task's lease and until when
+        const leases = await loadTaskLeases(influxDB.getQueryApi(config.org));
+        status.downsampling.leases = Object.fromEntries(downsamplingTasks.map(task => [task.name, leases.get(task.name) || null]));
       } else {
         status.downsampling.status = 'missing';
       }
@@ -224,6 +181,18 @@ router.get('/status', async (req, res) => {
       status.downsampling.error = error.message;
     }
 
+    // How far each symbol's candles are behind, per resolution
+    try {
+      const cursors = await loadCursors(influxDB.getQueryApi(config.org), config.bucket);
+      status.downsampling.lag = describeLag(
+        cursors,
+        RESOLUTIONS.map(resolution => resolution.name),
+        listSymbols().map(symbol => symbol.symbol)
+      );
+    } catch (error) {
+      status.downsampling.lagError = error.message;
+    }
+
     // Determine overall status
     if (status.database.status === 'error' || status.downsampling.status === 'error') {
       status.application.status = 'error';
@@ -1,14 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const tradeController = require('../controllers/tradeController');
+const symbolController = require('../controllers/symbolController');
+const indicatorController = require('../controllers/indicatorController');
+const downsamplingController = require('../controllers/downsamplingController');
 const healthRoutes = require('./health');
+const adminRoutes = require('./admin');
+const { requireAdminToken } = require('../middleware/adminAuth');
 
 // Trade routes
 router.get('/trades', tradeController.getTrades);
 router.post('/trades', tradeController.createTrade);
+router.post('/trades/bulk', tradeController.importTrades);
 router.get('/trades/generate', tradeController.generateFakeTrades);
 router.get('/trades/ohlc', tradeController.getOHLC);
-router.get('/symbols', tradeController.getSymbols);
+router.get('/indicators', indicatorController.getIndicators);
+router.get('/resolutions', tradeController.getResolutions);
+
+// Symbol registry routes
+router.get('/symbols', symbolController.getSymbols);
+router.post('/symbols', symbolController.createSymbol);
+router.get('/symbols/:symbol', symbolController.getSymbol);
+router.put('/symbols/:symbol', symbolController.updateSymbol);
+router.delete('/symbols/:symbol', symbolController.deleteSymbol);
+
+// Downsampling routes. Rebuilds delete stored candles, so they need the admin token
+router.post('/downsampling/rebuild', requireAdminToken, downsamplingController.createRebuild);
+router.get('/downsampling/rebuild', requireAdminToken, downsamplingController.listRebuilds);
+router.get('/downsampling/rebuild/:id', requireAdminToken, downsamplingController.getRebuild);
+router.get('/downsampling/verify', downsamplingController.verifyDownsampling);
+router.post('/downsampling/verify/rebuild', requireAdminToken, downsamplingController.verifyAndRebuild);
+router.get('/downsampling/chunks', downsamplingController.listChunks);
+
+// Admin routes, authenticated with ADMIN_API_TOKEN
+router.use('/admin', adminRoutes);
+
+// Real-time streaming routes
+router.get('/stream/bars', tradeController.streamBars);
 
 // Health and monitoring routes
 router.use('/', healthRoutes);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const udfController = require('../controllers/udfController');
+
+// TradingView UDF datafeed routes
+router.get('/config', udfController.getConfig);
+router.get('/symbols', udfController.getSymbolInfo);
+router.get('/search', udfController.searchSymbols);
+router.get('/history', udfController.getHistory);
+router.get('/time', udfController.getTime);
+router.get('/marks', udfController.getMarks);
+
+module.exports = router;
@@ -2,6 +2,7 @@ require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
 const fs = require('fs');
 const path = require('path');
+const { RESOLUTIONS, toDownsampledResolution, selectResolutionForRange } = require('../config/resolutions');
 
 /**
  * This script performs comprehensive performance benchmarking for the TradingView InfluxDB POC.
@@ -117,7 +118,7 @@ async function runBenchmark() {
     
     // Check for downsampled data
     let hasDownsampledData = false;
-    for (const resolution of ['1m', '5m', '15m', '1h', '4h', '1d']) {
+    for (const { name: resolution } of RESOLUTIONS) {
       const downsampledCountQuery = `
         from(bucket: "${config.influxdb.bucket}")
           |> range(start: 0)
@@ -220,19 +221,10 @@ async function runBenchmark() {
         url.searchParams.append('end', endDate.toISOString());
         
         // Build the query based on the controller logic
-        const downsampledResolution = getDownsampledResolution(scenario.resolution);
+        const downsampledResolution = toDownsampledResolution(scenario.resolution);
         
         // Determine if we need to force a larger resolution based on date range
-        const dateRangeDays = scenario.days;
-        let finalResolution = downsampledResolution;
-        
-        if (dateRangeDays > 365 && downsampledResolution !== '1d') {
-          finalResolution = '1d';
-        } else if (dateRangeDays > 90 && ['1m', '5m'].includes(downsampledResolution)) {
-          finalResolution = '1h';
-        } else if (dateRangeDays > 30 && downsampledResolution === '1m') {
-          finalResolution = '15m';
-        }
+        const finalResolution = selectResolutionForRange(downsampledResolution, scenario.days);
         
         // Build the query
         const query = `
@@ -374,43 +366,6 @@ async function runBenchmark() {
   }
 }
 
-// Helper function to convert resolution to InfluxDB format (simplified version from tradeController.js)
-function getDownsampledResolution(resolution) {
-  // Normalize the resolution string to lowercase for consistent processing
-  const normalizedResolution = resolution.toString().toLowerCase();
-  
-  // Core mapping of standard resolutions to their downsampled equivalents
-  const coreMapping = {
-    // Minutes
-    '1': '1m',
-    '5': '5m',
-    '15': '15m',
-    '30': '15m', // Use 15m for 30m requests
-    
-    // Hours
-    '60': '1h',
-    '120': '1h', // Use 1h for 2h requests
-    '240': '4h',
-    '360': '4h', // Use 4h for 6h requests
-    '720': '4h', // Use 4h for 12h requests
-    
-    // Days
-    'd': '1d',
-    
-    // Letter formats
-    '1m': '1m',
-    '5m': '5m',
-    '15m': '15m',
-    '30m': '15m',
-    '1h': '1h',
-    '2h': '1h',
-    '4h': '4h',
-    '1d': '1d'
-  };
-  
-  return coreMapping[normalizedResolution] || '5m';
-}
-
 // Execute the benchmark function
 runBenchmark()
   .then(() => console.log('\nBenchmark completed.'))
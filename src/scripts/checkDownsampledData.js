@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
+const { RESOLUTIONS } = require('../config/resolutions');
 
 /**
  * This script checks the downsampled data in InfluxDB.
@@ -43,7 +44,7 @@ async function checkDownsampledData() {
   // Define resolutions to check
   const resolutions = requestedResolution 
     ? [requestedResolution] 
-    : ['1m', '5m', '15m', '1h', '4h', '1d'];
+    : RESOLUTIONS.map(resolution => resolution.name);
 
   // Check each resolution
   for (const resolution of resolutions) {
@@ -1,9 +1,13 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
+const { RESOLUTIONS } = require('../config/resolutions');
+const { loadCursors, describeLag } = require('../services/downsamplingProgress');
+const { listSymbols } = require('../services/symbolRegistry');
 
 /**
  * This script checks the progress of downsampling tasks.
- * It queries the downsampling_progress measurement to see how far each task has processed.
+ * It queries the downsampling_progress measurement to see how far each task has
+ * processed every symbol, and how far each symbol is behind real-time.
  * 
  * Usage:
  * node src/scripts/checkDownsamplingProgress.js
@@ -31,74 +35,54 @@ async function checkDownsamplingProgress() {
   // Create Query API
   const queryApi = influxDB.getQueryApi(config.org);
 
-  // Define resolutions for downsampling
-  const resolutions = [
-    { name: '1m', seconds: 60, flux: '1m', every: '5m', chunkDays: 1 },
-    { name: '5m', seconds: 300, flux: '5m', every: '15m', chunkDays: 3 },
-    { name: '15m', seconds: 900, flux: '15m', every: '30m', chunkDays: 7 },
-    { name: '1h', seconds: 3600, flux: '1h', every: '1h', chunkDays: 14 },
-    { name: '4h', seconds: 14400, flux: '4h', every: '4h', chunkDays: 30 },
-    { name: '1d', seconds: 86400, flux: '1d', every: '6h', chunkDays: 90 }
-  ];
+  // Resolutions come from the shared registry
+  const resolutions = RESOLUTIONS;
 
   try {
     console.log('\nChecking downsampling progress...');
 
-    // Query to get the latest progress for each resolution
-    const progressQuery = `
-      from(bucket: "${config.bucket}")
-        |> range(start: 0)
-        |> filter(fn: (r) => r._measurement == "downsampling_progress")
-        |> filter(fn: (r) => r._field == "last_processed")
-        |> group(columns: ["resolution"])
-        |> last()
-    `;
+    // Latest progress of every resolution and symbol
+    const cursors = await loadCursors(queryApi, config.bucket);
+    const symbols = listSymbols().map(symbol => symbol.symbol);
+    const lag = describeLag(cursors, resolutions.map(resolution => resolution.name), symbols);
     
-    // Execute the query
-    const progressResult = await queryApi.collectRows(progressQuery);
-    
-    if (progressResult.length > 0) {
+    if (cursors.size > 0) {
       console.log('\nProgress of downsampling tasks:');
       
-      // Create a map of resolution to progress
-      const progressMap = new Map();
-      progressResult.forEach(row => {
-        progressMap.set(row.resolution, {
-          timestamp: row._value,
-          recordTime: new Date(row._time).toISOString()
-        });
-      });
-      
-      // Display progress for each resolution
+      // Display progress for each resolution and symbol
       for (const resolution of resolutions) {
-        const progress = progressMap.get(resolution.name);
-        if (progress) {
-          console.log(`\n${resolution.name} resolution:`);
-          console.log(`  - Last processed up to: ${progress.timestamp}`);
-          console.log(`  - Progress recorded at: ${progress.recordTime}`);
+        console.log(`\n${resolution.name} resolution:`);
+        
+        for (const symbol of symbols) {
+          const progress = lag[resolution.name][symbol];
+          if (!progress.cursor) {
+            console.log(`  ${symbol}:`);
+            console.log(`    - Status: ❓ No progress recorded yet`);
+            console.log(`    - The symbol is downsampled from its first trade on the next runs.`);
+            continue;
+          }
           
-          // Calculate how far behind real-time
-          const lastProcessedTime = new Date(progress.timestamp);
-          const now = new Date();
-          const behindMs = now.getTime() - lastProcessedTime.getTime();
-          const behindHours = behindMs / (1000 * 60 * 60);
+          // How far behind real-time
+          const behindHours = progress.lagSeconds / (60 * 60);
           const behindDays = behindHours / 24;
           
-          console.log(`  - Behind real-time: ${behindHours.toFixed(2)} hours (${behindDays.toFixed(2)} days)`);
+          console.log(`  ${symbol}:`);
+          console.log(`    - Last processed up to: ${progress.cursor}`);
+          console.log(`    - Behind real-time: ${behindHours.toFixed(2)} hours (${behindDays.toFixed(2)} days)`);
           
-          // Check if the task is keeping up
+          // Check if the symbol is keeping up
           if (behindHours < 1) {
-            console.log(`  - Status: ✅ Up to date (less than 1 hour behind)`);
+            console.log(`    - Status: ✅ Up to date (less than 1 hour behind)`);
           } else if (behindHours < 24) {
-            console.log(`  - Status: ⚠️ Slightly behind (${behindHours.toFixed(2)} hours)`);
+            console.log(`    - Status: ⚠️ Slightly behind (${behindHours.toFixed(2)} hours)`);
           } else {
-            console.log(`  - Status: ❌ Significantly behind (${behindDays.toFixed(2)} days)`);
+            console.log(`    - Status: ❌ Significantly behind (${behindDays.toFixed(2)} days)`);
           }
           
           // Calculate estimated completion time based on chunk size
           const chunkDays = resolution.chunkDays;
           const estimatedRuns = Math.ceil(behindDays / chunkDays);
-          console.log(`  - Estimated runs needed to catch up: ${estimatedRuns}`);
+          console.log(`    - Estimated runs needed to catch up: ${estimatedRuns}`);
           
           // Calculate estimated time to completion based on task frequency
           const taskFrequency = resolution.every.match(/(\d+)([mh])/);
@@ -112,20 +96,12 @@ async function checkDownsamplingProgress() {
             }
             
             const estimatedHours = estimatedRuns * freqHours;
-            console.log(`  - Estimated time to catch up: ${estimatedHours.toFixed(2)} hours`);
-            
             if (estimatedHours < 24) {
-              console.log(`  - Catch-up ETA: ${estimatedHours.toFixed(2)} hours`);
+              console.log(`    - Catch-up ETA: ${estimatedHours.toFixed(2)} hours`);
             } else {
-              console.log(`  - Catch-up ETA: ${(estimatedHours / 24).toFixed(2)} days`);
+              console.log(`    - Catch-up ETA: ${(estimatedHours / 24).toFixed(2)} days`);
             }
           }
-        } else {
-          console.log(`\n${resolution.name} resolution:`);
-          console.log(`  - Status: ❓ No progress recorded yet`);
-          console.log(`  - The task may not have run or completed a chunk yet.`);
-          console.log(`  - Try running the task manually:`);
-          console.log(`    node src/scripts/runDownsamplingTask.js Downsample_Trades_${resolution.name}`);
         }
       }
     } else {
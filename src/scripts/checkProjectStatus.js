@@ -1,6 +1,7 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
 const { TasksAPI } = require('@influxdata/influxdb-client-apis');
+const { RESOLUTIONS } = require('../config/resolutions');
 const fs = require('fs');
 const path = require('path');
 
@@ -175,7 +176,7 @@ async function checkDataAvailability() {
     }
     
     // Check for downsampled data
-    const resolutions = ['1m', '5m', '15m', '1h', '4h', '1d'];
+    const resolutions = RESOLUTIONS.map(resolution => resolution.name);
     let hasDownsampledData = false;
     
     for (const resolution of resolutions) {
@@ -262,7 +263,7 @@ async function checkDownsamplingTasks() {
       console.log(`✅ Found ${downsamplingTasks.length} downsampling tasks.`);
       
       // Check expected resolutions
-      const resolutions = ['1m', '5m', '15m', '1h', '4h', '1d'];
+      const resolutions = RESOLUTIONS.map(resolution => resolution.name);
       const foundResolutions = downsamplingTasks.map(t => {
         const match = t.name.match(/Downsample_Trades_(.+)/);
         return match ? match[1] : null;
@@ -1,9 +1,11 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
+const { loadTaskLeases } = require('../services/downsamplingTasks');
 
 /**
  * This script checks the current status of all downsampling tasks in the task_status bucket.
- * It helps identify if any tasks are stuck in the "running" state.
+ * It shows who holds each task's lease and when it expires, and which leases
+ * of crashed runs have expired and will be reclaimed by the next run.
  * 
  * Usage:
  * node src/scripts/checkTaskStatus.js
@@ -34,20 +36,10 @@ async function checkTaskStatus() {
   try {
     console.log('\nChecking task status...');
     
-    // Query to get the latest status for each task
-    const statusQuery = `
-      from(bucket: "${config.statusBucket}")
-        |> range(start: -24h)
-        |> filter(fn: (r) => r._measurement == "task_status")
-        |> filter(fn: (r) => r._field == "status")
-        |> group(columns: ["task_name"])
-        |> last()
-    `;
+    // Latest lease of each task in the last 24 hours
+    const leases = await loadTaskLeases(queryApi, config.statusBucket);
     
-    // Execute the query
-    const statusResult = await queryApi.collectRows(statusQuery);
-    
-    if (statusResult.length === 0) {
+    if (leases.size === 0) {
       console.log('No task status records found.');
       return;
     }
@@ -55,25 +47,27 @@ async function checkTaskStatus() {
     console.log('\nCurrent task status:');
     console.log('--------------------');
     
-    // Display the status of each task
-    for (const row of statusResult) {
-      console.log(`Task: ${row.task_name}`);
-      console.log(`Status: ${row._value}`);
-      console.log(`Last Updated: ${new Date(row._time).toISOString()}`);
+    // Display the status and lease of each task
+    for (const [taskName, lease] of leases) {
+      console.log(`Task: ${taskName}`);
+      console.log(`Status: ${lease.status}${lease.expired ? ' (lease expired)' : ''}`);
+      console.log(`Lease Owner: ${lease.owner || 'none'}`);
+      console.log(`Lease Expires: ${lease.expiresAt || 'never'}`);
+      console.log(`Last Updated: ${lease.updatedAt}`);
       console.log('--------------------');
     }
     
-    // Check for tasks in "running" state
-    const runningTasks = statusResult.filter(row => row._value === 'running');
+    // Running leases past their expiry were left by crashed runs
+    const expiredTasks = [...leases].filter(([, lease]) => lease.expired);
     
-    if (runningTasks.length > 0) {
-      console.log('\nWARNING: The following tasks are stuck in "running" state:');
-      for (const task of runningTasks) {
-        console.log(`- ${task.task_name} (since ${new Date(task._time).toISOString()})`);
+    if (expiredTasks.length > 0) {
+      console.log('\nWARNING: The following tasks were left in "running" state by a crashed run:');
+      for (const [taskName, lease] of expiredTasks) {
+        console.log(`- ${taskName} (leased by ${lease.owner || 'an unknown run'}, expired ${lease.expiresAt || 'without expiry'})`);
       }
       
-      console.log('\nTo reset these tasks, run:');
-      console.log('node src/scripts/resetTaskStatus.js');
+      console.log('\nTheir next run reclaims the lease. To release it now, use:');
+      console.log('POST /api/admin/downsampling/tasks/<resolution>/unlock');
     } else {
       console.log('\nAll tasks are in a normal state.');
     }
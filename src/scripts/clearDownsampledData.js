@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
+const { RESOLUTIONS } = require('../config/resolutions');
 const { DeleteAPI } = require('@influxdata/influxdb-client-apis');
 
 async function clearDownsampledData() {
@@ -41,7 +42,7 @@ async function clearDownsampledData() {
   console.log(`Found bucket ID: ${bucketID}`);
   
   // Define resolutions
-  const resolutions = ['1m', '5m', '15m', '1h', '4h', '1d'];
+  const resolutions = RESOLUTIONS.map(resolution => resolution.name);
   
   // Delete downsampled data for each resolution
   for (const resolution of resolutions) {
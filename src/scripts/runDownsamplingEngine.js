@@ -0,0 +1,94 @@
+require('dotenv').config();
+const { InfluxDB } = require('@influxdata/influxdb-client');
+const { RESOLUTIONS } = require('../config/resolutions');
+const { DOWNSAMPLING_ENGINE, DOWNSAMPLING_INTERVAL_MS } = require('../config/downsampling');
+const { DownsamplingEngine } = require('../services/downsamplingEngine');
+
+/**
+ * This script runs the Node downsampling engine outside the API server.
+ * It catches the given resolution (or all of them) up with its trades or
+ * source candles and exits, or keeps running every DOWNSAMPLING_INTERVAL_MS
+ * with --watch. A single resolution only gets as far as its source's cursor.
+ *
+ * Usage:
+ * node src/scripts/runDownsamplingEngine.js [resolution|all] [--watch]
+ *
+ * Examples:
+ * node src/scripts/runDownsamplingEngine.js all
+ * node src/scripts/runDownsamplingEngine.js 1m
+ * node src/scripts/runDownsamplingEngine.js all --watch
+ *
+ * Set DOWNSAMPLING_IN_PROCESS=false so the API server does not run the
+ * engine at the same time.
+ */
+
+async function runDownsamplingEngine() {
+  const target = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'all';
+  const watch = process.argv.includes('--watch');
+
+  const resolutions = target === 'all'
+    ? RESOLUTIONS
+    : RESOLUTIONS.filter(resolution => resolution.name === target);
+
+  if (resolutions.length === 0) {
+    console.error(`Error: Unknown resolution '${target}'`);
+    console.log(`Available resolutions: ${RESOLUTIONS.map(resolution => resolution.name).join(', ')}, all`);
+    process.exit(1);
+  }
+
+  if (DOWNSAMPLING_ENGINE !== 'node') {
+    console.log('Warning: DOWNSAMPLING_ENGINE is not "node", the InfluxDB tasks may be writing the same candles.');
+  }
+
+  // Get configuration from environment variables
+  const config = {
+    url: process.env.INFLUXDB_URL,
+    token: process.env.INFLUXDB_TOKEN,
+    org: process.env.INFLUXDB_ORG,
+    bucket: process.env.INFLUXDB_BUCKET
+  };
+
+  console.log('Connecting to InfluxDB at:', config.url);
+  console.log('Using organization:', config.org);
+  console.log('Using bucket:', config.bucket);
+
+  const influxDB = new InfluxDB({
+    url: config.url,
+    token: config.token
+  });
+
+  const writeApi = influxDB.getWriteApi(config.org, config.bucket, 'ns');
+
+  const engine = new DownsamplingEngine({
+    queryApi: influxDB.getQueryApi(config.org),
+    writeApi,
+    bucket: config.bucket,
+    resolutions
+  });
+
+  if (watch) {
+    engine.start(DOWNSAMPLING_INTERVAL_MS);
+
+    const shutdown = async () => {
+      console.log('Stopping the downsampling engine...');
+      await engine.stop();
+      await writeApi.close();
+      process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    return;
+  }
+
+  console.log(`\nDownsampling ${resolutions.map(resolution => resolution.name).join(', ')}...`);
+  await engine.runAll();
+  await writeApi.close();
+  console.log('\nDownsampling completed.');
+}
+
+runDownsamplingEngine()
+  .catch(error => {
+    console.error('Error running the downsampling engine:', error);
+    process.exit(1);
+  });
@@ -1,11 +1,12 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
 const { TasksAPI } = require('@influxdata/influxdb-client-apis');
+const { loadTaskLeases, releaseTaskLease, isLeaseRunActive } = require('../services/downsamplingTasks');
 
 /**
  * This script runs a specific InfluxDB task by name.
  * It can be used to manually trigger the downsampling tasks.
- * It checks if a task is already running before triggering it.
+ * It checks if a run of the task holds its lease before triggering it.
  * 
  * Usage:
  * node src/scripts/runDownsamplingTask.js <task_name>
@@ -17,8 +18,14 @@ const { TasksAPI } = require('@influxdata/influxdb-client-apis');
  * You can also run all downsampling tasks at once:
  * node src/scripts/runDownsamplingTask.js all
  * 
- * Use the --force flag to run a task even if it's already running:
+ * Use the --force flag to take over the lease of a run that has stopped:
  * node src/scripts/runDownsamplingTask.js Downsample_Trades_1m --force
+ * 
+ * The task skips runs while its lease is held, so --force releases the lease
+ * first, but only when InfluxDB lists the run holding it as finished (it
+ * failed or was canceled before releasing it). Tasks whose run is still going
+ * are not run. Without --force, leases of crashed runs expire after
+ * DOWNSAMPLING_LEASE_MS and are then reclaimed.
  */
 
 async function runTask() {
@@ -63,6 +70,9 @@ async function runTask() {
   // Create Query API
   const queryApi = influxDB.getQueryApi(config.org);
 
+  // Write API of the status bucket, to release leases with --force
+  const statusWriteApi = influxDB.getWriteApi(config.org, config.statusBucket, 'ns');
+
   try {
     // List all tasks
     console.log('\nAvailable tasks:');
@@ -102,37 +112,24 @@ async function runTask() {
     }
     
     // Check task status before running
+    console.log('\nChecking task leases before running...');
+
+    // Latest lease of each task
+    const leases = await loadTaskLeases(queryApi, config.statusBucket);
+
     if (!forceRun) {
-      console.log('\nChecking task status before running...');
-      
-      // Query to get the latest status for each task
-      const statusQuery = `
-        from(bucket: "${config.statusBucket}")
-          |> range(start: -1h)
-          |> filter(fn: (r) => r._measurement == "task_status")
-          |> filter(fn: (r) => r._field == "status")
-          |> group(columns: ["task_name"])
-          |> last()
-      `;
-      
-      // Execute the query
-      const statusResult = await queryApi.collectRows(statusQuery);
-      
-      // Create a map of task name to status
-      const statusMap = new Map();
-      statusResult.forEach(row => {
-        statusMap.set(row.task_name, row._value);
-      });
-      
-      // Filter out tasks that are already running
+      // Filter out tasks whose lease is held by a run
       const runningTasks = [];
       const tasksToRunFiltered = [];
       
       for (const task of tasksToRun) {
-        const status = statusMap.get(task.name);
-        if (status === 'running') {
+        const lease = leases.get(task.name);
+        if (lease && lease.held) {
           runningTasks.push(task);
         } else {
+          if (lease && lease.expired) {
+            console.log(`The lease of ${task.name} held by ${lease.owner || 'an unknown run'} has expired, the run will reclaim it.`);
+          }
           tasksToRunFiltered.push(task);
         }
       }
@@ -140,9 +137,10 @@ async function runTask() {
       if (runningTasks.length > 0) {
         console.log('\nThe following tasks are already running:');
         runningTasks.forEach(task => {
-          console.log(`- ${task.name}`);
+          const lease = leases.get(task.name);
+          console.log(`- ${task.name} (leased by ${lease.owner} until ${lease.expiresAt})`);
         });
-        console.log('\nUse --force flag to run them anyway.');
+        console.log('\nUse --force flag to take over the lease of a run that has stopped.');
       }
       
       // Update the list of tasks to run
@@ -150,11 +148,36 @@ async function runTask() {
       
       if (tasksToRun.length === 0) {
         console.log('\nNo tasks to run. All specified tasks are already running.');
-        console.log('Use --force flag to run them anyway.');
+        console.log('Use --force flag to take over the lease of a run that has stopped.');
         return;
       }
     } else {
-      console.log('\nForce flag detected. Running tasks even if they are already running.');
+      console.log('\nForce flag detected. Taking over the leases of runs that have stopped.');
+
+      // The tasks skip runs while their lease is held, and two runs at once
+      // would downsample the same chunks
+      const tasksToRunFiltered = [];
+      for (const task of tasksToRun) {
+        const lease = leases.get(task.name);
+        if (await isLeaseRunActive(tasksApi, task.id, lease)) {
+          console.log(`- ${task.name} is leased by ${lease.owner} until ${lease.expiresAt} and that run is still going, not running it.`);
+          console.log(`  Unlock it only if the run is known to be dead: POST /api/admin/downsampling/tasks/<resolution>/unlock`);
+          continue;
+        }
+
+        if (lease && lease.held) {
+          await releaseTaskLease(statusWriteApi, task.name, 'runDownsamplingTask');
+          console.log(`Released the lease of ${task.name} held by ${lease.owner} until ${lease.expiresAt}, its run has stopped`);
+        }
+        tasksToRunFiltered.push(task);
+      }
+
+      tasksToRun = tasksToRunFiltered;
+
+      if (tasksToRun.length === 0) {
+        console.log('\nNo tasks to run. All specified tasks are still running.');
+        return;
+      }
     }
     
     // Run each task
@@ -175,6 +198,8 @@ async function runTask() {
   } catch (error) {
     console.error('Error running task:', error);
     process.exit(1);
+  } finally {
+    await statusWriteApi.close();
   }
 }
 
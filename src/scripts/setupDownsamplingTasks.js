@@ -1,15 +1,20 @@
 require('dotenv').config();
-const { InfluxDB, Point } = require('@influxdata/influxdb-client');
-const { TasksAPI } = require('@influxdata/influxdb-client-apis');
+const { InfluxDB } = require('@influxdata/influxdb-client');
+const { TasksAPI, OrgsAPI, BucketsAPI } = require('@influxdata/influxdb-client-apis');
+const { RESOLUTIONS } = require('../config/resolutions');
+const { DOWNSAMPLING_ENGINE } = require('../config/downsampling');
+const { DownsamplingEngine } = require('../services/downsamplingEngine');
+const { DownsamplingTaskManager, STATUS_BUCKET } = require('../services/downsamplingTasks');
 
 /**
  * This script sets up InfluxDB tasks to downsample trade data into different time resolutions.
  * It creates pre-aggregated OHLC (Open, High, Low, Close) data for each resolution.
  * 
- * Resolutions: 1s, 1m, 5m, 15m, 45m, 1h, 3h, 4h, 1d, 1w, 1M
+ * Resolutions are defined in src/config/resolutions.js
+ * (currently 1s, 1m, 5m, 15m, 45m, 1h, 3h, 4h, 1d, 1w, 1M)
  * 
  * Each task will:
- * 1. Check if the task is already running (using task_status bucket)
+ * 1. Take the task's lease, unless another run holds it (using task_status bucket)
  * 2. Check for existing downsampled data
  * 3. Process all unprocessed data from the earliest trade to now
  * 4. Run incrementally to avoid reprocessing already downsampled data
@@ -17,19 +22,41 @@ const { TasksAPI } = require('@influxdata/influxdb-client-apis');
  * 
  * The tasks are optimized for performance with large datasets (50M+ records).
  * 
+ * Only the finest resolutions read raw trades. The others aggregate the
+ * candles of their `source` resolution (e.g. 1h from 15m) and never go past
+ * that resolution's progress cursor.
+ * 
+ * Daily and longer candles start when each symbol's session opens in its
+ * timezone. The symbols' settings are read from the symbol registry when the
+ * tasks are set up, so rerun this script after changing a symbol's session or
+ * timezone.
+ * 
  * Tasks are scheduled to run every minute. The task status check ensures that
  * if a task is still running when it's scheduled to run again, the new run will
  * exit immediately, preventing multiple instances from running simultaneously.
+ * Leases expire after DOWNSAMPLING_LEASE_MS, so a crashed run does not block
+ * the task for longer than that.
+ * 
+ * The Flux scripts are built by src/services/downsamplingTaskScript.js. The
+ * tasks can also be set up, paused, triggered and unlocked over the admin API
+ * (/api/admin/downsampling).
  */
 
 async function setupDownsamplingTasks() {
+  // The Node engine writes the same candles, the tasks would compete with it
+  if (DOWNSAMPLING_ENGINE === 'node') {
+    console.log('DOWNSAMPLING_ENGINE is "node", not creating InfluxDB tasks.');
+    console.log('Delete existing tasks with: node src/scripts/deleteTasks.js Downsample_Trades');
+    return;
+  }
+
   // Get configuration from environment variables
   const config = {
     url: process.env.INFLUXDB_URL,
     token: process.env.INFLUXDB_TOKEN,
     org: process.env.INFLUXDB_ORG,
     bucket: process.env.INFLUXDB_BUCKET,
-    statusBucket: 'task_status' // New bucket for storing task status
+    statusBucket: STATUS_BUCKET // Bucket for storing task status
   };
 
   console.log('Connecting to InfluxDB at:', config.url);
@@ -43,79 +70,37 @@ async function setupDownsamplingTasks() {
     token: config.token
   });
 
-  // Create Tasks API client
-  const tasksApi = new TasksAPI(influxDB);
-  
-  // Create bucket for task status if it doesn't exist
-  await createStatusBucket(influxDB, config);
+  const queryApi = influxDB.getQueryApi(config.org);
+  const writeApi = influxDB.getWriteApi(config.org, config.bucket, 'ns');
+  const statusWriteApi = influxDB.getWriteApi(config.org, config.statusBucket, 'ns');
+
+  // Same task management as the admin API
+  const manager = new DownsamplingTaskManager({
+    engine: new DownsamplingEngine({ queryApi, writeApi, bucket: config.bucket }),
+    tasksApi: new TasksAPI(influxDB),
+    orgsApi: new OrgsAPI(influxDB),
+    bucketsApi: new BucketsAPI(influxDB),
+    queryApi,
+    writeApi,
+    statusWriteApi,
+    org: config.org,
+    bucket: config.bucket,
+    statusBucket: config.statusBucket
+  });
 
-  // Define resolutions for downsampling - all running every 1 minute
-  const resolutions = [
-    { name: '1s', seconds: 1, flux: '1s', every: '1m', chunkDays: 0.5 },     // Run every minute, process 0.5 day chunks
-    { name: '1m', seconds: 60, flux: '1m', every: '1m', chunkDays: 1 },      // Run every minute, process 1 day chunks
-    { name: '5m', seconds: 300, flux: '5m', every: '1m', chunkDays: 3 },     // Run every minute, process 3 day chunks
-    { name: '15m', seconds: 900, flux: '15m', every: '1m', chunkDays: 7 },   // Run every minute, process 7 day chunks
-    { name: '45m', seconds: 2700, flux: '45m', every: '1m', chunkDays: 10 }, // Run every minute, process 10 day chunks
-    { name: '1h', seconds: 3600, flux: '1h', every: '1m', chunkDays: 14 },   // Run every minute, process 14 day chunks
-    { name: '3h', seconds: 10800, flux: '3h', every: '1m', chunkDays: 20 },  // Run every minute, process 20 day chunks
-    { name: '4h', seconds: 14400, flux: '4h', every: '1m', chunkDays: 30 },  // Run every minute, process 30 day chunks
-    { name: '1d', seconds: 86400, flux: '1d', every: '1m', chunkDays: 90 },  // Run every minute, process 90 day chunks
-    { name: '1w', seconds: 604800, flux: '1w', every: '1m', chunkDays: 180 },// Run every minute, process 180 day chunks
-    { name: '1M', seconds: 2592000, flux: '1M', every: '1m', chunkDays: 365 }// Run every minute, process 365 day chunks
-  ];
+  // Create or update a task for each resolution of the shared registry
+  await manager.setupTasks();
 
-  // Get organization ID
-  const orgsApi = new (require('@influxdata/influxdb-client-apis').OrgsAPI)(influxDB);
-  const orgs = await orgsApi.getOrgs({ org: config.org });
-  if (!orgs || !orgs.orgs || orgs.orgs.length === 0) {
-    throw new Error(`Organization '${config.org}' not found`);
+  // Release the lease of every task, which also unlocks stuck tasks
+  try {
+    await manager.writeInitialStatus(RESOLUTIONS);
+    console.log('Initial status points created successfully.');
+  } catch (error) {
+    console.error('Error creating initial status points:', error);
   }
-  const orgID = orgs.orgs[0].id;
-
-  // Create a task for each resolution
-  for (const resolution of resolutions) {
-    try {
-      // Check if task already exists
-      const tasks = await tasksApi.getTasks({
-        name: `Downsample_Trades_${resolution.name}`
-      });
 
-      if (tasks && tasks.tasks && tasks.tasks.length > 0) {
-        console.log(`Task for ${resolution.name} already exists. Updating...`);
-        
-        // Get the existing task
-        const existingTask = tasks.tasks[0];
-        
-        // Update the task with the new flux script
-        await tasksApi.patchTasksID({
-          taskID: existingTask.id,
-          body: {
-            flux: createFluxScript(config.bucket, config.statusBucket, resolution),
-            every: resolution.every
-          }
-        });
-        
-        console.log(`Task for ${resolution.name} updated successfully.`);
-      } else {
-        // Create a new task
-        const task = {
-          name: `Downsample_Trades_${resolution.name}`,
-          orgID: orgID,
-          status: 'active',
-          flux: createFluxScript(config.bucket, config.statusBucket, resolution),
-          every: resolution.every
-        };
-
-        await tasksApi.postTasks({ body: task });
-        console.log(`Task for ${resolution.name} created successfully.`);
-      }
-    } catch (error) {
-      console.error(`Error creating/updating task for ${resolution.name}:`, error);
-    }
-  }
-  
-  // Create initial status points for each task
-  await createInitialStatusPoints(influxDB, config, resolutions);
+  await writeApi.close();
+  await statusWriteApi.close();
   
   console.log('\nDownsampling tasks setup completed.');
   console.log('Each task will automatically process all historical data and keep up with new data.');
@@ -124,301 +109,16 @@ async function setupDownsamplingTasks() {
   console.log('Each task will check if it is already running before starting a new run.');
   console.log('\nTo manually trigger a task, use:');
   console.log('node src/scripts/runDownsamplingTask.js Downsample_Trades_<resolution>');
+  console.log('or POST /api/admin/downsampling/tasks/<resolution>/run');
   console.log('\nTo verify the tasks and check progress, use:');
   console.log('node src/scripts/verifyDownsamplingTasks.js');
 }
 
-/**
- * Creates a status bucket for storing task status if it doesn't exist
- */
-async function createStatusBucket(influxDB, config) {
-  try {
-    // Create bucket for task status if it doesn't exist
-    const { OrgsAPI, BucketsAPI } = require('@influxdata/influxdb-client-apis');
-    const orgsAPI = new OrgsAPI(influxDB);
-    const bucketsAPI = new BucketsAPI(influxDB);
-    
-    // Get organization ID
-    const orgs = await orgsAPI.getOrgs({ org: config.org });
-    if (!orgs || !orgs.orgs || orgs.orgs.length === 0) {
-      throw new Error(`Organization '${config.org}' not found`);
-    }
-    const orgID = orgs.orgs[0].id;
-    
-    // Check if status bucket exists
-    const buckets = await bucketsAPI.getBuckets({ name: config.statusBucket });
-    
-    // Create status bucket if it doesn't exist
-    if (!buckets || !buckets.buckets || buckets.buckets.length === 0) {
-      console.log(`Status bucket '${config.statusBucket}' not found. Creating it...`);
-      
-      // Create the bucket with infinite retention
-      await bucketsAPI.postBuckets({
-        body: {
-          orgID,
-          name: config.statusBucket,
-          retentionRules: []  // Empty array means infinite retention
-        }
-      });
-      
-      console.log(`Status bucket '${config.statusBucket}' created successfully.`);
-    } else {
-      console.log(`Status bucket '${config.statusBucket}' already exists.`);
-    }
-  } catch (error) {
-    console.error('Error creating status bucket:', error);
-    throw error;
-  }
-}
-
-/**
- * Creates initial status points for each task
- * This is necessary because the Flux script needs existing points to use as templates
- */
-async function createInitialStatusPoints(influxDB, config, resolutions) {
-  try {
-    // Create a write API client
-    const writeApi = influxDB.getWriteApi(config.org, config.statusBucket, 'ns');
-    
-    // Create initial status points for each task
-    for (const resolution of resolutions) {
-      const point = new Point('task_status')
-        .tag('task_name', `Downsample_Trades_${resolution.name}`)
-        .stringField('status', 'completed');
-      
-      writeApi.writePoint(point);
-    }
-    
-    // Create initial log points
-    const logWriteApi = influxDB.getWriteApi(config.org, config.bucket, 'ns');
-    
-    for (const resolution of resolutions) {
-      const point = new Point('task_logs')
-        .tag('task', `Downsample_Trades_${resolution.name}`)
-        .stringField('message', 'Initial setup');
-      
-      logWriteApi.writePoint(point);
-    }
-    
-    // Flush the write API
-    await writeApi.flush();
-    await writeApi.close();
-    
-    await logWriteApi.flush();
-    await logWriteApi.close();
-    
-    console.log('Initial status points created successfully.');
-  } catch (error) {
-    console.error('Error creating initial status points:', error);
-  }
-}
-
-/**
- * Creates a Flux script for downsampling trade data to a specific resolution
- * This script handles both initial backfill and ongoing downsampling in a single task
- * It includes a mechanism to ensure task status is always properly set to "completed"
- */
-function createFluxScript(bucket, statusBucket, resolution) {
-  return `
-// Task to downsample trade data to ${resolution.name} resolution
-option task = {
-  name: "Downsample_Trades_${resolution.name}",
-  every: ${resolution.every}
-}
-
-// Check if this task is already running
-task_status = from(bucket: "${statusBucket}")
-  |> range(start: -1h)
-  |> filter(fn: (r) => r._measurement == "task_status")
-  |> filter(fn: (r) => r.task_name == "Downsample_Trades_${resolution.name}")
-  |> filter(fn: (r) => r._field == "status")
-  |> last()
-  |> findRecord(fn: (key) => true, idx: 0)
-
-// Check if the task is already running
-is_running = if exists task_status and exists task_status._value and task_status._value == "running" then true else false
-
-// Function to mark task as completed - will be called at the end of the task
-mark_task_completed = () => {
-  from(bucket: "${statusBucket}")
-    |> range(start: -1h)
-    |> filter(fn: (r) => r._measurement == "task_status")
-    |> filter(fn: (r) => r.task_name == "Downsample_Trades_${resolution.name}")
-    |> last()
-    |> set(key: "_value", value: "completed")
-    |> to(bucket: "${statusBucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  return 1
-}
-
-// Main task logic with overlap prevention
-main_task = () => {
-  // Mark the task as running
-  from(bucket: "${statusBucket}")
-    |> range(start: -1h)
-    |> filter(fn: (r) => r._measurement == "task_status")
-    |> filter(fn: (r) => r.task_name == "Downsample_Trades_${resolution.name}")
-    |> last()
-    |> set(key: "_value", value: "running")
-    |> to(bucket: "${statusBucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Log that we're starting the task
-  from(bucket: "${bucket}")
-    |> range(start: -1h)
-    |> filter(fn: (r) => r._measurement == "task_logs")
-    |> filter(fn: (r) => r.task == "Downsample_Trades_${resolution.name}")
-    |> last()
-    |> set(key: "_value", value: "Starting task run")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Get the latest progress record if it exists
-  last_processed = from(bucket: "${bucket}")
-    |> range(start: 0)
-    |> filter(fn: (r) => r._measurement == "downsampling_progress")
-    |> filter(fn: (r) => r.resolution == "${resolution.name}")
-    |> filter(fn: (r) => r._field == "last_processed")
-    |> last()
-    |> findRecord(fn: (key) => true, idx: 0)
-  
-  // Set the start time based on progress or default to 2022-01-01
-  start_time = if exists last_processed and exists last_processed._value then
-      time(v: string(v: last_processed._value))
-    else
-      time(v: "2022-01-01T00:00:00Z")
-  
-  // Calculate chunk duration in nanoseconds (${resolution.chunkDays} days)
-  chunk_duration_ns = ${resolution.chunkDays} * 24 * 60 * 60 * 1000000000
-  
-  // Calculate the chunk end time using addition in nanoseconds
-  start_time_ns = int(v: start_time)
-  end_time_ns = start_time_ns + chunk_duration_ns
-  end_time = time(v: end_time_ns)
-  
-  // Limit the end time to now to avoid processing future data
-  current_time = now()
-  final_end_time = if end_time > current_time then
-      current_time
-    else
-      end_time
-  
-  // Process trade data for this chunk
-  // We'll use a single query to process all the data to reduce the chance of failure
-  // This is more efficient and less likely to cause issues
-  
-  // Process OHLC data
-  data = from(bucket: "${bucket}")
-    |> range(start: start_time, stop: final_end_time)
-    |> filter(fn: (r) => r._measurement == "trade")
-  
-  // Open price
-  data
-    |> filter(fn: (r) => r._field == "price")
-    |> window(every: ${resolution.flux})
-    |> first()
-    |> duplicate(column: "_stop", as: "_time")
-    |> set(key: "_measurement", value: "trade_ohlc_${resolution.name}")
-    |> set(key: "_field", value: "open")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // High price
-  data
-    |> filter(fn: (r) => r._field == "price")
-    |> window(every: ${resolution.flux})
-    |> max()
-    |> duplicate(column: "_stop", as: "_time")
-    |> set(key: "_measurement", value: "trade_ohlc_${resolution.name}")
-    |> set(key: "_field", value: "high")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Low price
-  data
-    |> filter(fn: (r) => r._field == "price")
-    |> window(every: ${resolution.flux})
-    |> min()
-    |> duplicate(column: "_stop", as: "_time")
-    |> set(key: "_measurement", value: "trade_ohlc_${resolution.name}")
-    |> set(key: "_field", value: "low")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Close price
-  data
-    |> filter(fn: (r) => r._field == "price")
-    |> window(every: ${resolution.flux})
-    |> last()
-    |> duplicate(column: "_stop", as: "_time")
-    |> set(key: "_measurement", value: "trade_ohlc_${resolution.name}")
-    |> set(key: "_field", value: "close")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Volume
-  data
-    |> filter(fn: (r) => r._field == "amount")
-    |> window(every: ${resolution.flux})
-    |> sum()
-    |> duplicate(column: "_stop", as: "_time")
-    |> set(key: "_measurement", value: "trade_ohlc_${resolution.name}")
-    |> set(key: "_field", value: "volume")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Write the progress record after processing this chunk
-  from(bucket: "${bucket}")
-    |> range(start: start_time, stop: final_end_time)
-    |> filter(fn: (r) => r._measurement == "trade")
-    |> last()
-    |> map(fn: (r) => ({
-        _time: now(),
-        _measurement: "downsampling_progress",
-        _field: "last_processed",
-        resolution: "${resolution.name}",
-        _value: string(v: final_end_time)
-      })
-    )
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  // Log that we're finishing the task
-  from(bucket: "${bucket}")
-    |> range(start: -1h)
-    |> filter(fn: (r) => r._measurement == "task_logs")
-    |> filter(fn: (r) => r.task == "Downsample_Trades_${resolution.name}")
-    |> last()
-    |> set(key: "_value", value: "Task run completed")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-  
-  return 1
-}
-
-// Skip task log for when task is already running
-skip_task = () => {
-  // Log that we're skipping this run
-  from(bucket: "${bucket}")
-    |> range(start: -1h)
-    |> filter(fn: (r) => r._measurement == "task_logs")
-    |> filter(fn: (r) => r.task == "Downsample_Trades_${resolution.name}")
-    |> last()
-    |> set(key: "_value", value: "Task is already running, skipping this run")
-    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
-    
-  return 0
-}
-
-// Run the appropriate function based on task status
-// We'll use a different approach to ensure the task status is always set to "completed"
-
-// First, check if the task is already running
-if is_running then
-  // If it's already running, just skip it
-  skip_task()
-else
-  // If it's not running, run the task and then mark it as completed
-  main_task()
-  
-  // Always mark the task as completed at the end
-  // This ensures the task won't get stuck in the "running" state
-  mark_task_completed()
-`;
+// Execute the setup function when run as a script
+if (require.main === module) {
+  setupDownsamplingTasks()
+    .then(() => console.log('Downsampling tasks setup completed.'))
+    .catch(error => console.error('Error setting up downsampling tasks:', error));
 }
 
-// Execute the setup function
-setupDownsamplingTasks()
-  .then(() => console.log('Downsampling tasks setup completed.'))
-  .catch(error => console.error('Error setting up downsampling tasks:', error));
+module.exports = { setupDownsamplingTasks };
@@ -10,7 +10,7 @@ const execPromise = util.promisify(exec);
  * It will:
  * 1. Run a task
  * 2. Try to run it again immediately (should be skipped by the runDownsamplingTask.js script)
- * 3. Force run it with --force flag (should be skipped by the Flux script)
+ * 3. Force run it with --force flag (should be refused, the run holding the lease is still going)
  * 4. Check the task logs to verify the overlap prevention is working
  * 
  * Usage:
@@ -86,10 +86,11 @@ async function testOverlapPrevention() {
     console.log('Result:');
     console.log(result2.stdout);
     
-    // Step 3: Force run it with --force flag (should be skipped by the Flux script)
+    // Step 3: Force run it with --force flag (should be refused, the run holding the lease is still going)
     console.log(`\nStep 3: Force running task Downsample_Trades_${resolution}...`);
-    await execPromise(`node src/scripts/runDownsamplingTask.js Downsample_Trades_${resolution} --force`);
-    console.log('Task force triggered successfully.');
+    const result3 = await execPromise(`node src/scripts/runDownsamplingTask.js Downsample_Trades_${resolution} --force`);
+    console.log('Result:');
+    console.log(result3.stdout);
     
     // Wait a moment for the task to run
     await new Promise(resolve => setTimeout(resolve, 2000));
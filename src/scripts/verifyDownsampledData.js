@@ -0,0 +1,123 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InfluxDB } = require('@influxdata/influxdb-client');
+const { DeleteAPI } = require('@influxdata/influxdb-client-apis');
+const { parseTimeRange } = require('../services/fluxQueryBuilder');
+const { DownsamplingEngine } = require('../services/downsamplingEngine');
+const { CandleRebuilder } = require('../services/candleRebuilder');
+const { DownsamplingVerifier, DEFAULT_SAMPLES, DEFAULT_TOLERANCE } = require('../services/downsamplingVerifier');
+
+/**
+ * This script checks downsampled candles against the raw trades.
+ * It recomputes sampled windows of a symbol and resolution from the trades
+ * (and from the source resolution's candles) and reports mismatched, missing
+ * and orphan candles. It exits with status 2 if any were found.
+ *
+ * Usage:
+ * node src/scripts/verifyDownsampledData.js <symbol> <resolution> <start> <end> [--samples=N] [--tolerance=X] [--rebuild]
+ *
+ * Examples:
+ * node src/scripts/verifyDownsampledData.js BTCUSD 1h 2024-01-01T00:00:00Z 2024-02-01T00:00:00Z
+ * node src/scripts/verifyDownsampledData.js BTCUSD 1d 2023-01-01 2024-01-01 --samples=100 --rebuild
+ *
+ * With --rebuild the wrong windows are rebuilt at the resolution and the
+ * resolutions built from it, in this process. Use
+ * POST /api/downsampling/verify/rebuild to queue the rebuild on the server.
+ */
+
+async function verifyDownsampledData() {
+  const [symbol, resolution, start, end] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const args = process.argv.slice(2).reduce((acc, arg) => {
+    const [key, value] = arg.split('=');
+    if (key.startsWith('--') && value) {
+      acc[key.replace(/^--/, '')] = value;
+    }
+    return acc;
+  }, {});
+  const rebuild = process.argv.includes('--rebuild');
+
+  if (!symbol || !resolution || !start || !end) {
+    console.error('Error: Symbol, resolution, start and end are required');
+    console.log('Usage: node src/scripts/verifyDownsampledData.js <symbol> <resolution> <start> <end> [--samples=N] [--tolerance=X] [--rebuild]');
+    console.log('Example:');
+    console.log('  node src/scripts/verifyDownsampledData.js BTCUSD 1h 2024-01-01T00:00:00Z 2024-02-01T00:00:00Z');
+    process.exit(1);
+  }
+
+  // Get configuration from environment variables
+  const config = {
+    url: process.env.INFLUXDB_URL,
+    token: process.env.INFLUXDB_TOKEN,
+    org: process.env.INFLUXDB_ORG,
+    bucket: process.env.INFLUXDB_BUCKET
+  };
+
+  console.log('Connecting to InfluxDB at:', config.url);
+  console.log('Using organization:', config.org);
+  console.log('Using bucket:', config.bucket);
+
+  const influxDB = new InfluxDB({
+    url: config.url,
+    token: config.token
+  });
+
+  const queryApi = influxDB.getQueryApi(config.org);
+  const writeApi = influxDB.getWriteApi(config.org, config.bucket, 'ns');
+  const engine = new DownsamplingEngine({ queryApi, writeApi, bucket: config.bucket });
+  const verifier = new DownsamplingVerifier({ engine, queryApi, bucket: config.bucket });
+
+  const { startDate, endDate } = parseTimeRange(start, end);
+  const report = await verifier.verify({
+    symbol,
+    resolution,
+    startDate,
+    endDate,
+    samples: args.samples ? parseInt(args.samples, 10) : DEFAULT_SAMPLES,
+    tolerance: args.tolerance ? parseFloat(args.tolerance) : DEFAULT_TOLERANCE
+  });
+
+  console.log(`\nChecked ${report.candlesChecked} ${resolution} candles of ${symbol} from ${report.start} to ${report.end}${report.sampled ? ' (sampled)' : ''}`);
+
+  report.mismatched.forEach(entry => {
+    const fields = Object.entries(entry.fields)
+      .map(([field, { expected, stored }]) => `${field} expected ${expected}, stored ${stored}`)
+      .join('; ');
+    console.log(`  MISMATCH ${entry.time}: ${fields}`);
+  });
+  report.missing.forEach(entry => console.log(`  MISSING  ${entry.time}`));
+  report.orphan.forEach(entry => console.log(`  ORPHAN   ${entry.time}`));
+  report.sourceMismatched.forEach(entry => {
+    console.log(`  SOURCE   ${entry.time}: ${entry.missingSource ? `no ${report.source} candles` : `differs from ${report.source} in ${Object.keys(entry.fields).join(', ')}`}`);
+  });
+
+  console.log(`\nMismatched: ${report.mismatched.length}, missing: ${report.missing.length}, orphan: ${report.orphan.length}, differing from source: ${report.sourceMismatched.length}`);
+
+  if (rebuild && !report.ok) {
+    // Jobs of this process are kept apart from the server's
+    const jobsFile = path.join(os.tmpdir(), `rebuild-jobs-${process.pid}.json`);
+    const rebuilder = new CandleRebuilder({
+      engine,
+      deleteApi: new DeleteAPI(influxDB),
+      org: config.org,
+      bucket: config.bucket,
+      file: jobsFile
+    });
+
+    const job = await verifier.rebuild(report, rebuilder);
+    console.log(`\nRebuilding ${job.resolutions.join(', ')} from ${job.start} to ${job.end}...`);
+    await rebuilder.resume();
+    console.log(`Rebuild ${rebuilder.getJob(job.id).status}, ${rebuilder.getJob(job.id).candles} candles written.`);
+    await fs.promises.unlink(jobsFile).catch(() => {});
+  }
+
+  await writeApi.close();
+  process.exit(report.ok ? 0 : 2);
+}
+
+verifyDownsampledData()
+  .catch(error => {
+    console.error('Error verifying downsampled data:', error.message);
+    process.exit(1);
+  });
@@ -1,6 +1,10 @@
 require('dotenv').config();
 const { InfluxDB } = require('@influxdata/influxdb-client');
 const { TasksAPI } = require('@influxdata/influxdb-client-apis');
+const { RESOLUTIONS } = require('../config/resolutions');
+const { loadTaskLeases } = require('../services/downsamplingTasks');
+const { loadCursors } = require('../services/downsamplingProgress');
+const { listSymbols } = require('../services/symbolRegistry');
 
 /**
  * This script verifies that the downsampling tasks are properly set up and running.
@@ -37,15 +41,8 @@ async function verifyDownsamplingTasks() {
   // Create Query API
   const queryApi = influxDB.getQueryApi(config.org);
 
-  // Define resolutions for downsampling
-  const resolutions = [
-    { name: '1m', seconds: 60, flux: '1m', every: '1m', chunkDays: 1 },
-    { name: '5m', seconds: 300, flux: '5m', every: '1m', chunkDays: 3 },
-    { name: '15m', seconds: 900, flux: '15m', every: '1m', chunkDays: 7 },
-    { name: '1h', seconds: 3600, flux: '1h', every: '1m', chunkDays: 14 },
-    { name: '4h', seconds: 14400, flux: '4h', every: '1m', chunkDays: 30 },
-    { name: '1d', seconds: 86400, flux: '1d', every: '1m', chunkDays: 90 }
-  ];
+  // Resolutions come from the shared registry
+  const resolutions = RESOLUTIONS;
 
   try {
     // Get all tasks
@@ -106,7 +103,8 @@ async function verifyDownsamplingTasks() {
                                   taskDetails.flux.includes('close') && 
                                   taskDetails.flux.includes('volume');
             const hasOverlapPrevention = taskDetails.flux.includes('task_status') && 
-                                        taskDetails.flux.includes('is_running');
+                                        taskDetails.flux.includes('lease_held');
+            const hasSymbolProgress = taskDetails.flux.includes('downsample_symbol');
             
             if (hasIncrementalProcessing && hasWindowAggregation && hasOHLCVFields) {
               console.log(`   - ✅ Task script is using the optimized format`);
@@ -117,6 +115,13 @@ async function verifyDownsamplingTasks() {
                 console.log(`   - ⚠️ Task script does not include overlap prevention`);
                 console.log(`     Run setupDownsamplingTasks.js again to update the task.`);
               }
+              
+              if (hasSymbolProgress) {
+                console.log(`   - ✅ Task script tracks progress per symbol`);
+              } else {
+                console.log(`   - ⚠️ Task script tracks a single cursor for all symbols`);
+                console.log(`     Run setupDownsamplingTasks.js again to update the task.`);
+              }
             } else {
               console.log(`   - ⚠️ Task script may not be using the latest optimized format`);
               console.log(`     Run setupDownsamplingTasks.js again to update the task.`);
@@ -135,37 +140,23 @@ async function verifyDownsamplingTasks() {
     console.log('\nChecking task status:');
     
     try {
-      // Query to get the latest status for each task
-      const statusQuery = `
-        from(bucket: "${config.statusBucket}")
-          |> range(start: -1h)
-          |> filter(fn: (r) => r._measurement == "task_status")
-          |> filter(fn: (r) => r._field == "status")
-          |> group(columns: ["task_name"])
-          |> last()
-      `;
-      
-      // Execute the query
-      const statusResult = await queryApi.collectRows(statusQuery);
+      // Latest lease of each task
+      const leases = await loadTaskLeases(queryApi, config.statusBucket);
       
-      if (statusResult.length > 0) {
+      if (leases.size > 0) {
         console.log('Current status of downsampling tasks:');
         
-        // Create a map of task name to status
-        const statusMap = new Map();
-        statusResult.forEach(row => {
-          statusMap.set(row.task_name, row._value);
-        });
-        
         // Display status for each resolution
         for (const resolution of resolutions) {
           const taskName = `Downsample_Trades_${resolution.name}`;
-          const status = statusMap.get(taskName);
-          if (status) {
-            console.log(`   - ${taskName}: ${status}`);
+          const lease = leases.get(taskName);
+          if (lease) {
+            console.log(`   - ${taskName}: ${lease.status}`);
             
-            if (status === 'running') {
-              console.log(`     ⚠️ Task is currently running. New runs will be skipped until it completes.`);
+            if (lease.held) {
+              console.log(`     ⚠️ Task is currently running (leased by ${lease.owner} until ${lease.expiresAt}). New runs will be skipped until it completes.`);
+            } else if (lease.expired) {
+              console.log(`     ⚠️ The lease of a crashed run (${lease.owner || 'unknown owner'}) has expired. The next run reclaims it.`);
             }
           } else {
             console.log(`   - ${taskName}: No status recorded yet`);
@@ -182,35 +173,21 @@ async function verifyDownsamplingTasks() {
     console.log('\nChecking downsampling progress:');
     
     try {
-      // Query to get the latest progress for each resolution
-      const progressQuery = `
-        from(bucket: "${config.bucket}")
-          |> range(start: -7d)
-          |> filter(fn: (r) => r._measurement == "downsampling_progress")
-          |> filter(fn: (r) => r._field == "last_processed")
-          |> group(columns: ["resolution"])
-          |> last()
-      `;
+      const cursors = await loadCursors(queryApi, config.bucket);
       
-      // Execute the query
-      const progressResult = await queryApi.collectRows(progressQuery);
-      
-      if (progressResult.length > 0) {
+      if (cursors.size > 0) {
         console.log('Progress of downsampling tasks:');
         
-        // Create a map of resolution to progress
-        const progressMap = new Map();
-        progressResult.forEach(row => {
-          progressMap.set(row.resolution, row._value);
-        });
-        
-        // Display progress for each resolution
+        // Display progress for each resolution and symbol
         for (const resolution of resolutions) {
-          const progress = progressMap.get(resolution.name);
-          if (progress) {
-            console.log(`   - ${resolution.name}: Last processed up to ${progress}`);
-          } else {
-            console.log(`   - ${resolution.name}: No progress recorded yet`);
+          const resolutionCursors = cursors.get(resolution.name) || new Map();
+          for (const { symbol } of listSymbols()) {
+            const cursor = resolutionCursors.get(symbol);
+            if (cursor) {
+              console.log(`   - ${resolution.name} ${symbol}: Last processed up to ${cursor.toISOString()}`);
+            } else {
+              console.log(`   - ${resolution.name} ${symbol}: No progress recorded yet`);
+            }
           }
         }
       } else {
@@ -3,15 +3,30 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const routes = require('./routes');
+const udfRoutes = require('./routes/udf');
+const { attachTradeIngestSocket, closeTradeIngestWriter } = require('./services/tradeIngestSocket');
+const { DOWNSAMPLING_ENGINE, DOWNSAMPLING_IN_PROCESS, DOWNSAMPLING_INTERVAL_MS } = require('./config/downsampling');
+const { getDownsamplingEngine } = require('./services/downsamplingEngine');
+const { getDownsamplingTaskManager } = require('./services/downsamplingTasks');
+const { getDirtyRangeTracker } = require('./services/dirtyRangeTracker');
+const { getCandleRebuilder } = require('./services/candleRebuilder');
+const { getMetricsCollector } = require('./services/metrics');
+const { recordHttpMetrics } = require('./middleware/httpMetrics');
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Expose the OHLC paging hint to browser clients
+app.use(cors({ exposedHeaders: ['X-Next-Time'] }));
+app.use(recordHttpMetrics);
+
+// Bulk imports stream the raw request body, so it must be left unparsed
+const skipBulkImport = (parser) => (req, res, next) =>
+  (req.method === 'POST' && req.path === '/api/trades/bulk' ? next() : parser(req, res, next));
+app.use(skipBulkImport(express.json()));
+app.use(skipBulkImport(express.urlencoded({ extended: true })));
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
@@ -19,6 +34,9 @@ app.use(express.static(path.join(__dirname, '../public')));
 // API routes
 app.use('/api', routes);
 
+// TradingView UDF datafeed routes
+app.use('/udf', udfRoutes);
+
 // Serve the main HTML file for any other route
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -31,8 +49,67 @@ app.use((err, req, res, next) => {
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`API available at http://localhost:${PORT}/api`);
   console.log(`To generate fake trades, visit: http://localhost:${PORT}/api/trades/generate`);
 });
+
+// WebSocket trade ingestion
+attachTradeIngestSocket(server);
+
+// Downsample with the Node engine instead of the InfluxDB tasks
+if (DOWNSAMPLING_IN_PROCESS) {
+  getDownsamplingEngine().start(DOWNSAMPLING_INTERVAL_MS);
+}
+
+// Fold late trades into the candles already downsampled, whatever builds them.
+// The engine only rebuilds windows here unless it runs in process.
+getDirtyRangeTracker().start(getDownsamplingEngine(), DOWNSAMPLING_INTERVAL_MS);
+
+// Size the chunks of the InfluxDB tasks after their runs
+if (DOWNSAMPLING_ENGINE === 'influx') {
+  getDownsamplingTaskManager().startChunkTuning(DOWNSAMPLING_INTERVAL_MS);
+}
+
+// Resume rebuilds interrupted by the last shutdown
+getCandleRebuilder().resume();
+
+// Refresh the metrics that are too expensive to compute on every scrape
+getMetricsCollector().start();
+
+// Flush buffered trades before exiting
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, shutting down...`);
+
+  try {
+    await closeTradeIngestWriter();
+  } catch (error) {
+    console.error('Error flushing trade ingestion writer:', error);
+  }
+
+  if (DOWNSAMPLING_IN_PROCESS) {
+    await getDownsamplingEngine().stop();
+  }
+
+  if (DOWNSAMPLING_ENGINE === 'influx') {
+    await getDownsamplingTaskManager().stopChunkTuning();
+  }
+
+  // Interrupted rebuilds resume from their last chunk on the next start
+  await getCandleRebuilder().stop();
+
+  try {
+    await getDirtyRangeTracker().stop();
+  } catch (error) {
+    console.error('Error storing late trade ranges:', error);
+  }
+
+  await getMetricsCollector().stop();
+
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
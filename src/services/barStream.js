@@ -0,0 +1,223 @@
+const { EventEmitter } = require('events');
+const { alignToWindow, addWindows } = require('../config/resolutions');
+
+/**
+ * In-memory broker for real-time bar updates.
+ *
+ * Trades written through the API are published here. For every symbol and
+ * resolution that has at least one subscriber, the broker keeps the candle
+ * that is currently forming and notifies subscribers whenever it changes or
+ * closes. Candles are stamped with the end of their window, matching the
+ * points written by the downsampling tasks (they duplicate `_stop` into `_time`).
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Subscription state keyed by `${symbol}:${resolution}`
+const streams = new Map();
+
+const streamKey = (symbol, resolution) => `${symbol}:${resolution}`;
+
+// Calculate the timestamp of the window that contains the given time.
+// `window` is a candle window as returned by resolutions.getWindow().
+const bucketTime = (timestamp, window) =>
+  addWindows(alignToWindow(timestamp, window), window, 1);
+
+/**
+ * Subscribes a listener to bar updates for a symbol and resolution.
+ * The listener receives `(bar, { closed })` for every update, and
+ * `(null, { error })` if the forming bar could not be seeded (see failSeed()).
+ * Returns a function that removes the subscription.
+ */
+function subscribe(symbol, resolution, window, listener) {
+  const key = streamKey(symbol, resolution);
+
+  if (!streams.has(key)) {
+    // Until the forming bar is seeded, the trades applied to it are kept so
+    // the seed can tell which of them it already contains
+    streams.set(key, { symbol, resolution, window, bar: null, subscribers: 0, seeded: false, seeding: false, buffered: [] });
+  }
+
+  const stream = streams.get(key);
+  stream.subscribers++;
+  emitter.on(key, listener);
+
+  return () => {
+    emitter.removeListener(key, listener);
+    stream.subscribers--;
+
+    // Drop the forming bar once nobody is listening anymore
+    if (stream.subscribers <= 0) {
+      streams.delete(key);
+    }
+  };
+}
+
+/**
+ * Returns the bar currently forming for a symbol and resolution, if any and
+ * once it is seeded.
+ */
+function getFormingBar(symbol, resolution) {
+  const stream = streams.get(streamKey(symbol, resolution));
+  return stream && stream.seeded && stream.bar ? { ...stream.bar } : null;
+}
+
+/**
+ * Claims the seeding of the forming bar of a symbol and resolution. Returns
+ * false if it is seeded already or another subscriber is seeding it, so one
+ * seed query runs per stream.
+ */
+function startSeed(symbol, resolution) {
+  const stream = streams.get(streamKey(symbol, resolution));
+  if (!stream || stream.seeded || stream.seeding) return false;
+
+  stream.seeding = true;
+  return true;
+}
+
+/**
+ * Seeds the forming bar with a candle computed from stored trades, up to the
+ * one at `bar.lastTradeTime`. Trades published while the seed query was
+ * running may be stored already, so only those after that time are applied
+ * on top of it. Ignored if a newer bar has already been built from published
+ * trades. The seeded bar is sent to the subscribers, which get no updates
+ * before.
+ */
+function seedBar(symbol, resolution, bar) {
+  const stream = streams.get(streamKey(symbol, resolution));
+  if (!stream || stream.seeded) return;
+
+  const buffered = stream.buffered;
+  stream.seeded = true;
+  stream.seeding = false;
+  stream.buffered = [];
+
+  if (!bar || (stream.bar && stream.bar.time > bar.time)) {
+    emitFormingBar(symbol, resolution, stream);
+    return;
+  }
+
+  const sameBar = stream.bar && stream.bar.time === bar.time;
+  stream.bar = {
+    time: bar.time,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume
+  };
+
+  if (sameBar) {
+    buffered
+      .filter(trade => new Date(trade.timestamp).getTime() > bar.lastTradeTime)
+      .forEach(trade => updateBar(stream.bar, trade));
+  }
+
+  emitFormingBar(symbol, resolution, stream);
+}
+
+// Send the forming bar, if any, to the subscribers of a stream
+function emitFormingBar(symbol, resolution, stream) {
+  if (stream.bar) {
+    emitter.emit(streamKey(symbol, resolution), { ...stream.bar }, { closed: false });
+  }
+}
+
+/**
+ * Gives up seeding the forming bar. Without the stored trades the bar would
+ * be wrong, so it is dropped with the trades kept for the seed, and the
+ * subscribers are sent `(null, { error })` to close their streams. The next
+ * subscriber seeds the bar again.
+ */
+function failSeed(symbol, resolution, error) {
+  const key = streamKey(symbol, resolution);
+  const stream = streams.get(key);
+  if (!stream) return;
+
+  stream.bar = null;
+  stream.seeded = false;
+  stream.seeding = false;
+  stream.buffered = [];
+  emitter.emit(key, null, { error });
+}
+
+// Add a trade to a bar it falls in
+function updateBar(bar, trade) {
+  bar.high = Math.max(bar.high, trade.price);
+  bar.low = Math.min(bar.low, trade.price);
+  bar.close = trade.price;
+  bar.volume += trade.amount;
+}
+
+// Apply a single trade to a stream and notify its subscribers
+function applyTrade(key, stream, trade) {
+  const timestamp = new Date(trade.timestamp).getTime();
+  const time = bucketTime(timestamp, stream.window);
+  const current = stream.bar;
+
+  // Late trades cannot change bars the chart has already closed
+  if (current && time < current.time) {
+    return;
+  }
+
+  // An unseeded bar lacks the stored trades, so it is not sent
+  if (current && time > current.time) {
+    if (stream.seeded) {
+      emitter.emit(key, { ...current }, { closed: true });
+    }
+    stream.bar = null;
+    stream.buffered = [];
+  }
+
+  if (!stream.seeded) {
+    stream.buffered.push(trade);
+  }
+
+  if (!stream.bar) {
+    stream.bar = {
+      time,
+      open: trade.price,
+      high: trade.price,
+      low: trade.price,
+      close: trade.price,
+      volume: trade.amount
+    };
+  } else {
+    updateBar(stream.bar, trade);
+  }
+
+  if (stream.seeded) {
+    emitter.emit(key, { ...stream.bar }, { closed: false });
+  }
+}
+
+/**
+ * Publishes written trades to every stream subscribed to their symbol.
+ */
+function publishTrades(trades) {
+  if (streams.size === 0 || !trades || trades.length === 0) return;
+
+  // Trades are applied in time order so the forming bar only moves forward
+  const ordered = [...trades].sort(
+    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  );
+
+  for (const [key, stream] of streams) {
+    for (const trade of ordered) {
+      if (trade.symbol === stream.symbol) {
+        applyTrade(key, stream, trade);
+      }
+    }
+  }
+}
+
+module.exports = {
+  subscribe,
+  getFormingBar,
+  startSeed,
+  seedBar,
+  failSeed,
+  publishTrades,
+  bucketTime
+};
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const resolutions = require('../config/resolutions');
+const symbolRegistry = require('./symbolRegistry');
+
+/**
+ * Range rebuilds of downsampled candles.
+ *
+ * A rebuild job deletes the `trade_ohlc_<resolution>` points of some symbols
+ * and resolutions in a time range and recomputes them with the downsampling
+ * engine, resolution by resolution in registry order so cascaded resolutions
+ * are rebuilt from rebuilt source candles. The range is widened to whole
+ * windows and cut at each symbol's `downsampling_progress` cursor of the
+ * resolution, since regular downsampling builds the candles after it.
+ *
+ * Each resolution and symbol is rebuilt in chunks of `chunkDays`: a chunk is
+ * deleted, recomputed, and then recorded as done. Jobs are persisted to a JSON
+ * file (`REBUILD_JOBS_FILE`, default `data/rebuild-jobs.json`) after every
+ * chunk, so a job interrupted by a restart resumes at the chunk it was on.
+ * Jobs run one at a time, in the order they were created.
+ */
+
+const REBUILD_JOBS_FILE = process.env.REBUILD_JOBS_FILE || path.join(__dirname, '../../data/rebuild-jobs.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Finished jobs kept for progress reports
+const MAX_FINISHED_JOBS = 50;
+
+class RebuildError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RebuildError';
+    this.status = status;
+  }
+}
+
+// Accepts an array or a comma-separated string
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// Progress of a job as returned by the API
+const describeJob = (job) => {
+  const { steps, completedSteps, current } = job.progress;
+  let stepFraction = 0;
+
+  if (current && current.end > current.start) {
+    stepFraction = (current.cursor - current.start) / (current.end - current.start);
+  }
+
+  return {
+    id: job.id,
+    status: job.status,
+    symbols: job.symbols,
+    resolutions: job.resolutions,
+    start: new Date(job.start).toISOString(),
+    end: new Date(job.end).toISOString(),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    progress: {
+      steps,
+      completedSteps,
+      percent: steps > 0 ? Math.round(((completedSteps + stepFraction) / steps) * 1000) / 10 : 100,
+      resolution: current ? current.resolution : null,
+      symbol: current ? current.symbol : null,
+      cursor: current ? new Date(current.cursor).toISOString() : null
+    },
+    candles: job.candles,
+    error: job.error || null
+  };
+};
+
+class CandleRebuilder {
+  /**
+   * @param {Object} options
+   * @param {Object} options.engine - DownsamplingEngine used to recompute candles
+   * @param {Object} options.deleteApi - InfluxDB delete API (`postDelete`)
+   * @param {string} options.org - Organization of the bucket
+   * @param {string} options.bucket - Bucket holding the candles
+   * @param {string} [options.file] - Where jobs are persisted
+   */
+  constructor({ engine, deleteApi, org, bucket, file = REBUILD_JOBS_FILE }) {
+    this.engine = engine;
+    this.deleteApi = deleteApi;
+    this.org = org;
+    this.bucket = bucket;
+    this.file = file;
+
+    this.jobs = null;
+    this.running = null;
+    this.stopping = false;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Queues a rebuild of [startDate, endDate). Symbols and resolutions
+   * default to all of them.
+   */
+  async createJob({ symbols, resolutions: names, startDate, endDate }) {
+    const requestedSymbols = parseList(symbols);
+    for (const symbol of requestedSymbols) {
+      if (!symbolRegistry.findSymbol(symbol)) {
+        throw new RebuildError(`Unknown symbol '${symbol}'`);
+      }
+    }
+
+    const requestedResolutions = parseList(names);
+    for (const name of requestedResolutions) {
+      if (!resolutions.getResolution(name)) {
+        throw new RebuildError(`Unknown resolution '${name}'`);
+      }
+    }
+
+    const jobSymbols = requestedSymbols.length > 0
+      ? requestedSymbols
+      : symbolRegistry.listSymbols().map(symbol => symbol.symbol);
+    // Sources first, whatever order they were requested in
+    const jobResolutions = resolutions.RESOLUTIONS
+      .map(resolution => resolution.name)
+      .filter(name => requestedResolutions.length === 0 || requestedResolutions.includes(name));
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      symbols: jobSymbols,
+      resolutions: jobResolutions,
+      start: startDate.getTime(),
+      end: endDate.getTime(),
+      createdAt: now,
+      updatedAt: now,
+      progress: { steps: jobSymbols.length * jobResolutions.length, completedSteps: 0, current: null },
+      candles: 0
+    };
+
+    this.load().push(job);
+    await this.save();
+    this.resume();
+
+    return describeJob(job);
+  }
+
+  /**
+   * Returns a job's progress, or null.
+   */
+  getJob(id) {
+    const job = this.load().find(candidate => candidate.id === id);
+    return job ? describeJob(job) : null;
+  }
+
+  /**
+   * Returns all known jobs, newest first.
+   */
+  listJobs() {
+    return this.load().map(describeJob).reverse();
+  }
+
+  /**
+   * Runs the queued and interrupted jobs, one after the other.
+   */
+  resume() {
+    if (!this.running) {
+      this.stopping = false;
+      this.running = (async () => {
+        let job;
+        while (!this.stopping && (job = this.load().find(candidate => ['queued', 'running'].includes(candidate.status)))) {
+          await this.runJob(job);
+        }
+      })().catch(error => {
+        console.error('Error running rebuilds:', error);
+      }).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * Stops after the chunk being rebuilt. The job resumes on the next start.
+   */
+  async stop() {
+    this.stopping = true;
+    await this.running;
+  }
+
+  async runJob(job) {
+    if (job.status === 'queued') {
+      console.log(`Starting rebuild ${job.id}: ${job.resolutions.join(', ')} for ${job.symbols.join(', ')}`);
+    } else {
+      console.log(`Resuming rebuild ${job.id}`);
+    }
+    job.status = 'running';
+
+    try {
+      while (!this.stopping) {
+        if (!job.progress.current) {
+          const step = job.progress.completedSteps;
+          if (step >= job.progress.steps) break;
+
+          job.progress.current = await this.planStep(job,
+            job.resolutions[Math.floor(step / job.symbols.length)],
+            job.symbols[step % job.symbols.length]);
+        }
+
+        const current = job.progress.current;
+        if (current.cursor >= current.end) {
+          job.progress.completedSteps++;
+          job.progress.current = null;
+          continue;
+        }
+
+        const resolution = resolutions.getResolution(current.resolution);
+        const window = resolutions.getWindow(resolution.name, symbolRegistry.getSymbolSession(current.symbol));
+        const chunkEnd = Math.min(
+          resolutions.addWindows(resolutions.alignToWindow(current.cursor + resolution.chunkDays * DAY - 1, window), window, 1),
+          current.end
+        );
+
+        await this.deleteCandles(resolution, current.symbol, current.cursor, chunkEnd);
+        job.candles += await this.engine.recomputeWindows(resolution, current.symbol, current.cursor, chunkEnd);
+        current.cursor = chunkEnd;
+
+        job.updatedAt = new Date().toISOString();
+        await this.save();
+      }
+
+      if (job.progress.completedSteps >= job.progress.steps) {
+        job.status = 'completed';
+        console.log(`Rebuild ${job.id} completed, ${job.candles} candles written`);
+      }
+    } catch (error) {
+      console.error(`Rebuild ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.updatedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  // Windows of a symbol to rebuild at a resolution, up to its cursor
+  async planStep(job, name, symbol) {
+    const window = resolutions.getWindow(name, symbolRegistry.getSymbolSession(symbol));
+    const start = resolutions.alignToWindow(job.start, window);
+    const cursor = await this.engine.getCursor(name, symbol);
+    const end = Math.min(
+      resolutions.addWindows(resolutions.alignToWindow(job.end - 1, window), window, 1),
+      cursor ? resolutions.alignToWindow(cursor.getTime(), window) : start
+    );
+
+    return { resolution: name, symbol, start, end: Math.max(start, end), cursor: start };
+  }
+
+  // Candles are stamped with their window end, so the windows in
+  // [start, end) have stamps in (start, end]
+  async deleteCandles(resolution, symbol, start, end) {
+    await this.deleteApi.postDelete({
+      org: this.org,
+      bucket: this.bucket,
+      body: {
+        start: new Date(start + 1).toISOString(),
+        stop: new Date(end).toISOString(),
+        predicate: `_measurement="trade_ohlc_${resolution.name}" AND symbol="${symbol}"`
+      }
+    });
+  }
+
+  load() {
+    if (this.jobs) {
+      return this.jobs;
+    }
+
+    try {
+      this.jobs = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!Array.isArray(this.jobs)) {
+        throw new Error('expected an array of jobs');
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load rebuild jobs from ${this.file}: ${error.message}`);
+      }
+      this.jobs = [];
+    }
+
+    return this.jobs;
+  }
+
+  // Saves are serialized so a slow write cannot overwrite a newer one
+  save() {
+    const run = this.pendingWrite.then(async () => {
+      const jobs = this.load();
+      const finished = jobs.filter(job => ['completed', 'failed'].includes(job.status));
+      if (finished.length > MAX_FINISHED_JOBS) {
+        const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+        this.jobs = jobs.filter(job => !dropped.has(job));
+      }
+
+      const tmpFile = `${this.file}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify(this.jobs, null, 2) + '\n');
+      await fs.promises.rename(tmpFile, this.file);
+    });
+
+    this.pendingWrite = run.catch(() => {});
+    return run;
+  }
+}
+
+let defaultRebuilder = null;
+
+/**
+ * Returns the rebuilder run by the API server.
+ */
+function getCandleRebuilder() {
+  if (!defaultRebuilder) {
+    const { DeleteAPI } = require('@influxdata/influxdb-client-apis');
+    const { influxDB, config } = require('../config/influxdb');
+    const { getDownsamplingEngine } = require('./downsamplingEngine');
+    defaultRebuilder = new CandleRebuilder({
+      engine: getDownsamplingEngine(),
+      deleteApi: new DeleteAPI(influxDB),
+      org: config.org,
+      bucket: config.bucket
+    });
+  }
+
+  return defaultRebuilder;
+}
+
+module.exports = {
+  REBUILD_JOBS_FILE,
+  RebuildError,
+  CandleRebuilder,
+  getCandleRebuilder
+};
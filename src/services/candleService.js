@@ -0,0 +1,681 @@
+const { flux, fluxExpression, fluxString } = require('@influxdata/influxdb-client');
+const { queryApi, config } = require('../config/influxdb');
+const resolutions = require('../config/resolutions');
+const { fromBucket, duration } = require('./fluxQueryBuilder');
+const { getSymbolSession } = require('./symbolRegistry');
+const downsamplingProgress = require('./downsamplingProgress');
+const { ohlcQueryDuration } = require('./metrics');
+
+/**
+ * Candle queries shared by the OHLC endpoints.
+ *
+ * Candles are read from the pre-downsampled `trade_ohlc_<resolution>`
+ * measurements. Those only reach as far as the symbol's `last_processed`
+ * cursor of the downsampling task, so the tail after the cursor is computed on the
+ * fly from raw trades and merged onto the pre-aggregated history.
+ *
+ * Like the downsampled data, every candle is stamped with the end of its
+ * window. Daily and longer windows start when the symbol's session opens in
+ * its timezone.
+ */
+
+// Set a reasonable limit on the number of data points to return
+const MAX_DATA_POINTS = 5000;
+
+// Query timeouts
+const QUERY_TIMEOUT_MS = 30000;
+const FALLBACK_TIMEOUT_MS = 15000;
+
+// How many times countBack may reach further back for older bars
+const MAX_COUNTBACK_EXTENSIONS = 20;
+
+// How windows without trades are returned: omitted, as a flat bar at the
+// previous close, or as a bar without prices
+const FILL_MODES = ['none', 'previous', 'null'];
+
+// How each candle field is aggregated from the previous level
+const CANDLE_AGGREGATES = [
+  { field: 'open', fn: 'first' },
+  { field: 'high', fn: 'max' },
+  { field: 'low', fn: 'min' },
+  { field: 'close', fn: 'last' },
+  { field: 'volume', fn: 'sum' },
+  { field: 'buy_volume', fn: 'sum' },
+  { field: 'sell_volume', fn: 'sum' },
+  { field: 'trade_count', fn: 'sum' }
+];
+
+// How each candle field is computed from raw trades
+const TRADE_AGGREGATES = [
+  { field: 'open', source: 'price', fn: 'first' },
+  { field: 'high', source: 'price', fn: 'max' },
+  { field: 'low', source: 'price', fn: 'min' },
+  { field: 'close', source: 'price', fn: 'last' },
+  { field: 'volume', source: 'amount', fn: 'sum' },
+  { field: 'buy_volume', source: 'amount', fn: 'sum', side: 'buy' },
+  { field: 'sell_volume', source: 'amount', fn: 'sum', side: 'sell' },
+  { field: 'trade_count', source: 'price', fn: 'count' }
+];
+
+/**
+ * Error raised when candles cannot be loaded. `status` is the HTTP status
+ * the API should answer with.
+ */
+class CandleQueryError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CandleQueryError';
+    this.status = status;
+  }
+}
+
+// Reject if the query does not finish in time
+const withTimeout = (promise, timeoutMs, message) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const isComplete = (candle) =>
+  candle.open !== undefined &&
+  candle.high !== undefined &&
+  candle.low !== undefined &&
+  candle.close !== undefined;
+
+// Build an API candle from stored field values. VWAP is either stored or
+// derived from the traded notional when candles are re-aggregated. Fields
+// missing from candles downsampled before they existed are null.
+const toCandle = (time, fields) => {
+  let vwap = fields.vwap === undefined ? null : fields.vwap;
+  if (fields.notional !== undefined) {
+    vwap = fields.volume > 0 ? fields.notional / fields.volume : null;
+  }
+
+  return {
+    time,
+    open: fields.open,
+    high: fields.high,
+    low: fields.low,
+    close: fields.close,
+    volume: fields.volume || 0,
+    buyVolume: fields.buy_volume === undefined ? null : fields.buy_volume,
+    sellVolume: fields.sell_volume === undefined ? null : fields.sell_volume,
+    tradeCount: fields.trade_count === undefined ? null : fields.trade_count,
+    vwap
+  };
+};
+
+// Convert pivoted rows to candles
+const rowsToCandles = (rows) => rows
+  .filter(isComplete)
+  .map(row => toCandle(new Date(row._time).getTime(), row))
+  .sort((a, b) => a.time - b.time);
+
+// Combine one result set per candle field into candles keyed by time
+const mergeFieldRows = (rowsByField) => {
+  const timeMap = new Map();
+
+  for (const [field, rows] of Object.entries(rowsByField)) {
+    rows.forEach(row => {
+      const time = new Date(row._time).getTime();
+      if (!timeMap.has(time)) {
+        timeMap.set(time, { time });
+      }
+      timeMap.get(time)[field] = row._value;
+    });
+  }
+
+  return Array.from(timeMap.values())
+    .filter(isComplete)
+    .map(candle => toCandle(candle.time, candle))
+    .sort((a, b) => a.time - b.time);
+};
+
+// Aggregate functions are fixed identifiers, never request input
+const fluxFunction = (name) => {
+  if (!['first', 'max', 'min', 'last', 'sum', 'count'].includes(name)) {
+    throw new Error(`Unsupported aggregate function '${name}'`);
+  }
+  return fluxExpression(name);
+};
+
+// Window of a symbol's candles: the re-aggregation window if there is one,
+// otherwise the downsampled resolution's own (possibly calendar) window
+const candleWindow = (symbol, downsampledResolution, aggregateWindowMs) => resolutions.getWindow(
+  aggregateWindowMs ? `${Math.round(aggregateWindowMs / 1000)}s` : downsampledResolution,
+  getSymbolSession(symbol)
+);
+
+// Flux `every`, `offset` and `location` of a candle window
+const fluxWindow = (window) => {
+  const { every, offset, location } = resolutions.toFluxWindow(window);
+  return {
+    every: duration(every),
+    offset: duration(offset),
+    location: fluxExpression(`{zone: ${fluxString(location)}, offset: 0h}`)
+  };
+};
+
+// End of the candle containing `time`, which is also its timestamp
+const candleTime = (time, window) =>
+  resolutions.addWindows(resolutions.alignToWindow(time, window), window, 1);
+
+/**
+ * Decides which downsampled resolution to read and whether the candles need
+ * a further aggregation step to stay under MAX_DATA_POINTS.
+ */
+function planCandleQuery(resolution, startDate, endDate) {
+  const timeRangeMs = endDate.getTime() - startDate.getTime();
+  const dateRangeDays = timeRangeMs / (24 * 60 * 60 * 1000);
+
+  console.log(`Date range for OHLC: ${timeRangeMs}ms (${dateRangeDays.toFixed(2)} days)`);
+
+  // Map the requested resolution to the downsampled data it is built from
+  let downsampledResolution = resolutions.toDownsampledResolution(resolution);
+
+  console.log(`Initial downsampled resolution mapping: ${resolution} -> ${downsampledResolution}`);
+
+  // For very large date ranges, force a larger resolution to improve performance
+  // This ensures we use the best fitting downsampled data based on the date range
+  const rangeResolution = resolutions.selectResolutionForRange(downsampledResolution, dateRangeDays);
+  if (rangeResolution !== downsampledResolution) {
+    console.log(`Date range is ${dateRangeDays.toFixed(0)} days, forcing ${rangeResolution} resolution instead of ${downsampledResolution}`);
+    downsampledResolution = rangeResolution;
+  }
+
+  console.log(`Using downsampled resolution: ${downsampledResolution}`);
+
+  // Calculate if we need to further downsample the data
+  const resolutionMs = resolutions.toMilliseconds(resolution) ||
+    resolutions.getResolution(resolutions.DEFAULT_RESOLUTION).ms;
+  const expectedDataPoints = timeRangeMs / resolutionMs;
+
+  console.log(`Expected data points at ${resolution} resolution: ~${Math.ceil(expectedDataPoints)}`);
+
+  let aggregateWindowMs = null;
+
+  // If we expect too many data points, add an additional aggregation step.
+  // The window is a whole number of downsampled candles so none is split.
+  if (expectedDataPoints > MAX_DATA_POINTS) {
+    const aggregateFactor = Math.ceil(expectedDataPoints / MAX_DATA_POINTS);
+    const downsampledMs = resolutions.getResolution(downsampledResolution).ms;
+    aggregateWindowMs = Math.ceil(aggregateFactor * resolutionMs / downsampledMs) * downsampledMs;
+    console.log(`Too many data points, adding aggregation window of ${aggregateWindowMs / 1000}s to limit to ~${MAX_DATA_POINTS} points`);
+  }
+
+  return { downsampledResolution, aggregateWindowMs };
+}
+
+/**
+ * Returns the time up to which the downsampling task for a resolution has
+ * processed the raw trades of a symbol, or null if it has not run yet.
+ */
+function getDownsamplingCursor(resolutionName, symbol) {
+  return downsamplingProgress.getCursor(queryApi, config.bucket, resolutionName, symbol);
+}
+
+/**
+ * Reads pre-aggregated candles for [startDate, endDate), optionally
+ * re-aggregated into larger windows.
+ */
+async function queryDownsampledCandles({ symbol, resolution, startDate, endDate, aggregateWindowMs = null, limit = null }) {
+  const candleQuery = () => fromBucket(config.bucket)
+    .range(startDate, endDate)
+    .measurement(`trade_ohlc_${resolution}`)
+    .symbol(symbol);
+
+  if (!aggregateWindowMs) {
+    const query = candleQuery()
+      .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")');
+
+    if (limit) {
+      query.pipe(flux`limit(n: ${limit})`);
+    }
+
+    return rowsToCandles(await queryApi.collectRows(query.build()));
+  }
+
+  // For large datasets, use a simpler approach with separate queries for each field
+  // This avoids complex nested operations that can cause errors.
+  // Candles are stamped with their window end, so they are shifted back by
+  // 1ns to land in the window they belong to.
+  const { every, offset, location } = fluxWindow(candleWindow(symbol, resolution, aggregateWindowMs));
+  const [notionalRows, ...rows] = await Promise.all([
+    // VWAP is re-aggregated by weighting each candle's VWAP with its volume
+    queryApi.collectRows(
+      candleQuery()
+        .pipe('filter(fn: (r) => r._field == "vwap" or r._field == "volume")')
+        .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+        .pipe('map(fn: (r) => ({ r with _value: r.vwap * r.volume }))')
+        .pipe('timeShift(duration: -1ns, columns: ["_time"])')
+        .pipe(flux`aggregateWindow(every: ${every}, offset: ${offset}, location: ${location}, fn: sum, createEmpty: false)`)
+        .build()
+    ),
+    ...CANDLE_AGGREGATES.map(({ field, fn }) => queryApi.collectRows(
+      candleQuery()
+        .field(field)
+        .pipe('timeShift(duration: -1ns, columns: ["_time"])')
+        .pipe(flux`aggregateWindow(every: ${every}, offset: ${offset}, location: ${location}, fn: ${fluxFunction(fn)}, createEmpty: false)`)
+        .build()
+    ))
+  ]);
+
+  return mergeFieldRows({
+    ...Object.fromEntries(CANDLE_AGGREGATES.map(({ field }, index) => [field, rows[index]])),
+    notional: notionalRows
+  });
+}
+
+/**
+ * Computes candles for [startDate, endDate) directly from raw trades.
+ * `window` is a candle window as returned by resolutions.getWindow().
+ */
+async function queryTradeCandles({ symbol, startDate, endDate, window }) {
+  const { every, offset, location } = fluxWindow(window);
+  const tradeQuery = () => fromBucket(config.bucket)
+    .range(startDate, endDate)
+    .measurement('trade')
+    .symbol(symbol);
+
+  const [notionalRows, ...rows] = await Promise.all([
+    // Traded notional (price * amount) for VWAP
+    queryApi.collectRows(
+      tradeQuery()
+        .pipe('filter(fn: (r) => r._field == "price" or r._field == "amount")')
+        .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+        .pipe('map(fn: (r) => ({ r with _value: r.price * r.amount }))')
+        .pipe('group(columns: ["symbol"])')
+        .pipe('sort(columns: ["_time"])')
+        .pipe(flux`aggregateWindow(every: ${every}, offset: ${offset}, location: ${location}, fn: sum, createEmpty: false)`)
+        .build()
+    ),
+    ...TRADE_AGGREGATES.map(({ source, fn, side }) => {
+      const query = tradeQuery().field(source);
+      if (side) {
+        query.tag('side', side);
+      }
+
+      return queryApi.collectRows(query
+        // Trades are stored in one series per side; combine them into one
+        .pipe('group(columns: ["symbol", "_field"])')
+        .pipe('sort(columns: ["_time"])')
+        .pipe(flux`aggregateWindow(every: ${every}, offset: ${offset}, location: ${location}, fn: ${fluxFunction(fn)}, createEmpty: false)`)
+        .build());
+    })
+  ]);
+
+  const candles = mergeFieldRows({
+    ...Object.fromEntries(TRADE_AGGREGATES.map(({ field }, index) => [field, rows[index]])),
+    notional: notionalRows
+  });
+
+  // A window without trades on one side has no row for it
+  return candles.map(candle => ({
+    ...candle,
+    buyVolume: candle.buyVolume || 0,
+    sellVolume: candle.sellVolume || 0
+  }));
+}
+
+/**
+ * Reads downsampled candles and stitches candles computed from raw trades
+ * onto the part the downsampling task has not processed yet.
+ */
+async function queryStitchedCandles({ symbol, resolution, startDate, endDate, aggregateWindowMs }) {
+  let cursor = null;
+  try {
+    cursor = await getDownsamplingCursor(resolution, symbol);
+  } catch (error) {
+    console.error(`Error reading downsampling progress for ${resolution}, skipping live candles:`, error.message);
+  }
+
+  if (!cursor || cursor.getTime() >= endDate.getTime()) {
+    return queryDownsampledCandles({ symbol, resolution, startDate, endDate, aggregateWindowMs });
+  }
+
+  // Candles ending at or before the boundary are complete in the downsampled
+  // data; everything after it is computed from raw trades
+  const window = candleWindow(symbol, resolution, aggregateWindowMs);
+  const boundary = resolutions.alignToWindow(cursor.getTime(), window);
+
+  console.log(`Downsampled ${resolution} data ends at ${cursor.toISOString()}, computing candles after ${new Date(boundary).toISOString()} from raw trades`);
+
+  const [history, live] = await Promise.all([
+    boundary > startDate.getTime()
+      ? queryDownsampledCandles({
+        symbol,
+        resolution,
+        startDate,
+        // Include the candle stamped exactly at the boundary
+        endDate: new Date(Math.min(boundary + 1, endDate.getTime())),
+        aggregateWindowMs
+      })
+      : [],
+    queryTradeCandles({
+      symbol,
+      startDate: new Date(Math.max(boundary, startDate.getTime())),
+      endDate,
+      window
+    })
+  ]);
+
+  // Candles computed from raw trades win if both sources have the same window
+  const candles = new Map(history.map(candle => [candle.time, candle]));
+  live.forEach(candle => candles.set(candle.time, candle));
+
+  console.log(`Stitched ${live.length} live candles onto ${history.length} downsampled candles`);
+  return Array.from(candles.values()).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Loads candles for a symbol and requested resolution.
+ *
+ * Falls back to the next larger downsampled resolution and finally to a small
+ * sample of daily candles if the query fails. Throws a CandleQueryError
+ * carrying the HTTP status when no candles can be produced.
+ *
+ * @returns {Promise<{candles: Array, downsampledResolution: string, aggregateWindowMs: ?number}>}
+ */
+async function getCandles({ symbol, resolution, startDate, endDate }) {
+  const { downsampledResolution, aggregateWindowMs } = planCandleQuery(resolution, startDate, endDate);
+
+  try {
+    console.log(aggregateWindowMs
+      ? 'Executing separate queries for each OHLC component'
+      : 'Executing simple pivot query on pre-downsampled data');
+
+    const candles = await withTimeout(
+      queryStitchedCandles({ symbol, resolution: downsampledResolution, startDate, endDate, aggregateWindowMs }),
+      QUERY_TIMEOUT_MS,
+      'Query timed out after 30 seconds'
+    );
+
+    console.log(`Generated ${candles.length} OHLC candles from pre-downsampled data`);
+    return { candles, downsampledResolution, aggregateWindowMs };
+  } catch (error) {
+    console.error('Error generating OHLC data from pre-downsampled data:', error);
+
+    if (error.message.includes('Query timed out')) {
+      throw new CandleQueryError('Query timed out. Try a smaller date range or a larger resolution.', 504);
+    }
+  }
+
+  // If the downsampled data query fails, try a more aggressive approach with a larger resolution
+  console.log('Query on pre-downsampled data failed, trying with a larger resolution');
+
+  // Choose the next larger resolution from the registry, defaulting to daily
+  const largerResolution = resolutions.getFallbackChain(downsampledResolution)[0] || '1d';
+
+  console.log(`Trying with larger resolution: ${largerResolution}`);
+
+  try {
+    const candles = await withTimeout(
+      queryDownsampledCandles({ symbol, resolution: largerResolution, startDate, endDate }),
+      FALLBACK_TIMEOUT_MS,
+      'Fallback query timed out after 15 seconds'
+    );
+
+    console.log(`Generated ${candles.length} OHLC candles using fallback larger resolution`);
+    return { candles, downsampledResolution: largerResolution, aggregateWindowMs: null };
+  } catch (fallbackError) {
+    console.error('Error in fallback query:', fallbackError);
+
+    if (fallbackError.message.includes('timed out')) {
+      throw new CandleQueryError('Query timed out even with larger resolution. Try a much smaller date range.', 504);
+    }
+  }
+
+  // Last resort: try to get just a small sample of data
+  try {
+    console.log('Trying last resort: getting a limited sample of data');
+
+    const candles = await queryDownsampledCandles({ symbol, resolution: '1d', startDate, endDate, limit: 100 });
+
+    console.log(`Generated ${candles.length} sample OHLC candles as last resort`);
+    return { candles, downsampledResolution: '1d', aggregateWindowMs: null };
+  } catch (lastResortError) {
+    console.error('Error in last resort query:', lastResortError);
+    throw new CandleQueryError(
+      'Failed to generate OHLC data: The database contains too much data for the requested time range. Please use a much smaller date range or a larger resolution.',
+      500
+    );
+  }
+}
+
+/**
+ * Returns the time of the most recent trade for a symbol before `before`,
+ * or null if there is none.
+ */
+async function getPreviousTradeTime(symbol, before) {
+  const query = fromBucket(config.bucket)
+    .range(0, before)
+    .measurement('trade')
+    .symbol(symbol)
+    .field('price')
+    .pipe('last()')
+    .build();
+
+  // One row per series (side/exchange); take the latest
+  const rows = await queryApi.collectRows(query);
+  const times = rows.map(row => new Date(row._time).getTime()).filter(Number.isFinite);
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Merge two candle lists, keeping the later list's candle for duplicate times
+const mergeCandles = (older, newer) => {
+  const candles = new Map(older.map(candle => [candle.time, candle]));
+  newer.forEach(candle => candles.set(candle.time, candle));
+  return Array.from(candles.values()).sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Loads up to `count` bars stamped before `before`, the same size as the
+ * bars getCandles returned for `downsampledResolution` and
+ * `aggregateWindowMs`. Gaps without trades are skipped by jumping to the
+ * previous trade, at most MAX_COUNTBACK_EXTENSIONS times. Returns fewer bars
+ * when the history runs out or a query fails.
+ *
+ * @returns {Promise<{candles: Array, earliest: Date}>} `earliest` is where the search stopped
+ */
+async function loadBarsBefore({ symbol, downsampledResolution, aggregateWindowMs, before, count }) {
+  const window = candleWindow(symbol, downsampledResolution, aggregateWindowMs);
+
+  let candles = [];
+  let earliest = before;
+
+  for (let extension = 0; candles.length < count && extension < MAX_COUNTBACK_EXTENSIONS; extension++) {
+    try {
+      const previous = await getPreviousTradeTime(symbol, earliest);
+      if (!previous) {
+        console.log(`No trades before ${earliest.toISOString()}, loaded ${candles.length} of ${count} older bars`);
+        break;
+      }
+
+      const missing = count - candles.length;
+      const segmentEnd = candleTime(previous.getTime(), window);
+      const segmentStart = resolutions.addWindows(segmentEnd, window, -missing);
+
+      console.log(`Loading ${missing} more bars before ${earliest.toISOString()} from ${new Date(segmentStart).toISOString()}`);
+
+      const older = await withTimeout(
+        queryStitchedCandles({
+          symbol,
+          resolution: downsampledResolution,
+          startDate: new Date(segmentStart),
+          // Include the bar stamped at the end of the segment
+          endDate: new Date(segmentEnd + 1),
+          aggregateWindowMs
+        }),
+        QUERY_TIMEOUT_MS,
+        'Query timed out after 30 seconds'
+      );
+
+      candles = mergeCandles(older.filter(candle => candle.time < before.getTime()), candles);
+      earliest = new Date(segmentStart);
+    } catch (error) {
+      console.error('Error loading older bars, returning the bars loaded so far:', error.message);
+      break;
+    }
+  }
+
+  return { candles: candles.slice(-count), earliest };
+}
+
+// Bar for a window without trades. Volumes are zero; prices repeat the
+// previous close, or are null when there is none or `fill` is 'null'.
+const emptyCandle = (time, fill, previousClose) => {
+  const price = fill === 'previous' ? previousClose : null;
+  return {
+    time,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0,
+    buyVolume: 0,
+    sellVolume: 0,
+    tradeCount: 0,
+    vwap: null
+  };
+};
+
+/**
+ * Adds a bar for every window stamped in [start, end) that has no candle.
+ * Windows that have not started yet are left out, and at most
+ * MAX_DATA_POINTS windows before `end` are filled. With `fill` 'previous',
+ * gaps before the first candle use `previousClose` and are skipped if it is
+ * null.
+ */
+function fillGaps(candles, window, { start, end, fill, previousClose = null }) {
+  const stop = Math.min(end, candleTime(Date.now(), window) + 1);
+  const earliest = resolutions.addWindows(resolutions.alignToWindow(stop - 1, window), window, -MAX_DATA_POINTS);
+
+  let time = resolutions.alignToWindow(Math.max(start, earliest), window);
+  if (time < Math.max(start, earliest)) {
+    time = resolutions.addWindows(time, window, 1);
+  }
+
+  // Candles before the filled windows (or off their grid) are kept as they are
+  const byTime = new Map(candles.map(candle => [candle.time, candle]));
+  const before = candles.filter(candle => candle.time < time);
+  let close = before.length > 0 ? before[before.length - 1].close : previousClose;
+
+  const filled = [];
+  for (; time < stop; time = resolutions.addWindows(time, window, 1)) {
+    const candle = byTime.get(time);
+    if (candle) {
+      byTime.delete(time);
+      filled.push(candle);
+      close = candle.close;
+    } else if (fill === 'null' || close !== null) {
+      filled.push(emptyCandle(time, fill, close));
+    }
+  }
+
+  return mergeCandles(Array.from(byTime.values()), filled);
+}
+
+/**
+ * Loads the bars for a chart request. On top of getCandles:
+ *
+ * - `countBack` guarantees at least that many bars ending at `endDate`
+ *   (unless the symbol has no more history). When [startDate, endDate) holds
+ *   fewer bars, older bars are loaded by jumping back to the previous trade,
+ *   so gaps in sparse symbols are skipped rather than scanned.
+ * - `limit` caps the response to the most recent bars.
+ * - `nextTime` is the time of the latest bar before `startDate` when the
+ *   request returned no bars, or null if there is no earlier data at all.
+ * - `fill` ('none', 'previous' or 'null') adds bars for windows without
+ *   trades between the first bar (or `startDate`) and `endDate`.
+ *
+ * The latency is recorded in `ohlc_query_duration_seconds` by the resolution
+ * the candles were read from and whether the query succeeded (`status` 'ok'
+ * or 'error').
+ *
+ * @returns {Promise<{candles: Array, nextTime: ?number}>}
+ */
+async function getBars({ symbol, resolution, startDate, endDate, countBack = null, limit = null, fill = 'none' }) {
+  const endTimer = ohlcQueryDuration.startTimer();
+  let downsampledResolution = null;
+  let status = 'error';
+
+  try {
+    const range = await getCandles({ symbol, resolution, startDate, endDate });
+    const { aggregateWindowMs } = range;
+    downsampledResolution = range.downsampledResolution;
+
+    let candles = range.candles;
+    let earliest = startDate;
+
+    if (countBack && candles.length < countBack) {
+      const older = await loadBarsBefore({
+        symbol,
+        downsampledResolution,
+        aggregateWindowMs,
+        before: startDate,
+        count: countBack - candles.length
+      });
+      candles = mergeCandles(older.candles, candles);
+      earliest = older.earliest;
+    }
+
+    let nextTime = null;
+    if (candles.length === 0) {
+      const previous = await getPreviousTradeTime(symbol, earliest);
+      if (previous) {
+        // Older bars have the same size as the ones already loaded
+        nextTime = candleTime(previous.getTime(), candleWindow(symbol, downsampledResolution, aggregateWindowMs));
+      }
+    }
+
+    if (fill !== 'none') {
+      const window = candleWindow(symbol, downsampledResolution, aggregateWindowMs);
+      const start = candles.length > 0 ? Math.min(candles[0].time, startDate.getTime()) : startDate.getTime();
+
+      // Gaps before the first bar repeat the close of the bar before them
+      let previousClose = null;
+      if (fill === 'previous' && (candles.length === 0 || candles[0].time > start)) {
+        const { candles: previous } = await loadBarsBefore({
+          symbol,
+          downsampledResolution,
+          aggregateWindowMs,
+          before: new Date(start),
+          count: 1
+        });
+        previousClose = previous.length > 0 ? previous[0].close : null;
+      }
+
+      const count = candles.length;
+      candles = fillGaps(candles, window, { start, end: endDate.getTime(), fill, previousClose });
+      console.log(`Filled ${candles.length - count} empty bars with fill=${fill}`);
+    }
+
+    if (limit && candles.length > limit) {
+      candles = candles.slice(-limit);
+    }
+
+    status = 'ok';
+    return { candles, nextTime };
+  } finally {
+    // Failed queries are timed too, possibly before the resolution is known
+    endTimer({ resolution: downsampledResolution || 'unknown', status });
+  }
+}
+
+module.exports = {
+  MAX_DATA_POINTS,
+  FILL_MODES,
+  CandleQueryError,
+  planCandleQuery,
+  getDownsamplingCursor,
+  queryDownsampledCandles,
+  queryTradeCandles,
+  getPreviousTradeTime,
+  getCandles,
+  loadBarsBefore,
+  getBars
+};
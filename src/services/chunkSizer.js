@@ -0,0 +1,394 @@
+const { Point, flux } = require('@influxdata/influxdb-client');
+const resolutions = require('../config/resolutions');
+const { DOWNSAMPLING_TARGET_RUN_MS } = require('../config/downsampling');
+const { fromBucket } = require('./fluxQueryBuilder');
+const symbolRegistry = require('./symbolRegistry');
+
+/**
+ * Adaptive chunk sizes for downsampling.
+ *
+ * A resolution's `chunkDays` is only the size of its first chunks. Once a
+ * chunk has been processed, the next chunk of a symbol is sized to take about
+ * DOWNSAMPLING_TARGET_RUN_MS:
+ *
+ * - Throughput: rows (trades or source candles) processed per second, a
+ *   moving average over the resolution's previous chunks.
+ * - Density: the symbol's trades per hour after its cursor, counted before
+ *   the chunk. Source candles come one per source window.
+ *
+ * The chunk covers as many hours as throughput × target run time rows allow,
+ * between an hour and MAX_CHUNK_FACTOR × `chunkDays`. A chunk that times out
+ * halves the symbol's limit, which doubles again with every chunk that
+ * finishes within the target.
+ *
+ * Chosen sizes are written as `downsampling_chunk` points (tags `resolution`
+ * and `symbol`; fields `chunk_ms`, `reason`, `expected_rows`,
+ * `rows_per_second` and `limit_ms`), for inspection and so the sizer resumes
+ * after a restart. The InfluxDB tasks read their chunk sizes from these points.
+ * A size is only written when its `chunk_ms`, `reason` or `limit_ms` changed,
+ * or RECORD_INTERVAL_MS after it was last written.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const MIN_CHUNK_MS = HOUR;
+const MAX_CHUNK_FACTOR = 4;
+
+// Weight of the latest chunk in the throughput average
+const THROUGHPUT_WEIGHT = 0.3;
+
+// Sizes recorded before this are neither loaded nor listed
+const CHUNK_RANGE = '-30d';
+
+// An unchanged size is written again after this long
+const RECORD_INTERVAL_MS = HOUR;
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 500;
+
+class ChunkSizeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChunkSizeError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether an error is a request that took too long, in the client or in
+ * InfluxDB.
+ */
+const isTimeoutError = (error) => Boolean(error) &&
+  (error.name === 'RequestTimedOutError' || /timed? ?out|deadline exceeded/i.test(error.message || ''));
+
+const formatHours = (ms) => `${Math.round(ms / HOUR * 10) / 10}h`;
+
+// A recorded size as returned by the API
+const describeChunk = (row) => ({
+  resolution: row.resolution,
+  symbol: row.symbol,
+  chunkMs: row.chunk_ms,
+  chunkDays: Math.round(row.chunk_ms / DAY * 1000) / 1000,
+  reason: row.reason || null,
+  expectedRows: typeof row.expected_rows === 'number' ? row.expected_rows : null,
+  rowsPerSecond: typeof row.rows_per_second === 'number' ? row.rows_per_second : null,
+  limitMs: typeof row.limit_ms === 'number' ? row.limit_ms : null,
+  recordedAt: new Date(row._time).toISOString()
+});
+
+class ChunkSizer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queryApi - InfluxDB query API
+   * @param {Object} options.writeApi - InfluxDB write API for the bucket, without default tags
+   * @param {string} options.bucket - Bucket holding the trades and the recorded sizes
+   * @param {number} [options.targetMs] - How long a chunk should take
+   * @param {Function} [options.getSymbolSession] - Session and timezone of a symbol
+   * @param {Function} [options.now] - Current time in ms
+   * @param {Object} [options.logger] - Receives the progress and error messages, console by default
+   */
+  constructor({
+    queryApi,
+    writeApi,
+    bucket,
+    targetMs = DOWNSAMPLING_TARGET_RUN_MS,
+    getSymbolSession = symbolRegistry.getSymbolSession,
+    now = Date.now,
+    logger = console
+  }) {
+    this.queryApi = queryApi;
+    this.writeApi = writeApi;
+    this.bucket = bucket;
+    this.targetMs = targetMs;
+    this.getSymbolSession = getSymbolSession;
+    this.now = now;
+    this.logger = logger;
+
+    // Rows per second per resolution, chunk limits after timeouts per
+    // resolution and symbol, and the last size written per resolution and
+    // symbol
+    this.throughput = new Map();
+    this.limits = new Map();
+    this.recorded = new Map();
+    this.loaded = null;
+  }
+
+  maxChunkMs(resolution) {
+    return resolution.chunkDays * DAY * MAX_CHUNK_FACTOR;
+  }
+
+  /**
+   * Sizes the next chunk of a symbol at a resolution, starting at `start` and
+   * ending by `maxEnd` at the latest, and records the size. Returns the
+   * chunk's end, size and expected rows, and why it got that size.
+   * `targetMs` defaults to the sizer's target run time.
+   */
+  async planChunk(resolution, symbol, start, maxEnd, { targetMs = this.targetMs } = {}) {
+    await this.load();
+
+    const key = `${resolution.name}|${symbol}`;
+    const limit = this.limits.has(key) ? this.limits.get(key) : this.maxChunkMs(resolution);
+    const rowsPerSecond = this.throughput.get(resolution.name);
+    // Until a chunk was measured, the default chunk's rows are only counted
+    const budget = rowsPerSecond !== undefined ? rowsPerSecond * targetMs / 1000 : Infinity;
+    let chunkMs = Math.min(resolution.chunkDays * DAY, limit);
+    let reason = 'default';
+    let expectedRows;
+
+    if (resolution.source) {
+      // One source candle per source window
+      const sourceMs = resolutions.getWindow(resolution.source, this.getSymbolSession(symbol)).ms;
+      if (rowsPerSecond !== undefined) {
+        chunkMs = budget * sourceMs;
+        reason = 'throughput';
+      }
+      chunkMs = this.clamp(chunkMs, limit);
+      expectedRows = Math.round(Math.min(chunkMs, maxEnd - start) / sourceMs);
+    } else {
+      const fit = await this.fitTrades(symbol, start, Math.min(start + (rowsPerSecond !== undefined ? limit : chunkMs), maxEnd), budget);
+      if (rowsPerSecond !== undefined) {
+        chunkMs = fit.chunkMs;
+        reason = 'density';
+      }
+      chunkMs = this.clamp(chunkMs, limit);
+      expectedRows = fit.expectedRows;
+    }
+
+    if (chunkMs === limit && reason !== 'default') {
+      reason = this.limits.has(key) ? 'limit' : 'max';
+    }
+
+    await this.record(resolution, symbol, { chunkMs, reason, expectedRows });
+
+    return { end: Math.min(start + chunkMs, maxEnd), chunkMs, expectedRows, reason };
+  }
+
+  clamp(chunkMs, limit) {
+    return Math.max(MIN_CHUNK_MS, Math.round(Math.min(chunkMs, limit)));
+  }
+
+  /**
+   * Returns the longest chunk of a symbol's trades in [start, stop) whose
+   * trades fit in `budget`, in whole hours, and its number of trades. The
+   * whole range if all of them fit.
+   */
+  async fitTrades(symbol, start, stop, budget) {
+    if (stop <= start) {
+      return { chunkMs: MIN_CHUNK_MS, expectedRows: 0 };
+    }
+
+    // Trades are stored in one series per side (and exchange)
+    const query = fromBucket(this.bucket)
+      .range(new Date(start), new Date(stop))
+      .measurement('trade')
+      .symbol(symbol)
+      .field('price')
+      .pipe('group(columns: ["symbol"])')
+      .pipe('aggregateWindow(every: 1h, fn: count, createEmpty: false)')
+      .build();
+
+    const rows = await this.queryApi.collectRows(query);
+    const counts = rows
+      .map(row => ({ end: Date.parse(row._time), count: row._value }))
+      .sort((a, b) => a.end - b.end);
+    let expectedRows = 0;
+
+    for (const { end, count } of counts) {
+      if (expectedRows + count > budget) {
+        // Stop before the hour that does not fit, or after the first one
+        if (expectedRows === 0) {
+          return { chunkMs: MIN_CHUNK_MS, expectedRows: count };
+        }
+        return { chunkMs: Math.max(start, end - HOUR) - start, expectedRows };
+      }
+      expectedRows += count;
+    }
+
+    return { chunkMs: Infinity, expectedRows };
+  }
+
+  /**
+   * Records how long a chunk of `rows` rows took. Chunks that finish within
+   * `targetMs` lift the limit a timeout set, step by step.
+   */
+  recordChunk(resolution, symbol, { rows, durationMs, targetMs = this.targetMs }) {
+    this.recordThroughput(resolution, rows, durationMs);
+
+    if (durationMs <= targetMs) {
+      this.relaxLimit(resolution, symbol);
+    }
+  }
+
+  /**
+   * Adds a measured throughput to the resolution's average.
+   */
+  recordThroughput(resolution, rows, durationMs) {
+    if (!(rows > 0) || !(durationMs > 0)) return;
+
+    const sample = rows / (durationMs / 1000);
+    const previous = this.throughput.get(resolution.name);
+    this.throughput.set(resolution.name, previous === undefined ? sample : previous + THROUGHPUT_WEIGHT * (sample - previous));
+  }
+
+  relaxLimit(resolution, symbol) {
+    const key = `${resolution.name}|${symbol}`;
+    if (!this.limits.has(key)) return;
+
+    const limit = this.limits.get(key) * 2;
+    if (limit >= this.maxChunkMs(resolution)) {
+      this.limits.delete(key);
+    } else {
+      this.limits.set(key, limit);
+    }
+  }
+
+  /**
+   * Halves the chunks of a symbol at a resolution after a chunk of
+   * `chunkMs` timed out.
+   */
+  async recordTimeout(resolution, symbol, chunkMs) {
+    await this.load();
+
+    const limit = Math.max(MIN_CHUNK_MS, Math.floor(chunkMs / 2));
+    this.limits.set(`${resolution.name}|${symbol}`, limit);
+    this.logger.log(`Downsampling ${formatHours(chunkMs)} of ${symbol} at ${resolution.name} timed out, limiting its chunks to ${formatHours(limit)}`);
+
+    await this.record(resolution, symbol, { chunkMs: limit, reason: 'timeout', expectedRows: null });
+  }
+
+  /**
+   * Writes a chosen size, unless it is the size last written for the symbol
+   * at the resolution and that was less than RECORD_INTERVAL_MS ago.
+   */
+  async record(resolution, symbol, { chunkMs, reason, expectedRows }) {
+    const key = `${resolution.name}|${symbol}`;
+    const limitMs = this.limits.has(key) ? this.limits.get(key) : null;
+    const last = this.recorded.get(key);
+    if (last && last.chunkMs === chunkMs && last.reason === reason && last.limitMs === limitMs &&
+      this.now() - last.time < RECORD_INTERVAL_MS) {
+      return;
+    }
+
+    const point = new Point('downsampling_chunk')
+      .tag('resolution', resolution.name)
+      .tag('symbol', symbol)
+      .intField('chunk_ms', chunkMs)
+      .stringField('reason', reason);
+
+    if (expectedRows !== null) {
+      point.intField('expected_rows', expectedRows);
+    }
+    if (this.throughput.has(resolution.name)) {
+      point.floatField('rows_per_second', this.throughput.get(resolution.name));
+    }
+    if (limitMs !== null) {
+      point.intField('limit_ms', limitMs);
+    }
+
+    this.writeApi.writePoint(point);
+    await this.writeApi.flush();
+    this.recorded.set(key, { chunkMs, reason, limitMs, time: this.now() });
+  }
+
+  // Restore the throughputs, limits and sizes of the latest recorded sizes
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.loadLatest()
+        .then(rows => {
+          const latest = new Map();
+          rows.forEach(row => {
+            const known = latest.get(row.resolution);
+            if (typeof row.rows_per_second === 'number' && (!known || Date.parse(known._time) < Date.parse(row._time))) {
+              latest.set(row.resolution, row);
+            }
+            const key = `${row.resolution}|${row.symbol}`;
+            if (typeof row.limit_ms === 'number') {
+              this.limits.set(key, row.limit_ms);
+            }
+            if (!this.recorded.has(key)) {
+              this.recorded.set(key, {
+                chunkMs: row.chunk_ms,
+                reason: row.reason,
+                limitMs: typeof row.limit_ms === 'number' ? row.limit_ms : null,
+                time: Date.parse(row._time)
+              });
+            }
+          });
+          latest.forEach((row, name) => {
+            if (!this.throughput.has(name)) {
+              this.throughput.set(name, row.rows_per_second);
+            }
+          });
+        })
+        .catch(error => {
+          this.logger.error('Error loading downsampling chunk sizes, starting from chunkDays:', error.message);
+        });
+    }
+
+    return this.loaded;
+  }
+
+  async loadLatest(resolutionName = null) {
+    const query = fromBucket(this.bucket)
+      .range(CHUNK_RANGE)
+      .measurement('downsampling_chunk');
+    if (resolutionName) {
+      query.tag('resolution', resolutionName);
+    }
+    query
+      .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+      .pipe('group(columns: ["resolution", "symbol"])')
+      .pipe('sort(columns: ["_time"])')
+      .pipe('last(column: "_time")');
+
+    return this.queryApi.collectRows(query.build());
+  }
+
+  /**
+   * Returns the latest recorded size of every resolution and symbol, or the
+   * recent sizes of one resolution and symbol, newest first.
+   */
+  async listChunks({ resolution, symbol, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    if (resolution !== undefined && !resolutions.getResolution(resolution)) {
+      throw new ChunkSizeError(`Unknown resolution '${resolution}'`);
+    }
+    if (symbol !== undefined && !symbolRegistry.findSymbol(symbol)) {
+      throw new ChunkSizeError(`Unknown symbol '${symbol}'`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      throw new ChunkSizeError(`limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`);
+    }
+
+    if (resolution === undefined || symbol === undefined) {
+      const rows = await this.loadLatest(resolution);
+      return rows
+        .filter(row => symbol === undefined || row.symbol === symbol)
+        .map(describeChunk)
+        .sort((a, b) => a.resolution.localeCompare(b.resolution) || a.symbol.localeCompare(b.symbol));
+    }
+
+    const query = fromBucket(this.bucket)
+      .range(CHUNK_RANGE)
+      .measurement('downsampling_chunk')
+      .tag('resolution', resolution)
+      .symbol(symbol)
+      .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+      .pipe('sort(columns: ["_time"], desc: true)')
+      .pipe(flux`limit(n: ${limit})`)
+      .build();
+
+    const rows = await this.queryApi.collectRows(query);
+    return rows.map(describeChunk);
+  }
+}
+
+module.exports = {
+  MIN_CHUNK_MS,
+  MAX_CHUNK_FACTOR,
+  RECORD_INTERVAL_MS,
+  DEFAULT_HISTORY_LIMIT,
+  ChunkSizeError,
+  ChunkSizer,
+  isTimeoutError
+};
@@ -0,0 +1,318 @@
+const { Point } = require('@influxdata/influxdb-client');
+const resolutions = require('../config/resolutions');
+const { fromBucket } = require('./fluxQueryBuilder');
+const downsamplingProgress = require('./downsamplingProgress');
+
+/**
+ * Reprocessing of trades that arrive after their windows were downsampled,
+ * by the InfluxDB tasks or the Node engine.
+ *
+ * The write paths pass every persisted batch to `record()`, which keeps the
+ * trades that are late: older than the symbol's furthest stored cursor when
+ * the cursors were last read, or than that read itself, since a task may have
+ * moved the cursor past them since. With the Node engine in process, trades
+ * older than the end of a chunk it has started, which may have read them
+ * before they were written, are late too. Their time range is kept per symbol and hour in
+ * memory, so a backfill does not turn into one range spanning everything up
+ * to now. `flush()` stores these dirty ranges as `downsampling_dirty` points
+ * (tag `symbol`, string fields `start` and `end`), so they survive a restart.
+ *
+ * `process()` loads the ranges recorded since the `downsampling_dirty_progress`
+ * cursor and rebuilds the affected windows at every resolution, finest first,
+ * so cascaded resolutions are rebuilt from already updated source candles.
+ * Only the part of a range before the symbol's cursor at a resolution is
+ * rebuilt; later trades are picked up by regular downsampling.
+ */
+
+// Trades are grouped into ranges of at most an hour
+const RANGE_BUCKET_MS = 60 * 60 * 1000;
+
+// Merge overlapping or touching [start, end) ranges
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged;
+};
+
+class DirtyRangeTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queryApi - InfluxDB query API
+   * @param {Object} options.writeApi - InfluxDB write API for the bucket, without default tags
+   * @param {string} options.bucket - Bucket holding the trades and candles
+   * @param {Function} [options.now] - Current time in ms
+   * @param {Object} [options.logger] - Receives the progress and error messages, console by default
+   */
+  constructor({ queryApi, writeApi, bucket, now = Date.now, logger = console }) {
+    this.queryApi = queryApi;
+    this.writeApi = writeApi;
+    this.bucket = bucket;
+    this.now = now;
+    this.logger = logger;
+
+    // Unflushed [start, end) ranges per symbol and hour
+    this.pending = new Map();
+    this.timer = null;
+    this.processing = null;
+
+    // Engine rebuilding the windows, the furthest stored cursor of each
+    // symbol (null until loaded, when every trade counts as late) and when
+    // they were read
+    this.engine = null;
+    this.cursors = null;
+    this.cursorsLoadedAt = null;
+  }
+
+  /**
+   * Records the time range of persisted trades that are late. Ignored until
+   * the tracker is started.
+   */
+  record(trades) {
+    if (!this.engine) return;
+
+    trades.forEach(trade => {
+      const time = new Date(trade.timestamp || Date.now()).getTime();
+      if (time < this.lateBefore(trade.symbol)) {
+        this._addRange(trade.symbol, time, time + 1);
+      }
+    });
+  }
+
+  // Trades of a symbol before this time may be missing from its candles
+  lateBefore(symbol) {
+    if (!this.cursors) return Infinity;
+
+    const cursor = this.cursors.has(symbol) ? this.cursors.get(symbol) : -Infinity;
+    const reached = this.engine.reached.has(symbol) ? this.engine.reached.get(symbol) : -Infinity;
+    return Math.max(cursor, reached, this.cursorsLoadedAt);
+  }
+
+  // Reload the furthest stored cursor of every symbol
+  async loadCursors() {
+    const loadedAt = this.now();
+    const cursors = await downsamplingProgress.loadCursors(this.queryApi, this.bucket);
+    const furthest = new Map();
+
+    cursors.forEach(symbolCursors => symbolCursors.forEach((cursor, symbol) => {
+      furthest.set(symbol, Math.max(furthest.has(symbol) ? furthest.get(symbol) : -Infinity, cursor.getTime()));
+    }));
+
+    this.cursors = furthest;
+    this.cursorsLoadedAt = loadedAt;
+  }
+
+  _addRange(symbol, start, end) {
+    const key = `${symbol}|${Math.floor(start / RANGE_BUCKET_MS)}`;
+    const range = this.pending.get(key);
+
+    if (!range) {
+      this.pending.set(key, { symbol, start, end });
+    } else {
+      range.start = Math.min(range.start, start);
+      range.end = Math.max(range.end, end);
+    }
+  }
+
+  /**
+   * Stores the recorded ranges. They are kept in memory if the write fails.
+   */
+  async flush() {
+    if (this.pending.size === 0) return;
+
+    const pending = this.pending;
+    this.pending = new Map();
+    const recordedAt = new Date(this.now());
+
+    try {
+      this.writeApi.writePoints(Array.from(pending.values(), range => new Point('downsampling_dirty')
+        .tag('symbol', range.symbol)
+        .stringField('start', new Date(range.start).toISOString())
+        .stringField('end', new Date(range.end).toISOString())
+        .timestamp(recordedAt)));
+      await this.writeApi.flush();
+    } catch (error) {
+      pending.forEach(range => this._addRange(range.symbol, range.start, range.end));
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the time up to which recorded ranges have been processed, or null.
+   */
+  async getCursor() {
+    const query = fromBucket(this.bucket)
+      .range(0)
+      .measurement('downsampling_dirty_progress')
+      .field('last_processed')
+      .pipe('last()')
+      .build();
+
+    const rows = await this.queryApi.collectRows(query);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const cursor = new Date(rows[rows.length - 1]._value);
+    return isNaN(cursor.getTime()) ? null : cursor;
+  }
+
+  /**
+   * Returns the merged dirty ranges recorded in [from, until), per symbol.
+   */
+  async loadRanges(from, until) {
+    const query = fromBucket(this.bucket)
+      .range(new Date(from), new Date(until))
+      .measurement('downsampling_dirty')
+      .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+      .build();
+
+    const rows = await this.queryApi.collectRows(query);
+    const ranges = new Map();
+
+    rows.forEach(row => {
+      const start = Date.parse(row.start);
+      const end = Date.parse(row.end);
+      if (isNaN(start) || isNaN(end) || end <= start) return;
+
+      if (!ranges.has(row.symbol)) {
+        ranges.set(row.symbol, []);
+      }
+      ranges.get(row.symbol).push({ start, end });
+    });
+
+    ranges.forEach((symbolRanges, symbol) => ranges.set(symbol, mergeRanges(symbolRanges)));
+    return ranges;
+  }
+
+  /**
+   * Flushes the recorded ranges and rebuilds the windows they touch with
+   * `engine.recomputeWindows()`. Calls made while processing share the run.
+   * Returns the number of candles written.
+   */
+  process(engine) {
+    if (!this.processing) {
+      this.processing = this._process(engine).finally(() => {
+        this.processing = null;
+      });
+    }
+
+    return this.processing;
+  }
+
+  async _process(engine) {
+    await this.loadCursors();
+    await this.flush();
+
+    // Let a Node engine run finish first so both do not write the same windows
+    await engine.running;
+
+    const until = this.now();
+    const cursor = await this.getCursor();
+    const ranges = await this.loadRanges(cursor ? cursor.getTime() : 0, until);
+    let written = 0;
+
+    if (ranges.size > 0) {
+      for (const resolution of engine.resolutions) {
+        const cursors = await engine.getCursors(resolution.name);
+
+        for (const [symbol, symbolRanges] of ranges) {
+          // Symbols without a cursor will be downsampled from their first trade
+          const resolutionCursor = cursors.get(symbol);
+          if (!resolutionCursor) continue;
+
+          // Ranges sharing a window are rebuilt once
+          const window = resolutions.getWindow(resolution.name, engine.getSymbolSession(symbol));
+          const windowRanges = mergeRanges(symbolRanges
+            .map(range => ({ start: range.start, end: Math.min(range.end, resolutionCursor.getTime()) }))
+            .filter(range => range.start < range.end)
+            .map(range => ({
+              start: resolutions.alignToWindow(range.start, window),
+              end: resolutions.addWindows(resolutions.alignToWindow(range.end - 1, window), window, 1)
+            })));
+
+          for (const range of windowRanges) {
+            written += await engine.recomputeWindows(resolution, symbol, range.start, range.end);
+          }
+        }
+      }
+
+      this.logger.log(`Reprocessed late trades of ${ranges.size} symbols into ${written} candles`);
+    }
+
+    this.writeApi.writePoint(new Point('downsampling_dirty_progress')
+      .stringField('last_processed', new Date(until).toISOString())
+      .timestamp(new Date(until)));
+    await this.writeApi.flush();
+
+    return written;
+  }
+
+  /**
+   * Processes the dirty ranges now and then every `intervalMs` after each run
+   * ends, rebuilding windows with `engine`. The engine does not need to be
+   * running: with the InfluxDB tasks it only rebuilds the late windows.
+   */
+  start(engine, intervalMs) {
+    if (this.timer) return;
+    this.engine = engine;
+
+    const tick = async () => {
+      try {
+        await this.process(engine);
+      } catch (error) {
+        this.logger.error('Error reprocessing late trades:', error);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(tick, intervalMs);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stops processing and stores the ranges recorded so far.
+   */
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    await this.processing;
+    await this.flush();
+  }
+}
+
+let defaultTracker = null;
+
+/**
+ * Returns the tracker shared by the API's write paths.
+ */
+function getDirtyRangeTracker() {
+  if (!defaultTracker) {
+    const { influxDB, queryApi, config } = require('../config/influxdb');
+    defaultTracker = new DirtyRangeTracker({
+      queryApi,
+      writeApi: influxDB.getWriteApi(config.org, config.bucket, 'ns'),
+      bucket: config.bucket
+    });
+  }
+
+  return defaultTracker;
+}
+
+module.exports = {
+  DirtyRangeTracker,
+  getDirtyRangeTracker
+};
@@ -0,0 +1,473 @@
+const { Point } = require('@influxdata/influxdb-client');
+const resolutions = require('../config/resolutions');
+const { fromBucket } = require('./fluxQueryBuilder');
+const downsamplingProgress = require('./downsamplingProgress');
+const { ChunkSizer, isTimeoutError } = require('./chunkSizer');
+const symbolRegistry = require('./symbolRegistry');
+
+/**
+ * Node-side downsampling engine, an alternative to the InfluxDB tasks.
+ *
+ * For each resolution and symbol it does what the `Downsample_Trades_<resolution>`
+ * task does: read the symbol's `downsampling_progress` cursor (see
+ * downsamplingProgress.js), stream the raw trades (or the candles of its
+ * `source` resolution) of the next chunk, write one
+ * `trade_ohlc_<resolution>` candle per window, and advance the cursor to the
+ * end of the chunk. The candles have the same fields, tags and windows as the
+ * task's, and a chunk never goes past the symbol's cursor at the source
+ * resolution. A symbol without a cursor starts at its first trade. Chunks are
+ * sized by a ChunkSizer from the trade density and the previous chunks.
+ *
+ * Unlike the tasks, a chunk starts reading at the start of the window that
+ * contains the cursor, so a window split across two chunks is recomputed in
+ * full, and the cursor also advances over chunks without trades.
+ *
+ * `recomputeWindows()` rebuilds given windows regardless of the cursor; it is
+ * used to fold late trades into existing candles.
+ *
+ * The query and write APIs are passed in, so the engine can run against fake
+ * ones in tests.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Candle points written per flush
+const WRITE_BATCH_SIZE = 5000;
+
+// A trade as a one-trade bar
+const tradeToBar = (row) => {
+  if (typeof row.price !== 'number' || typeof row.amount !== 'number') {
+    return null;
+  }
+
+  return {
+    time: new Date(row._time).getTime(),
+    open: row.price,
+    high: row.price,
+    low: row.price,
+    close: row.price,
+    volume: row.amount,
+    buyVolume: row.side === 'buy' ? row.amount : 0,
+    sellVolume: row.side === 'sell' ? row.amount : 0,
+    tradeCount: 1,
+    notional: row.price * row.amount
+  };
+};
+
+// A source candle as a bar, placed 1ms before its stamp so it falls in the
+// window it belongs to. Fields missing from older candles count as 0.
+const candleToBar = (row) => {
+  if (typeof row.open !== 'number' || typeof row.close !== 'number') {
+    return null;
+  }
+
+  const volume = row.volume || 0;
+  return {
+    time: new Date(row._time).getTime() - 1,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume,
+    buyVolume: row.buy_volume || 0,
+    sellVolume: row.sell_volume || 0,
+    tradeCount: row.trade_count || 0,
+    notional: typeof row.vwap === 'number' ? row.vwap * volume : 0
+  };
+};
+
+// Add a trade or source candle to the candle of its window
+const addBar = (candle, bar) => {
+  if (candle.openTime === null || bar.time < candle.openTime) {
+    candle.openTime = bar.time;
+    candle.open = bar.open;
+  }
+  if (candle.closeTime === null || bar.time >= candle.closeTime) {
+    candle.closeTime = bar.time;
+    candle.close = bar.close;
+  }
+
+  candle.high = Math.max(candle.high, bar.high);
+  candle.low = Math.min(candle.low, bar.low);
+  candle.volume += bar.volume;
+  candle.buyVolume += bar.buyVolume;
+  candle.sellVolume += bar.sellVolume;
+  candle.tradeCount += bar.tradeCount;
+  candle.notional += bar.notional;
+};
+
+// Build the point for a candle, matching the fields the tasks write
+const createCandlePoint = (measurement, candle) => {
+  const point = new Point(measurement)
+    .tag('symbol', candle.symbol)
+    .floatField('open', candle.open)
+    .floatField('high', candle.high)
+    .floatField('low', candle.low)
+    .floatField('close', candle.close)
+    .floatField('volume', candle.volume)
+    .floatField('buy_volume', candle.buyVolume)
+    .floatField('sell_volume', candle.sellVolume)
+    .intField('trade_count', candle.tradeCount)
+    .timestamp(new Date(candle.time));
+
+  if (candle.volume > 0) {
+    point.floatField('vwap', candle.notional / candle.volume);
+  }
+
+  return point;
+};
+
+class DownsamplingEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queryApi - InfluxDB query API (`collectRows`, `iterateRows`)
+   * @param {Object} options.writeApi - InfluxDB write API for the bucket (`writePoints`, `flush`).
+   *   It must not add default tags, or the candles would not match the tasks' series.
+   * @param {string} options.bucket - Bucket holding the trades and candles
+   * @param {Array} [options.resolutions] - Registry entries to downsample, all by default
+   * @param {Function} [options.getSymbolSession] - Session and timezone of a symbol
+   * @param {Function} [options.listSymbols] - Symbols to downsample
+   * @param {Function} [options.now] - Current time in ms
+   * @param {Object} [options.chunkSizer] - ChunkSizer sizing the chunks, one on the same APIs by default
+   * @param {Object} [options.logger] - Receives the progress and error messages, console by default
+   */
+  constructor({
+    queryApi,
+    writeApi,
+    bucket,
+    resolutions: entries = resolutions.RESOLUTIONS,
+    getSymbolSession = symbolRegistry.getSymbolSession,
+    listSymbols = symbolRegistry.listSymbols,
+    now = Date.now,
+    chunkSizer = null,
+    logger = console
+  }) {
+    this.queryApi = queryApi;
+    this.writeApi = writeApi;
+    this.bucket = bucket;
+    this.resolutions = entries;
+    this.getSymbolSession = getSymbolSession;
+    this.listSymbols = listSymbols;
+    this.now = now;
+    this.chunkSizer = chunkSizer || new ChunkSizer({ queryApi, writeApi, bucket, getSymbolSession, logger });
+    this.logger = logger;
+
+    this.timer = null;
+    this.running = null;
+    this.stopping = false;
+
+    // End of the furthest chunk started per symbol, at any resolution. Trades
+    // written before it may have been missed by that chunk.
+    this.reached = new Map();
+  }
+
+  /**
+   * Returns the time up to which a symbol has been downsampled at a
+   * resolution, or null.
+   */
+  getCursor(resolutionName, symbol) {
+    return downsamplingProgress.getCursor(this.queryApi, this.bucket, resolutionName, symbol);
+  }
+
+  /**
+   * Returns the cursors of a resolution, keyed by symbol.
+   */
+  async getCursors(resolutionName) {
+    const cursors = await downsamplingProgress.loadCursors(this.queryApi, this.bucket, resolutionName);
+    return cursors.get(resolutionName) || new Map();
+  }
+
+  /**
+   * Returns the time of a symbol's first trade, or null if it has none.
+   */
+  async getFirstTradeTime(symbol) {
+    const query = fromBucket(this.bucket)
+      .range(0)
+      .measurement('trade')
+      .symbol(symbol)
+      .field('price')
+      .pipe('first()')
+      .build();
+
+    // One row per series (side and exchange)
+    const rows = await this.queryApi.collectRows(query);
+    const times = rows.map(row => Date.parse(row._time)).filter(time => !isNaN(time));
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Downsamples the next chunk of a symbol at a resolution and advances its
+   * cursor. Returns what was processed, or null if the symbol is up to date
+   * (with now, or with its source resolution) or has no trades.
+   */
+  async processChunk(resolution, symbol) {
+    const cursor = await this.getCursor(resolution.name, symbol);
+    const firstTrade = cursor ? null : await this.getFirstTradeTime(symbol);
+    if (!cursor && !firstTrade) {
+      return null;
+    }
+
+    const start = cursor ? cursor.getTime() : firstTrade.getTime();
+    const now = this.now();
+    let maxEnd = now;
+
+    // Source candles are only complete up to the source's cursor
+    if (resolution.source) {
+      const sourceCursor = await this.getCursor(resolution.source, symbol);
+      maxEnd = sourceCursor ? Math.min(maxEnd, sourceCursor.getTime()) : start;
+    }
+
+    if (maxEnd <= start) {
+      return null;
+    }
+
+    const { end, chunkMs, reason } = await this.chunkSizer.planChunk(resolution, symbol, start, maxEnd);
+    this.reached.set(symbol, Math.max(this.reached.has(symbol) ? this.reached.get(symbol) : 0, end));
+    const startedAt = Date.now();
+
+    // Read from the start of the window containing the cursor, so the window
+    // split by the previous chunk is rebuilt from all of its input
+    const readStart = resolutions.alignToWindow(start, resolutions.getWindow(resolution.name, this.getSymbolSession(symbol)));
+
+    let candles;
+    let rows;
+    let written;
+    try {
+      ({ candles, rows } = await this.aggregate(resolution, readStart, end, symbol));
+
+      // Windows that ended before the cursor are complete already
+      for (const [key, candle] of candles) {
+        if (candle.time <= start) {
+          candles.delete(key);
+        }
+      }
+
+      written = await this.writeCandles(resolution, candles);
+    } catch (error) {
+      // The next chunks of the symbol are smaller
+      if (isTimeoutError(error)) {
+        await this.chunkSizer.recordTimeout(resolution, symbol, end - start);
+      }
+      throw error;
+    }
+
+    // The cursor only moves once the candles are written
+    this.writeApi.writePoint(new Point('downsampling_progress')
+      .tag('resolution', resolution.name)
+      .tag('symbol', symbol)
+      .stringField('last_processed', new Date(end).toISOString())
+      .timestamp(new Date(now)));
+    await this.writeApi.flush();
+
+    const durationMs = Date.now() - startedAt;
+    this.chunkSizer.recordChunk(resolution, symbol, { rows, durationMs });
+
+    const input = resolution.source ? `${resolution.source} candles` : 'trades';
+    this.logger.log(`Downsampled ${rows} ${symbol} ${input} into ${written} ${resolution.name} candles from ${new Date(start).toISOString()} to ${new Date(end).toISOString()} in ${durationMs}ms (${Math.round(chunkMs / HOUR * 10) / 10}h chunk, ${reason})`);
+
+    return { resolution: resolution.name, symbol, start: new Date(start), end: new Date(end), rows, candles: written };
+  }
+
+  /**
+   * Rebuilds the candles of `symbol` for every window overlapping
+   * [start, end), whatever the cursor. Returns the number of candles written.
+   */
+  async recomputeWindows(resolution, symbol, start, end) {
+    const window = resolutions.getWindow(resolution.name, this.getSymbolSession(symbol));
+    const readStart = resolutions.alignToWindow(start, window);
+    const readEnd = resolutions.addWindows(resolutions.alignToWindow(end - 1, window), window, 1);
+
+    const { candles } = await this.aggregate(resolution, readStart, readEnd, symbol);
+    return this.writeCandles(resolution, candles);
+  }
+
+  /**
+   * Aggregates the trades (or source candles) of [readStart, end), of one
+   * symbol or all of them, into candles keyed by symbol and window end.
+   */
+  async aggregate(resolution, readStart, end, symbol = null) {
+    // Source candles are stamped with their window end, so the range's are
+    // stamped in (readStart, end]
+    const query = fromBucket(this.bucket);
+    if (resolution.source) {
+      query.range(new Date(readStart + 1), new Date(end + 1)).measurement(`trade_ohlc_${resolution.source}`);
+    } else {
+      query.range(new Date(readStart), new Date(end)).measurement('trade');
+    }
+    if (symbol) {
+      query.symbol(symbol);
+    }
+    if (!resolution.source) {
+      query.pipe('filter(fn: (r) => r._field == "price" or r._field == "amount")');
+    }
+    query.pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")');
+
+    const toBar = resolution.source ? candleToBar : tradeToBar;
+    const windows = new Map();
+    const candles = new Map();
+    let rows = 0;
+
+    for await (const { values, tableMeta } of this.queryApi.iterateRows(query.build())) {
+      const row = tableMeta.toObject(values);
+      const bar = toBar(row);
+      if (!bar) {
+        continue;
+      }
+
+      if (!windows.has(row.symbol)) {
+        windows.set(row.symbol, resolutions.getWindow(resolution.name, this.getSymbolSession(row.symbol)));
+      }
+      const window = windows.get(row.symbol);
+      const candleTime = resolutions.addWindows(resolutions.alignToWindow(bar.time, window), window, 1);
+
+      const key = `${row.symbol}|${candleTime}`;
+      if (!candles.has(key)) {
+        candles.set(key, {
+          symbol: row.symbol,
+          time: candleTime,
+          openTime: null,
+          open: null,
+          closeTime: null,
+          close: null,
+          high: -Infinity,
+          low: Infinity,
+          volume: 0,
+          buyVolume: 0,
+          sellVolume: 0,
+          tradeCount: 0,
+          notional: 0
+        });
+      }
+
+      addBar(candles.get(key), bar);
+      rows++;
+    }
+
+    return { candles, rows };
+  }
+
+  /**
+   * Writes candles in batches. Returns the number written.
+   */
+  async writeCandles(resolution, candles) {
+    const measurement = `trade_ohlc_${resolution.name}`;
+    const points = Array.from(candles.values()).map(candle => createCandlePoint(measurement, candle));
+
+    for (let i = 0; i < points.length; i += WRITE_BATCH_SIZE) {
+      this.writeApi.writePoints(points.slice(i, i + WRITE_BATCH_SIZE));
+      await this.writeApi.flush();
+    }
+
+    return points.length;
+  }
+
+  /**
+   * Processes chunks of a resolution, symbol by symbol, until each symbol
+   * has caught up with now, `maxChunks` chunks of it were processed or the
+   * engine is stopped. Returns the number of chunks.
+   */
+  async catchUp(resolution, { maxChunks = Infinity } = {}) {
+    let chunks = 0;
+
+    for (const { symbol } of this.listSymbols()) {
+      let symbolChunks = 0;
+
+      while (symbolChunks < maxChunks && !this.stopping) {
+        const result = await this.processChunk(resolution, symbol);
+        if (!result) {
+          break;
+        }
+
+        symbolChunks++;
+        if (result.end.getTime() >= this.now()) {
+          break;
+        }
+
+        // Let other work (and stop()) run between chunks
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      chunks += symbolChunks;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Catches up every resolution, one after the other. A failing resolution
+   * is logged and does not stop the others. Calls made while a run is in
+   * progress wait for that run instead of starting another one.
+   */
+  runAll(options = {}) {
+    if (!this.running) {
+      this.running = (async () => {
+        for (const resolution of this.resolutions) {
+          try {
+            await this.catchUp(resolution, options);
+          } catch (error) {
+            this.logger.error(`Error downsampling ${resolution.name}:`, error);
+          }
+        }
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * Runs all resolutions now and then every `intervalMs` after each run ends.
+   */
+  start(intervalMs) {
+    if (this.timer) return;
+    this.stopping = false;
+
+    const tick = async () => {
+      await this.runAll();
+      if (this.timer) {
+        this.timer = setTimeout(tick, intervalMs);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.logger.log(`Node downsampling engine started, running every ${intervalMs / 1000}s`);
+  }
+
+  /**
+   * Stops scheduling runs and waits for the chunk being processed.
+   */
+  async stop() {
+    this.stopping = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    await this.running;
+  }
+}
+
+let defaultEngine = null;
+
+/**
+ * Returns the engine run by the API server, writing through its own write
+ * API so the candles do not get the trade writer's default tags.
+ */
+function getDownsamplingEngine() {
+  if (!defaultEngine) {
+    const { influxDB, queryApi, config } = require('../config/influxdb');
+    defaultEngine = new DownsamplingEngine({
+      queryApi,
+      writeApi: influxDB.getWriteApi(config.org, config.bucket, 'ns'),
+      bucket: config.bucket
+    });
+  }
+
+  return defaultEngine;
+}
+
+module.exports = {
+  DownsamplingEngine,
+  getDownsamplingEngine
+};
@@ -0,0 +1,100 @@
+const { fromBucket } = require('./fluxQueryBuilder');
+
+/**
+ * Downsampling progress cursors.
+ *
+ * Every resolution keeps one cursor per symbol: `downsampling_progress`
+ * points tagged `resolution` and `symbol`, whose string field
+ * `last_processed` is the time up to which the symbol's candles are complete.
+ * A symbol without a cursor is downsampled from its first trade, so a symbol
+ * added with older history is backfilled on its own.
+ *
+ * Points without a `symbol` tag were written when a resolution had a single
+ * cursor and are ignored.
+ */
+
+const parseCursor = (value) => {
+  const cursor = new Date(value);
+  return isNaN(cursor.getTime()) ? null : cursor;
+};
+
+/**
+ * Returns the time up to which a symbol has been downsampled at a
+ * resolution, or null.
+ */
+async function getCursor(queryApi, bucket, resolutionName, symbol) {
+  const query = fromBucket(bucket)
+    .range(0)
+    .measurement('downsampling_progress')
+    .tag('resolution', resolutionName)
+    .symbol(symbol)
+    .field('last_processed')
+    .pipe('last()')
+    .build();
+
+  const rows = await queryApi.collectRows(query);
+  return rows.length > 0 ? parseCursor(rows[rows.length - 1]._value) : null;
+}
+
+/**
+ * Returns the cursors of every symbol, keyed by resolution and symbol, of
+ * one resolution or all of them.
+ */
+async function loadCursors(queryApi, bucket, resolutionName = null) {
+  const query = fromBucket(bucket)
+    .range(0)
+    .measurement('downsampling_progress');
+  if (resolutionName) {
+    query.tag('resolution', resolutionName);
+  }
+  query
+    .field('last_processed')
+    .pipe('filter(fn: (r) => exists r.symbol)')
+    .pipe('group(columns: ["resolution", "symbol"])')
+    .pipe('last()');
+
+  const rows = await queryApi.collectRows(query.build());
+  const cursors = new Map();
+
+  rows.forEach(row => {
+    const cursor = parseCursor(row._value);
+    if (!cursor) return;
+
+    if (!cursors.has(row.resolution)) {
+      cursors.set(row.resolution, new Map());
+    }
+    cursors.get(row.resolution).set(row.symbol, cursor);
+  });
+
+  return cursors;
+}
+
+/**
+ * Returns the cursor and lag of every symbol at every resolution, as
+ * `{ [resolution]: { [symbol]: { cursor, lagSeconds } } }`. Both are null
+ * for a symbol that has not been downsampled yet.
+ */
+function describeLag(cursors, resolutionNames, symbols, now = Date.now()) {
+  const lag = {};
+
+  resolutionNames.forEach(name => {
+    const resolutionCursors = cursors.get(name) || new Map();
+    lag[name] = {};
+
+    symbols.forEach(symbol => {
+      const cursor = resolutionCursors.get(symbol) || null;
+      lag[name][symbol] = {
+        cursor: cursor ? cursor.toISOString() : null,
+        lagSeconds: cursor ? Math.max(0, Math.round((now - cursor.getTime()) / 1000)) : null
+      };
+    });
+  });
+
+  return lag;
+}
+
+module.exports = {
+  getCursor,
+  loadCursors,
+  describeLag
+};
@@ -0,0 +1,420 @@
+const { getWindow, toFluxWindow } = require('../config/resolutions');
+const { DOWNSAMPLING_LEASE_MS } = require('../config/downsampling');
+
+/**
+ * Flux scripts of the InfluxDB downsampling tasks.
+ *
+ * There is one task per resolution, named `Downsample_Trades_<resolution>`.
+ * A run takes the task's lease in the `task_status` bucket, downsamples the
+ * next chunk of every symbol after the symbol's `downsampling_progress`
+ * cursor (see downsamplingProgress.js), and releases the lease again. Runs
+ * that find the lease held are skipped.
+ *
+ * The registered symbols and their windows are part of the script, so the
+ * tasks are updated when symbols are created or changed. Chunk sizes are read
+ * from the `downsampling_chunk` points the server's chunk sizer writes (see
+ * chunkSizer.js and DownsamplingTaskManager.tuneChunks()).
+ *
+ * A lease is a `task_status` point with the string fields `status`
+ * (`running` or `completed`), `owner` (the task name and the run's
+ * scheduled time) and `expires_at`. A `running` lease past its expiry was
+ * left by a crashed run and is reclaimed by the next run. A run only releases
+ * the lease while it still owns it.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Name of the task of a resolution
+const taskName = (resolutionName) => `Downsample_Trades_${resolutionName}`;
+
+/**
+ * Creates the call that downsamples one symbol. Daily and longer windows
+ * depend on the symbol's session and timezone.
+ */
+function createSymbolCall(resolution, symbol) {
+  const { every, offset, location } = toFluxWindow(getWindow(resolution.name, symbol));
+  return `  downsample_symbol(symbol: ${JSON.stringify(symbol.symbol)}, every: ${every}, offset: ${offset}, zone: ${JSON.stringify(location)})`;
+}
+
+/**
+ * Creates the part of a symbol's chunk that aggregates its raw trades into
+ * candles and advances its progress cursor.
+ */
+function createTradeAggregation(bucket, resolution) {
+  return `    // Without trades the chunk is empty (1ns) and no progress is written
+    final_end_time = if capped_end_time > start_time then
+        capped_end_time
+      else
+        time(v: int(v: start_time) + 1)
+    
+    // Trades are stored in one series per side (and exchange). Pivoting puts
+    // each trade's price and amount on one row, and grouping by symbol combines
+    // the series so every window yields a single candle.
+    symbol_trades = from(bucket: "${bucket}")
+      |> range(start: start_time, stop: final_end_time)
+      |> filter(fn: (r) => r._measurement == "trade")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> filter(fn: (r) => r._field == "price" or r._field == "amount")
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+      |> group(columns: ["symbol"])
+      |> sort(columns: ["_time"])
+    
+    // Daily and longer windows start when the symbol's session opens in its
+    // timezone, weekly windows on the configured weekday, and monthly windows
+    // follow calendar months.
+    trades = symbol_trades
+      |> window(every: every, offset: offset, location: {zone: zone, offset: 0h})
+    
+    // Open, high, low and close prices
+    prices = trades
+      |> map(fn: (r) => ({ r with _value: r.price }))
+    
+    prices |> first() |> write_field(field: "open")
+    prices |> max() |> write_field(field: "high")
+    prices |> min() |> write_field(field: "low")
+    prices |> last() |> write_field(field: "close")
+    
+    // Volume, buy/sell volume, trade count and the traded notional for VWAP
+    volume_stats = trades
+      |> reduce(
+          identity: {volume: 0.0, buy_volume: 0.0, sell_volume: 0.0, trade_count: 0, notional: 0.0},
+          fn: (r, accumulator) => ({
+            volume: accumulator.volume + r.amount,
+            buy_volume: accumulator.buy_volume + (if r.side == "buy" then r.amount else 0.0),
+            sell_volume: accumulator.sell_volume + (if r.side == "sell" then r.amount else 0.0),
+            trade_count: accumulator.trade_count + 1,
+            notional: accumulator.notional + r.price * r.amount
+          })
+        )
+    
+    volume_stats |> map(fn: (r) => ({ r with _value: r.volume })) |> write_field(field: "volume")
+    volume_stats |> map(fn: (r) => ({ r with _value: r.buy_volume })) |> write_field(field: "buy_volume")
+    volume_stats |> map(fn: (r) => ({ r with _value: r.sell_volume })) |> write_field(field: "sell_volume")
+    volume_stats |> map(fn: (r) => ({ r with _value: r.trade_count })) |> write_field(field: "trade_count")
+    volume_stats
+      |> filter(fn: (r) => r.volume > 0.0)
+      |> map(fn: (r) => ({ r with _value: r.notional / r.volume }))
+      |> write_field(field: "vwap")
+    
+    // Write the symbol's progress record after processing this chunk
+    from(bucket: "${bucket}")
+      |> range(start: start_time, stop: final_end_time)
+      |> filter(fn: (r) => r._measurement == "trade")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> last()
+      |> map(fn: (r) => ({
+          _time: now(),
+          _measurement: "downsampling_progress",
+          _field: "last_processed",
+          resolution: "${resolution.name}",
+          symbol: symbol,
+          _value: string(v: final_end_time)
+        })
+      )
+      |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")`;
+}
+
+/**
+ * Creates the part of a symbol's chunk that aggregates the candles of its
+ * source resolution into larger candles and advances its progress cursor. The
+ * chunk never goes past the symbol's cursor at the source, since later source
+ * candles are not built (or not complete) yet.
+ */
+function createCandleAggregation(bucket, resolution) {
+  return `    // Candles are built from the ${resolution.source} candles, which are only
+    // complete up to the symbol's cursor of the ${resolution.source} task
+    source_processed = from(bucket: "${bucket}")
+      |> range(start: 0)
+      |> filter(fn: (r) => r._measurement == "downsampling_progress")
+      |> filter(fn: (r) => r.resolution == "${resolution.source}")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> filter(fn: (r) => r._field == "last_processed")
+      |> last()
+      |> findRecord(fn: (key) => true, idx: 0)
+    
+    source_end_time = if exists source_processed and exists source_processed._value then
+        time(v: string(v: source_processed._value))
+      else
+        start_time
+    
+    // Without new source candles the chunk is empty (1ns) and the cursor stays
+    final_end_time = if source_end_time <= start_time then
+        time(v: int(v: start_time) + 1)
+      else if capped_end_time > source_end_time then
+        source_end_time
+      else
+        capped_end_time
+    
+    // Source candles are stamped with their window end. Reading stamps in
+    // (start, end] and shifting them back by 1ns puts every candle in the
+    // window it belongs to.
+    source_start = time(v: int(v: start_time) + 1)
+    source_stop = time(v: int(v: final_end_time) + 1)
+    
+    symbol_candles = from(bucket: "${bucket}")
+      |> range(start: source_start, stop: source_stop)
+      |> filter(fn: (r) => r._measurement == "trade_ohlc_${resolution.source}")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+      |> group(columns: ["symbol"])
+      |> sort(columns: ["_time"])
+      |> timeShift(duration: -1ns, columns: ["_time"])
+    
+    // Same windows as candles built from trades
+    candles = symbol_candles
+      |> window(every: every, offset: offset, location: {zone: zone, offset: 0h})
+    
+    // Open, high, low and close prices
+    candles |> map(fn: (r) => ({ r with _value: r.open })) |> first() |> write_field(field: "open")
+    candles |> map(fn: (r) => ({ r with _value: r.high })) |> max() |> write_field(field: "high")
+    candles |> map(fn: (r) => ({ r with _value: r.low })) |> min() |> write_field(field: "low")
+    candles |> map(fn: (r) => ({ r with _value: r.close })) |> last() |> write_field(field: "close")
+    
+    // Volumes and trade counts add up; VWAP is weighted by each candle's volume
+    volume_stats = candles
+      |> reduce(
+          identity: {volume: 0.0, buy_volume: 0.0, sell_volume: 0.0, trade_count: 0, notional: 0.0},
+          fn: (r, accumulator) => ({
+            volume: accumulator.volume + r.volume,
+            buy_volume: accumulator.buy_volume + (if exists r.buy_volume then r.buy_volume else 0.0),
+            sell_volume: accumulator.sell_volume + (if exists r.sell_volume then r.sell_volume else 0.0),
+            trade_count: accumulator.trade_count + (if exists r.trade_count then r.trade_count else 0),
+            notional: accumulator.notional + (if exists r.vwap then r.vwap * r.volume else 0.0)
+          })
+        )
+    
+    volume_stats |> map(fn: (r) => ({ r with _value: r.volume })) |> write_field(field: "volume")
+    volume_stats |> map(fn: (r) => ({ r with _value: r.buy_volume })) |> write_field(field: "buy_volume")
+    volume_stats |> map(fn: (r) => ({ r with _value: r.sell_volume })) |> write_field(field: "sell_volume")
+    volume_stats |> map(fn: (r) => ({ r with _value: r.trade_count })) |> write_field(field: "trade_count")
+    volume_stats
+      |> filter(fn: (r) => r.volume > 0.0)
+      |> map(fn: (r) => ({ r with _value: r.notional / r.volume }))
+      |> write_field(field: "vwap")
+    
+    // Write the symbol's progress record after processing this chunk
+    from(bucket: "${bucket}")
+      |> range(start: source_start, stop: source_stop)
+      |> filter(fn: (r) => r._measurement == "trade_ohlc_${resolution.source}")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> last()
+      |> map(fn: (r) => ({
+          _time: now(),
+          _measurement: "downsampling_progress",
+          _field: "last_processed",
+          resolution: "${resolution.name}",
+          symbol: symbol,
+          _value: string(v: final_end_time)
+        })
+      )
+      |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")`;
+}
+
+/**
+ * Creates a Flux script for downsampling trade data to a specific resolution
+ * This script handles both initial backfill and ongoing downsampling in a single task
+ * It holds the task's lease while it runs, so runs of the same task never overlap
+ */
+function createFluxScript(bucket, statusBucket, resolution, symbols = []) {
+  return `
+// Task to downsample trade data to ${resolution.name} resolution
+import "array"
+
+option task = {
+  name: "Downsample_Trades_${resolution.name}",
+  every: ${resolution.every}
+}
+
+// This run's lease: who holds it and until when (${DOWNSAMPLING_LEASE_MS} ms)
+run_owner = "Downsample_Trades_${resolution.name}@" + string(v: now())
+lease_expires_at = time(v: int(v: now()) + ${DOWNSAMPLING_LEASE_MS} * 1000000)
+
+// Latest lease of this task. Older leases have expired anyway.
+read_lease = () => from(bucket: "${statusBucket}")
+  |> range(start: -${DOWNSAMPLING_LEASE_MS}ms)
+  |> filter(fn: (r) => r._measurement == "task_status")
+  |> filter(fn: (r) => r.task_name == "Downsample_Trades_${resolution.name}")
+  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+  |> group()
+  |> sort(columns: ["_time"])
+  |> last(column: "_time")
+  |> findRecord(fn: (key) => true, idx: 0)
+
+lease = read_lease()
+
+// A running lease is held until it expires. A running lease past its expiry
+// (or without one) was left by a crashed run and is reclaimed.
+lease_running = exists lease.status and lease.status == "running"
+lease_held = lease_running and exists lease.expires_at and time(v: lease.expires_at) > now()
+lease_stale = lease_running and not lease_held
+
+// Write the lease of this run
+write_lease = (status, expires_at) => array.from(rows: [
+    {_time: now(), _measurement: "task_status", task_name: "Downsample_Trades_${resolution.name}", _field: "status", _value: status},
+    {_time: now(), _measurement: "task_status", task_name: "Downsample_Trades_${resolution.name}", _field: "owner", _value: run_owner},
+    {_time: now(), _measurement: "task_status", task_name: "Downsample_Trades_${resolution.name}", _field: "expires_at", _value: string(v: expires_at)}
+  ])
+
+// Release the lease - only if this run still holds it, a run that outlived
+// its lease must not release the lease of the run that reclaimed it
+release_lease = () => {
+  current = read_lease()
+  owns_lease = exists current.owner and current.owner == run_owner
+  
+  write_lease(status: "completed", expires_at: now())
+    |> filter(fn: (r) => owns_lease)
+    |> to(bucket: "${statusBucket}", org: "${process.env.INFLUXDB_ORG}")
+  
+  return 1
+}
+
+// Main task logic with overlap prevention
+main_task = () => {
+  // Take the lease
+  write_lease(status: "running", expires_at: lease_expires_at)
+    |> to(bucket: "${statusBucket}", org: "${process.env.INFLUXDB_ORG}")
+  
+  // Log when the lease of a crashed run is taken over
+  array.from(rows: [{
+      _time: now(),
+      _measurement: "task_logs",
+      task: "Downsample_Trades_${resolution.name}",
+      _field: "message",
+      _value: "Reclaimed stale lease of " + (if exists lease.owner then lease.owner else "an unknown run")
+    }])
+    |> filter(fn: (r) => lease_stale)
+    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
+  
+  // Log that we're starting the task
+  from(bucket: "${bucket}")
+    |> range(start: -1h)
+    |> filter(fn: (r) => r._measurement == "task_logs")
+    |> filter(fn: (r) => r.task == "Downsample_Trades_${resolution.name}")
+    |> last()
+    |> set(key: "_value", value: "Starting task run")
+    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
+  
+  // Write one candle field per window, stamped with the window end
+  write_field = (tables=<-, field) => tables
+    |> map(fn: (r) => ({
+        _time: r._stop,
+        _measurement: "trade_ohlc_${resolution.name}",
+        _field: field,
+        _value: r._value,
+        symbol: r.symbol
+      })
+    )
+    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
+  
+  // Downsample the next chunk of one symbol and advance its cursor
+  downsample_symbol = (symbol, every, offset, zone) => {
+    // Get the symbol's latest progress record if it exists
+    last_processed = from(bucket: "${bucket}")
+      |> range(start: 0)
+      |> filter(fn: (r) => r._measurement == "downsampling_progress")
+      |> filter(fn: (r) => r.resolution == "${resolution.name}")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> filter(fn: (r) => r._field == "last_processed")
+      |> last()
+      |> findRecord(fn: (key) => true, idx: 0)
+    
+    // A symbol without progress starts at its first trade, whenever it was
+    first_trade = from(bucket: "${bucket}")
+      |> range(start: 0)
+      |> filter(fn: (r) => r._measurement == "trade")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> filter(fn: (r) => r._field == "price")
+      |> first()
+      |> group()
+      |> sort(columns: ["_time"])
+      |> first()
+      |> findRecord(fn: (key) => true, idx: 0)
+    
+    start_time = if exists last_processed and exists last_processed._value then
+        time(v: string(v: last_processed._value))
+      else if exists first_trade and exists first_trade._time then
+        first_trade._time
+      else
+        now()
+    
+    // The symbol's chunk size chosen by the server from the trade density and
+    // the previous runs, or ${resolution.chunkDays} days until it has chosen one
+    chunk_size = from(bucket: "${bucket}")
+      |> range(start: -30d)
+      |> filter(fn: (r) => r._measurement == "downsampling_chunk")
+      |> filter(fn: (r) => r.resolution == "${resolution.name}")
+      |> filter(fn: (r) => r.symbol == symbol)
+      |> filter(fn: (r) => r._field == "chunk_ms")
+      |> last()
+      |> findRecord(fn: (key) => true, idx: 0)
+    
+    chunk_ms = if exists chunk_size and exists chunk_size._value then
+        chunk_size._value
+      else
+        ${Math.round(resolution.chunkDays * DAY)}
+    
+    // Calculate the chunk end time in nanoseconds
+    chunk_duration_ns = chunk_ms * 1000000
+    end_time = time(v: int(v: start_time) + chunk_duration_ns)
+    
+    // Limit the end time to now to avoid processing future data
+    current_time = now()
+    capped_end_time = if end_time > current_time then
+        current_time
+      else
+        end_time
+    
+${resolution.source ? createCandleAggregation(bucket, resolution) : createTradeAggregation(bucket, resolution)}
+    
+    return 1
+  }
+  
+  // Every registered symbol has its own cursor
+${symbols.length > 0 ? symbols.map(symbol => createSymbolCall(resolution, symbol)).join('\n') : '  // No symbols are registered yet'}
+  
+  // Log that we're finishing the task
+  from(bucket: "${bucket}")
+    |> range(start: -1h)
+    |> filter(fn: (r) => r._measurement == "task_logs")
+    |> filter(fn: (r) => r.task == "Downsample_Trades_${resolution.name}")
+    |> last()
+    |> set(key: "_value", value: "Task run completed")
+    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
+  
+  return 1
+}
+
+// Skip task log for when another run holds the lease
+skip_task = () => {
+  // Log that we're skipping this run
+  from(bucket: "${bucket}")
+    |> range(start: -1h)
+    |> filter(fn: (r) => r._measurement == "task_logs")
+    |> filter(fn: (r) => r.task == "Downsample_Trades_${resolution.name}")
+    |> last()
+    |> set(key: "_value", value: "Task is already running, skipping this run")
+    |> to(bucket: "${bucket}", org: "${process.env.INFLUXDB_ORG}")
+    
+  return 0
+}
+
+// Run the appropriate function based on the lease
+
+// First, check if another run holds the lease
+if lease_held then
+  // If it does, just skip this run
+  skip_task()
+else
+  // If not, take the lease and run the task
+  main_task()
+  
+  // Release the lease at the end. A skipped run does not own the lease, so
+  // this leaves the lease of the run holding it alone.
+  release_lease()
+`;
+}
+
+module.exports = {
+  taskName,
+  createFluxScript
+};
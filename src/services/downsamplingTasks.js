@@ -0,0 +1,675 @@
+const { Point } = require('@influxdata/influxdb-client');
+const resolutions = require('../config/resolutions');
+const { listSymbols } = require('./symbolRegistry');
+const { DOWNSAMPLING_ENGINE } = require('../config/downsampling');
+const { fromBucket } = require('./fluxQueryBuilder');
+const { taskName, createFluxScript } = require('./downsamplingTaskScript');
+const { MIN_CHUNK_MS, isTimeoutError } = require('./chunkSizer');
+
+/**
+ * Management of the InfluxDB downsampling tasks through the TasksAPI, shared
+ * by the admin API and setupDownsamplingTasks.js.
+ *
+ * Tasks are addressed by resolution. Their lease is the latest `task_status`
+ * point of the task in the status bucket (see downsamplingTaskScript.js): a
+ * run skips while another run holds the lease, and takes over leases that
+ * expired because their run died.
+ *
+ * While the tasks are used, the server also sizes their chunks with the
+ * engine's chunk sizer after every run (tuneChunks()).
+ */
+
+const STATUS_BUCKET = 'task_status';
+
+// Leases older than this are not reported
+const LEASE_RANGE = '-24h';
+
+const DEFAULT_RUN_LIMIT = 5;
+const MAX_RUN_LIMIT = 100;
+
+// Statuses of a run that has not finished
+const ACTIVE_RUN_STATUSES = ['scheduled', 'started'];
+
+class TaskManagementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TaskManagementError';
+    this.status = status;
+  }
+}
+
+// A lease as returned by the API. Only a running lease that has not expired
+// is held; an expired one is reclaimed by the task's next run.
+const describeLease = (row, now = Date.now()) => {
+  const expiresAt = row.expires_at ? Date.parse(row.expires_at) : NaN;
+  const running = row.status === 'running';
+
+  return {
+    status: row.status || null,
+    owner: row.owner || null,
+    expiresAt: isNaN(expiresAt) ? null : new Date(expiresAt).toISOString(),
+    updatedAt: new Date(row._time).toISOString(),
+    held: running && expiresAt > now,
+    expired: running && !(expiresAt > now)
+  };
+};
+
+/**
+ * Returns the latest lease of every task with one, keyed by task name.
+ */
+async function loadTaskLeases(queryApi, statusBucket = STATUS_BUCKET) {
+  const query = fromBucket(statusBucket)
+    .range(LEASE_RANGE)
+    .measurement('task_status')
+    .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+    .pipe('group(columns: ["task_name"])')
+    .pipe('sort(columns: ["_time"])')
+    .pipe('last(column: "_time")')
+    .build();
+
+  const rows = await queryApi.collectRows(query);
+  const now = Date.now();
+  return new Map(rows.map(row => [row.task_name, describeLease(row, now)]));
+}
+
+/**
+ * Releases a task's lease by writing a completed lease that has expired
+ * already. The next run of the task then takes the lease instead of skipping.
+ */
+async function releaseTaskLease(statusWriteApi, name, owner) {
+  statusWriteApi.writePoint(new Point('task_status')
+    .tag('task_name', name)
+    .stringField('status', 'completed')
+    .stringField('owner', owner)
+    .stringField('expires_at', new Date().toISOString()));
+  await statusWriteApi.flush();
+}
+
+/**
+ * Returns the run that took a lease, or null if InfluxDB lists no run of the
+ * task scheduled at the owner's time. Owners are the task name and the run's
+ * scheduled time.
+ */
+async function findLeaseRun(tasksApi, taskID, lease) {
+  const scheduledFor = lease.owner ? Date.parse(lease.owner.slice(lease.owner.lastIndexOf('@') + 1)) : NaN;
+  if (isNaN(scheduledFor)) {
+    return null;
+  }
+
+  const response = await tasksApi.getTasksIDRuns({
+    taskID,
+    afterTime: new Date(scheduledFor - 1000).toISOString(),
+    limit: MAX_RUN_LIMIT
+  });
+  const runs = response && response.runs ? response.runs : [];
+  return runs.find(run => Date.parse(run.scheduledFor) === scheduledFor) || null;
+}
+
+/**
+ * Whether a lease is held by a run that may still be going: the lease has
+ * not expired and InfluxDB lists its run as not finished. A held lease whose
+ * run failed, was canceled or is not listed was left by a run that died.
+ */
+async function isLeaseRunActive(tasksApi, taskID, lease) {
+  if (!lease || !lease.held) {
+    return false;
+  }
+
+  const run = await findLeaseRun(tasksApi, taskID, lease);
+  return run !== null && ACTIVE_RUN_STATUSES.includes(run.status);
+}
+
+// A run as returned by the API
+const describeRun = (run) => ({
+  id: run.id,
+  status: run.status,
+  scheduledFor: run.scheduledFor || null,
+  requestedAt: run.requestedAt || null,
+  startedAt: run.startedAt || null,
+  finishedAt: run.finishedAt || null
+});
+
+class DownsamplingTaskManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.engine - DownsamplingEngine, for the progress cursors and chunk sizer
+   * @param {Object} options.tasksApi - InfluxDB tasks API
+   * @param {Object} options.orgsApi - InfluxDB organizations API
+   * @param {Object} options.bucketsApi - InfluxDB buckets API
+   * @param {Object} options.queryApi - InfluxDB query API
+   * @param {Object} options.writeApi - InfluxDB write API for the bucket, without default tags
+   * @param {Object} options.statusWriteApi - InfluxDB write API for the status bucket
+   * @param {string} options.org - Organization of the buckets and tasks
+   * @param {string} options.bucket - Bucket holding the trades and candles
+   * @param {string} [options.statusBucket] - Bucket holding the task leases
+   * @param {Object} [options.logger] - Receives the progress and error messages, console by default
+   */
+  constructor({ engine, tasksApi, orgsApi, bucketsApi, queryApi, writeApi, statusWriteApi, org, bucket, statusBucket = STATUS_BUCKET, logger = console }) {
+    this.engine = engine;
+    this.tasksApi = tasksApi;
+    this.orgsApi = orgsApi;
+    this.bucketsApi = bucketsApi;
+    this.queryApi = queryApi;
+    this.writeApi = writeApi;
+    this.statusWriteApi = statusWriteApi;
+    this.org = org;
+    this.bucket = bucket;
+    this.statusBucket = statusBucket;
+    this.logger = logger;
+
+    this.orgID = null;
+    this.statusBucketReady = false;
+
+    // Chunks sized for the next run of each task
+    this.chunkPlans = new Map();
+    this.tuningTimer = null;
+    this.tuning = null;
+  }
+
+  /**
+   * Returns every resolution's task with its progress cursor, lease and last
+   * run. Resolutions without a task have the status `missing`.
+   */
+  async listTasks() {
+    const tasks = await this.loadTasks();
+    const leases = await this.getLeases();
+
+    const described = [];
+    for (const resolution of resolutions.RESOLUTIONS) {
+      const name = taskName(resolution.name);
+      described.push(await this.describeTask(resolution, tasks.get(name), leases.get(name)));
+    }
+
+    return described;
+  }
+
+  /**
+   * Returns the task of a resolution, like listTasks().
+   */
+  async getTask(name) {
+    const resolution = this.getResolution(name);
+    const task = await this.findTask(name);
+    const leases = await this.getLeases();
+
+    return this.describeTask(resolution, task, leases.get(taskName(name)));
+  }
+
+  /**
+   * Creates the task of a resolution, or updates its Flux script and schedule
+   * from the resolution and symbol registries.
+   */
+  async upsertTask(name) {
+    this.requireInfluxEngine();
+    const resolution = this.getResolution(name);
+    const flux = createFluxScript(this.bucket, this.statusBucket, resolution, listSymbols());
+    const existing = await this.findTask(name);
+
+    if (existing) {
+      await this.tasksApi.patchTasksID({
+        taskID: existing.id,
+        body: { flux, every: resolution.every }
+      });
+      this.logger.log(`Task for ${name} updated successfully.`);
+    } else {
+      await this.ensureStatusBucket();
+      await this.tasksApi.postTasks({
+        body: {
+          name: taskName(name),
+          orgID: await this.getOrgID(),
+          status: 'active',
+          flux,
+          every: resolution.every
+        }
+      });
+      // The task's script needs a log point to use as a template
+      await this.writeInitialStatus([resolution]);
+      this.logger.log(`Task for ${name} created successfully.`);
+    }
+
+    return { created: !existing, task: await this.getTask(name) };
+  }
+
+  /**
+   * Creates or updates the tasks of all resolutions. A failed resolution does
+   * not stop the others; its error is returned instead.
+   */
+  async setupTasks() {
+    this.requireInfluxEngine();
+    await this.ensureStatusBucket();
+
+    const results = [];
+    for (const resolution of resolutions.RESOLUTIONS) {
+      try {
+        const { created } = await this.upsertTask(resolution.name);
+        results.push({ resolution: resolution.name, created });
+      } catch (error) {
+        this.logger.error(`Error creating/updating task for ${resolution.name}:`, error);
+        results.push({ resolution: resolution.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Updates the Flux script of every existing task from the symbol registry,
+   * e.g. after a symbol was added. Missing tasks are left to setupTasks().
+   * Returns the number of tasks updated.
+   */
+  async refreshTasks() {
+    this.requireInfluxEngine();
+    const tasks = await this.loadTasks();
+    const symbols = listSymbols();
+    let updated = 0;
+
+    for (const resolution of resolutions.RESOLUTIONS) {
+      const task = tasks.get(taskName(resolution.name));
+      if (!task) continue;
+
+      await this.tasksApi.patchTasksID({
+        taskID: task.id,
+        body: { flux: createFluxScript(this.bucket, this.statusBucket, resolution, symbols), every: resolution.every }
+      });
+      updated++;
+    }
+
+    this.logger.log(`Updated ${updated} downsampling tasks for ${symbols.length} symbols`);
+    return updated;
+  }
+
+  /**
+   * Pauses (`inactive`) or resumes (`active`) the scheduled runs of a task.
+   */
+  async setTaskStatus(name, status) {
+    if (status === 'active') {
+      this.requireInfluxEngine();
+    }
+
+    const task = await this.requireTask(name);
+    await this.tasksApi.patchTasksID({ taskID: task.id, body: { status } });
+    this.logger.log(`Task for ${name} is now ${status}.`);
+
+    return this.getTask(name);
+  }
+
+  /**
+   * Starts a run of a task now. The run would be skipped while another run
+   * holds the lease, so this fails unless `force` is set and the run holding
+   * the lease has stopped, in which case the lease is released first. A lease
+   * whose run is still going is never taken over; unlock the task if that run
+   * is known to be dead.
+   */
+  async runTask(name, { force = false } = {}) {
+    this.requireInfluxEngine();
+    const task = await this.requireTask(name);
+
+    if (task.status !== 'active') {
+      throw new TaskManagementError(`Task for ${name} is paused, resume it first`, 409);
+    }
+
+    const lease = (await this.getLeases()).get(task.name);
+    let releasedLease = null;
+
+    if (lease && lease.held) {
+      if (!force) {
+        throw new TaskManagementError(`Task for ${name} is leased by ${lease.owner} until ${lease.expiresAt}, use force to take over the lease if its run has stopped`, 409);
+      }
+
+      // Two runs at once would downsample the same chunks
+      if (await isLeaseRunActive(this.tasksApi, task.id, lease)) {
+        throw new TaskManagementError(`Task for ${name} is leased by ${lease.owner} until ${lease.expiresAt} and that run is still going, unlock the task only if it is known to be dead`, 409);
+      }
+
+      await releaseTaskLease(this.statusWriteApi, task.name, 'admin');
+      releasedLease = lease;
+      this.logger.log(`Released the lease of ${lease.owner} on the task for ${name}, its run has stopped.`);
+    }
+
+    const run = await this.tasksApi.postTasksIDRuns({ taskID: task.id, body: {} });
+    this.logger.log(`Task for ${name} triggered, run ${run.id}`);
+
+    // A run that takes the lease before this one starts still makes it skip
+    return { ...describeRun(run), releasedLease };
+  }
+
+  /**
+   * Releases a task's lease, so its next run is not skipped. Expired leases
+   * are reclaimed by the next run anyway; this is for taking over a lease
+   * whose run is known to be dead before it expires.
+   */
+  async unlockTask(name) {
+    this.getResolution(name);
+    const previous = (await this.getLeases()).get(taskName(name)) || null;
+
+    await releaseTaskLease(this.statusWriteApi, taskName(name), 'admin');
+    this.logger.log(`Task for ${name} unlocked${previous ? ` (lease of ${previous.owner || 'unknown owner'}, ${previous.status})` : ''}.`);
+
+    return { resolution: name, previous, status: 'completed' };
+  }
+
+  /**
+   * Returns the latest runs of a task, newest first, with their log events.
+   */
+  async getRuns(name, limit = DEFAULT_RUN_LIMIT) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUN_LIMIT) {
+      throw new TaskManagementError(`limit must be an integer between 1 and ${MAX_RUN_LIMIT}`);
+    }
+
+    const task = await this.requireTask(name);
+    const response = await this.tasksApi.getTasksIDRuns({ taskID: task.id, limit });
+    const runs = (response && response.runs ? response.runs : [])
+      .sort((a, b) => Date.parse(b.scheduledFor) - Date.parse(a.scheduledFor))
+      .slice(0, limit);
+
+    const described = [];
+    for (const run of runs) {
+      const logs = await this.tasksApi.getTasksIDRunsIDLogs({ taskID: task.id, runID: run.id });
+      described.push({
+        ...describeRun(run),
+        logs: (logs && logs.events ? logs.events : []).map(event => ({ time: event.time, message: event.message }))
+      });
+    }
+
+    return described;
+  }
+
+  /**
+   * Creates the status bucket if it doesn't exist.
+   */
+  async ensureStatusBucket() {
+    if (this.statusBucketReady) return;
+
+    const buckets = await this.bucketsApi.getBuckets({ name: this.statusBucket });
+
+    if (!buckets || !buckets.buckets || buckets.buckets.length === 0) {
+      this.logger.log(`Status bucket '${this.statusBucket}' not found. Creating it...`);
+
+      // Create the bucket with infinite retention
+      await this.bucketsApi.postBuckets({
+        body: {
+          orgID: await this.getOrgID(),
+          name: this.statusBucket,
+          retentionRules: []  // Empty array means infinite retention
+        }
+      });
+
+      this.logger.log(`Status bucket '${this.statusBucket}' created successfully.`);
+    } else {
+      this.logger.log(`Status bucket '${this.statusBucket}' already exists.`);
+    }
+
+    this.statusBucketReady = true;
+  }
+
+  /**
+   * Releases the leases of the tasks of some resolutions and writes their
+   * first log point. The Flux scripts need existing log points to use as
+   * templates.
+   */
+  async writeInitialStatus(resolutionList) {
+    for (const resolution of resolutionList) {
+      this.statusWriteApi.writePoint(new Point('task_status')
+        .tag('task_name', taskName(resolution.name))
+        .stringField('status', 'completed')
+        .stringField('owner', 'setup')
+        .stringField('expires_at', new Date().toISOString()));
+
+      this.writeApi.writePoint(new Point('task_logs')
+        .tag('task', taskName(resolution.name))
+        .stringField('message', 'Initial setup'));
+    }
+
+    await this.statusWriteApi.flush();
+    await this.writeApi.flush();
+  }
+
+  /**
+   * Sizes the next chunk of every symbol of each task with the engine's
+   * chunk sizer, whose `downsampling_chunk` points the tasks read. The last
+   * run since the previous sizing is measured first: a run that timed out
+   * halves the chunks it had, a successful one adds the rows of the chunks it
+   * processed to the throughput. Symbols less than an hour behind keep their
+   * size.
+   */
+  async tuneChunks() {
+    this.requireInfluxEngine();
+    const sizer = this.engine.chunkSizer;
+    const symbols = listSymbols().map(symbol => symbol.symbol);
+    if (symbols.length === 0) return;
+
+    // A run processes a chunk of every symbol in the target run time
+    const targetMs = sizer.targetMs / symbols.length;
+    const tasks = await this.loadTasks();
+
+    for (const resolution of resolutions.RESOLUTIONS) {
+      const task = tasks.get(taskName(resolution.name));
+      if (!task) continue;
+
+      const run = await this.getLastFinishedRun(task);
+      const plan = this.chunkPlans.get(resolution.name);
+      if (plan && (!run || run.id === plan.runID)) continue;
+
+      const cursors = await this.engine.getCursors(resolution.name);
+      if (plan && Date.parse(run.startedAt) >= plan.plannedAt) {
+        await this.measureRun(resolution, task, run, plan, cursors);
+      }
+
+      const sourceCursors = resolution.source ? await this.engine.getCursors(resolution.source) : null;
+      const now = Date.now();
+      const chunks = new Map();
+
+      for (const symbol of symbols) {
+        const cursor = cursors.get(symbol) || await this.engine.getFirstTradeTime(symbol);
+        if (!cursor) continue;
+
+        const start = cursor.getTime();
+        let maxEnd = now;
+        if (sourceCursors) {
+          maxEnd = sourceCursors.has(symbol) ? Math.min(now, sourceCursors.get(symbol).getTime()) : start;
+        }
+        if (maxEnd - start <= MIN_CHUNK_MS) continue;
+
+        const { chunkMs, expectedRows } = await sizer.planChunk(resolution, symbol, start, maxEnd, { targetMs });
+        chunks.set(symbol, { start, chunkMs, expectedRows });
+      }
+
+      this.chunkPlans.set(resolution.name, { plannedAt: now, runID: run ? run.id : null, chunks });
+    }
+  }
+
+  // Feed a finished run of a task to the chunk sizer. Only chunks whose
+  // cursor moved were processed; a run that found the lease held has none.
+  async measureRun(resolution, task, run, plan, cursors) {
+    const sizer = this.engine.chunkSizer;
+
+    if (run.status === 'failed') {
+      const logs = await this.tasksApi.getTasksIDRunsIDLogs({ taskID: task.id, runID: run.id });
+      const message = (logs && logs.events ? logs.events : []).map(event => event.message).join('\n');
+
+      if (isTimeoutError({ message })) {
+        for (const [symbol, chunk] of plan.chunks) {
+          await sizer.recordTimeout(resolution, symbol, chunk.chunkMs);
+        }
+      }
+      return;
+    }
+
+    const processed = [...plan.chunks.entries()].filter(([symbol, chunk]) =>
+      cursors.has(symbol) && cursors.get(symbol).getTime() > chunk.start);
+    if (processed.length === 0) return;
+
+    const durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+    sizer.recordThroughput(resolution, processed.reduce((rows, [, chunk]) => rows + chunk.expectedRows, 0), durationMs);
+    if (durationMs <= sizer.targetMs) {
+      processed.forEach(([symbol]) => sizer.relaxLimit(resolution, symbol));
+    }
+  }
+
+  async getLastFinishedRun(task) {
+    const response = await this.tasksApi.getTasksIDRuns({ taskID: task.id, limit: DEFAULT_RUN_LIMIT });
+    const finished = (response && response.runs ? response.runs : [])
+      .filter(run => run.startedAt && run.finishedAt)
+      .sort((a, b) => Date.parse(b.finishedAt) - Date.parse(a.finishedAt));
+
+    return finished.length > 0 ? finished[0] : null;
+  }
+
+  /**
+   * Sizes the chunks now and then every `intervalMs` after each sizing ends.
+   */
+  startChunkTuning(intervalMs) {
+    if (this.tuningTimer) return;
+
+    const tick = async () => {
+      this.tuning = this.tuneChunks().catch(error => {
+        this.logger.error('Error sizing downsampling chunks:', error);
+      });
+      await this.tuning;
+      this.tuning = null;
+      if (this.tuningTimer) {
+        this.tuningTimer = setTimeout(tick, intervalMs);
+      }
+    };
+
+    this.tuningTimer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stops sizing chunks and waits for the sizing in progress.
+   */
+  async stopChunkTuning() {
+    if (this.tuningTimer) {
+      clearTimeout(this.tuningTimer);
+      this.tuningTimer = null;
+    }
+
+    await this.tuning;
+  }
+
+  getLeases() {
+    return loadTaskLeases(this.queryApi, this.statusBucket);
+  }
+
+  // The task's cursor is the one of its slowest symbol, null until every
+  // symbol has one
+  async describeTask(resolution, task, lease) {
+    const symbolCursors = await this.engine.getCursors(resolution.name);
+    const cursors = {};
+    let cursor = null;
+    let complete = true;
+
+    listSymbols().forEach(({ symbol }) => {
+      const symbolCursor = symbolCursors.get(symbol) || null;
+      cursors[symbol] = symbolCursor ? symbolCursor.toISOString() : null;
+
+      if (!symbolCursor) {
+        complete = false;
+      } else if (!cursor || symbolCursor < cursor) {
+        cursor = symbolCursor;
+      }
+    });
+
+    return {
+      resolution: resolution.name,
+      name: taskName(resolution.name),
+      id: task ? task.id : null,
+      status: task ? task.status : 'missing',
+      every: task ? task.every || null : resolution.every,
+      cursor: cursor && complete ? cursor.toISOString() : null,
+      cursors,
+      lease: lease || null,
+      lastRun: task && task.latestCompleted
+        ? { completedAt: task.latestCompleted, status: task.lastRunStatus || null, error: task.lastRunError || null }
+        : null
+    };
+  }
+
+  getResolution(name) {
+    const resolution = resolutions.getResolution(name);
+    if (!resolution) {
+      throw new TaskManagementError(`Unknown resolution '${name}'`, 404);
+    }
+
+    return resolution;
+  }
+
+  // Tasks of the resolutions, keyed by task name
+  async loadTasks() {
+    const response = await this.tasksApi.getTasks({ limit: 500 });
+    return new Map((response && response.tasks ? response.tasks : [])
+      .filter(task => task.name.startsWith(taskName('')))
+      .map(task => [task.name, task]));
+  }
+
+  async findTask(name) {
+    const response = await this.tasksApi.getTasks({ name: taskName(name) });
+    return response && response.tasks && response.tasks.length > 0 ? response.tasks[0] : null;
+  }
+
+  async requireTask(name) {
+    this.getResolution(name);
+    const task = await this.findTask(name);
+    if (!task) {
+      throw new TaskManagementError(`No task for resolution '${name}'`, 404);
+    }
+
+    return task;
+  }
+
+  async getOrgID() {
+    if (!this.orgID) {
+      const orgs = await this.orgsApi.getOrgs({ org: this.org });
+      if (!orgs || !orgs.orgs || orgs.orgs.length === 0) {
+        throw new Error(`Organization '${this.org}' not found`);
+      }
+      this.orgID = orgs.orgs[0].id;
+    }
+
+    return this.orgID;
+  }
+
+  // The Node engine writes the same candles, the tasks would compete with it
+  requireInfluxEngine() {
+    if (DOWNSAMPLING_ENGINE === 'node') {
+      throw new TaskManagementError('DOWNSAMPLING_ENGINE is "node", the InfluxDB tasks are not used', 409);
+    }
+  }
+}
+
+let defaultManager = null;
+
+/**
+ * Returns the task manager used by the API server.
+ */
+function getDownsamplingTaskManager() {
+  if (!defaultManager) {
+    const { TasksAPI, OrgsAPI, BucketsAPI } = require('@influxdata/influxdb-client-apis');
+    const { influxDB, queryApi, config } = require('../config/influxdb');
+    const { getDownsamplingEngine } = require('./downsamplingEngine');
+    defaultManager = new DownsamplingTaskManager({
+      engine: getDownsamplingEngine(),
+      tasksApi: new TasksAPI(influxDB),
+      orgsApi: new OrgsAPI(influxDB),
+      bucketsApi: new BucketsAPI(influxDB),
+      queryApi,
+      writeApi: influxDB.getWriteApi(config.org, config.bucket, 'ns'),
+      statusWriteApi: influxDB.getWriteApi(config.org, STATUS_BUCKET, 'ns'),
+      org: config.org,
+      bucket: config.bucket
+    });
+  }
+
+  return defaultManager;
+}
+
+module.exports = {
+  STATUS_BUCKET,
+  loadTaskLeases,
+  releaseTaskLease,
+  isLeaseRunActive,
+  DEFAULT_RUN_LIMIT,
+  MAX_RUN_LIMIT,
+  TaskManagementError,
+  DownsamplingTaskManager,
+  getDownsamplingTaskManager
+};
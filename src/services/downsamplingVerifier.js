@@ -0,0 +1,284 @@
+const resolutions = require('../config/resolutions');
+const { fromBucket } = require('./fluxQueryBuilder');
+const symbolRegistry = require('./symbolRegistry');
+
+/**
+ * Consistency checks of downsampled candles.
+ *
+ * For a symbol and resolution, the verifier recomputes candles from the raw
+ * trades with the downsampling engine and compares them with the stored
+ * `trade_ohlc_<resolution>` candles, field by field within a relative
+ * tolerance. Resolutions built from a source are also compared with the
+ * candles aggregated from the stored source candles.
+ *
+ * Short ranges are checked window by window; longer ones are sampled, one
+ * window at evenly spaced times. Only windows before the symbol's cursor at
+ * the resolution are checked, later ones have not been downsampled yet.
+ */
+
+const DEFAULT_SAMPLES = 20;
+const MAX_SAMPLES = 500;
+const DEFAULT_TOLERANCE = 1e-6;
+
+// Stored field names, in report order
+const FIELDS = ['open', 'high', 'low', 'close', 'volume', 'buy_volume', 'sell_volume', 'trade_count', 'vwap'];
+
+class VerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = status;
+  }
+}
+
+// Engine candle with the stored field names
+const toFields = (candle) => ({
+  open: candle.open,
+  high: candle.high,
+  low: candle.low,
+  close: candle.close,
+  volume: candle.volume,
+  buy_volume: candle.buyVolume,
+  sell_volume: candle.sellVolume,
+  trade_count: candle.tradeCount,
+  vwap: candle.volume > 0 ? candle.notional / candle.volume : undefined
+});
+
+// Fields that differ by more than the tolerance. Fields missing on either
+// side, e.g. on candles stored before they existed, are not compared.
+const diffFields = (expected, actual, tolerance) => {
+  const differences = {};
+
+  FIELDS.forEach(field => {
+    const a = expected[field];
+    const b = actual[field];
+    if (typeof a !== 'number' || typeof b !== 'number') return;
+
+    if (Math.abs(a - b) > tolerance * Math.max(Math.abs(a), Math.abs(b), 1)) {
+      differences[field] = { expected: a, stored: b };
+    }
+  });
+
+  return Object.keys(differences).length > 0 ? differences : null;
+};
+
+class DownsamplingVerifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.engine - DownsamplingEngine used to recompute candles
+   * @param {Object} options.queryApi - InfluxDB query API
+   * @param {string} options.bucket - Bucket holding the trades and candles
+   */
+  constructor({ engine, queryApi, bucket }) {
+    this.engine = engine;
+    this.queryApi = queryApi;
+    this.bucket = bucket;
+  }
+
+  /**
+   * Checks the candles of `symbol` at `resolution` in [startDate, endDate)
+   * and returns a report of mismatched, missing and orphan candles.
+   */
+  async verify({ symbol, resolution: name, startDate, endDate, samples = DEFAULT_SAMPLES, tolerance = DEFAULT_TOLERANCE }) {
+    if (!symbolRegistry.findSymbol(symbol)) {
+      throw new VerificationError(`Unknown symbol '${symbol}'`);
+    }
+
+    const resolution = resolutions.getResolution(name);
+    if (!resolution) {
+      throw new VerificationError(`Unknown resolution '${name}'`);
+    }
+
+    if (!Number.isInteger(samples) || samples < 1 || samples > MAX_SAMPLES) {
+      throw new VerificationError(`samples must be an integer between 1 and ${MAX_SAMPLES}`);
+    }
+
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      throw new VerificationError('tolerance must be a non-negative number');
+    }
+
+    const window = resolutions.getWindow(name, symbolRegistry.getSymbolSession(symbol));
+    const cursor = await this.engine.getCursor(name, symbol);
+    const start = resolutions.alignToWindow(startDate.getTime(), window);
+    const end = Math.min(
+      resolutions.addWindows(resolutions.alignToWindow(endDate.getTime() - 1, window), window, 1),
+      cursor ? resolutions.alignToWindow(cursor.getTime(), window) : start
+    );
+
+    const report = {
+      symbol,
+      resolution: name,
+      source: resolution.source,
+      start: new Date(start).toISOString(),
+      end: new Date(Math.max(start, end)).toISOString(),
+      cursor: cursor ? cursor.toISOString() : null,
+      tolerance,
+      sampled: false,
+      candlesChecked: 0,
+      mismatched: [],
+      missing: [],
+      orphan: [],
+      sourceMismatched: []
+    };
+
+    if (end <= start) {
+      report.ok = true;
+      return report;
+    }
+
+    // Check every window if there are at most `samples` of them
+    const windowsInRange = window.months
+      ? null
+      : Math.round((end - start) / window.ms);
+    const ranges = [];
+
+    if (windowsInRange !== null && windowsInRange <= samples) {
+      ranges.push([start, end]);
+    } else {
+      report.sampled = true;
+      const seen = new Set();
+      for (let i = 0; i < samples; i++) {
+        const windowStart = resolutions.alignToWindow(start + Math.floor((i + 0.5) * (end - start) / samples), window);
+        if (!seen.has(windowStart)) {
+          seen.add(windowStart);
+          ranges.push([windowStart, resolutions.addWindows(windowStart, window, 1)]);
+        }
+      }
+    }
+
+    for (const [rangeStart, rangeEnd] of ranges) {
+      await this.compareRange(report, resolution, symbol, rangeStart, rangeEnd, tolerance);
+    }
+
+    report.ok = report.mismatched.length === 0 && report.missing.length === 0 &&
+      report.orphan.length === 0 && report.sourceMismatched.length === 0;
+
+    console.log(`Verified ${report.candlesChecked} ${name} candles of ${symbol}: ${report.mismatched.length} mismatched, ${report.missing.length} missing, ${report.orphan.length} orphan, ${report.sourceMismatched.length} differing from ${resolution.source || 'their source'}`);
+
+    return report;
+  }
+
+  // Compare the stored candles of [rangeStart, rangeEnd) with the trades and the source
+  async compareRange(report, resolution, symbol, rangeStart, rangeEnd, tolerance) {
+    const fromTrades = await this.engine.aggregate({ ...resolution, source: null }, rangeStart, rangeEnd, symbol);
+    const fromSource = resolution.source
+      ? await this.engine.aggregate(resolution, rangeStart, rangeEnd, symbol)
+      : null;
+    const stored = await this.loadStored(resolution, symbol, rangeStart, rangeEnd);
+
+    const expected = new Map(Array.from(fromTrades.candles.values(), candle => [candle.time, toFields(candle)]));
+    const times = new Set([...expected.keys(), ...stored.keys()]);
+
+    for (const time of [...times].sort((a, b) => a - b)) {
+      const iso = new Date(time).toISOString();
+      const trades = expected.get(time);
+      const candle = stored.get(time);
+      report.candlesChecked++;
+
+      if (!candle) {
+        report.missing.push({ time: iso, expected: trades });
+      } else if (!trades) {
+        report.orphan.push({ time: iso, stored: candle });
+      } else {
+        const differences = diffFields(trades, candle, tolerance);
+        if (differences) {
+          report.mismatched.push({ time: iso, fields: differences });
+        }
+      }
+
+      if (fromSource && candle) {
+        const sourceCandle = fromSource.candles.get(`${symbol}|${time}`);
+        if (!sourceCandle) {
+          report.sourceMismatched.push({ time: iso, missingSource: true });
+        } else {
+          const differences = diffFields(toFields(sourceCandle), candle, tolerance);
+          if (differences) {
+            report.sourceMismatched.push({ time: iso, fields: differences });
+          }
+        }
+      }
+    }
+  }
+
+  // Stored candles of [rangeStart, rangeEnd), keyed by their stamp
+  async loadStored(resolution, symbol, rangeStart, rangeEnd) {
+    const query = fromBucket(this.bucket)
+      .range(new Date(rangeStart + 1), new Date(rangeEnd + 1))
+      .measurement(`trade_ohlc_${resolution.name}`)
+      .symbol(symbol)
+      .pipe('pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")')
+      .build();
+
+    const rows = await this.queryApi.collectRows(query);
+    const stored = new Map();
+
+    rows.forEach(row => {
+      const candle = {};
+      FIELDS.forEach(field => {
+        if (typeof row[field] === 'number') {
+          candle[field] = row[field];
+        }
+      });
+      stored.set(new Date(row._time).getTime(), candle);
+    });
+
+    return stored;
+  }
+
+  /**
+   * Queues a rebuild of the windows a report found wrong, at its resolution
+   * and the resolutions built from it. Returns the job, or null if there is
+   * nothing to rebuild.
+   */
+  async rebuild(report, rebuilder) {
+    const bad = [...report.mismatched, ...report.missing, ...report.orphan, ...report.sourceMismatched];
+    if (bad.length === 0) {
+      return null;
+    }
+
+    const window = resolutions.getWindow(report.resolution, symbolRegistry.getSymbolSession(report.symbol));
+    const stamps = bad.map(entry => Date.parse(entry.time));
+    // Stamps are window ends
+    const start = resolutions.addWindows(Math.min(...stamps), window, -1);
+    const end = Math.max(...stamps);
+
+    const dependents = resolutions.RESOLUTIONS
+      .filter(resolution => resolutions.getSourceChain(resolution.name).includes(report.resolution))
+      .map(resolution => resolution.name);
+
+    return rebuilder.createJob({
+      symbols: [report.symbol],
+      resolutions: [report.resolution, ...dependents],
+      startDate: new Date(start),
+      endDate: new Date(end)
+    });
+  }
+}
+
+let defaultVerifier = null;
+
+/**
+ * Returns the verifier used by the API server.
+ */
+function getDownsamplingVerifier() {
+  if (!defaultVerifier) {
+    const { queryApi, config } = require('../config/influxdb');
+    const { getDownsamplingEngine } = require('./downsamplingEngine');
+    defaultVerifier = new DownsamplingVerifier({
+      engine: getDownsamplingEngine(),
+      queryApi,
+      bucket: config.bucket
+    });
+  }
+
+  return defaultVerifier;
+}
+
+module.exports = {
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES,
+  DEFAULT_TOLERANCE,
+  VerificationError,
+  DownsamplingVerifier,
+  getDownsamplingVerifier
+};
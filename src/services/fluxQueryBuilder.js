@@ -0,0 +1,243 @@
+const { flux, fluxExpression } = require('@influxdata/influxdb-client');
+const { RESOLUTIONS } = require('../config/resolutions');
+
+/**
+ * Safe Flux query builder.
+ *
+ * Builds parameterized Flux queries without splicing request input into the
+ * query text: string values are emitted as escaped Flux string literals, time
+ * bounds are validated and emitted as time literals, durations must match the
+ * Flux duration syntax and measurement names must be on a whitelist.
+ *
+ *   const query = fromBucket(config.bucket)
+ *     .range(start, end)
+ *     .measurement('trade')
+ *     .symbol(symbol)
+ *     .field('price')
+ *     .pipe('last()')
+ *     .build();
+ */
+
+// Measurements that queries are allowed to read
+const MEASUREMENTS = new Set([
+  'trade',
+  'downsampling_progress',
+  'downsampling_chunk',
+  'downsampling_dirty',
+  'downsampling_dirty_progress',
+  'task_status',
+  ...RESOLUTIONS.map(resolution => `trade_ohlc_${resolution.name}`)
+]);
+
+// Tag keys are identifiers; values are escaped separately
+const TAG_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Flux duration literal, optionally negative, e.g. 5m, 1h30m, -7d
+const DURATION_PATTERN = /^-?(\d+(ns|us|µs|ms|s|mo|m|h|d|w|y))+$/;
+
+/**
+ * Error thrown when a query parameter is invalid. Controllers answer it with
+ * a 400 response.
+ */
+class FluxQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FluxQueryError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Validates a Flux duration and returns it as a Flux expression.
+ */
+function duration(value) {
+  const text = String(value);
+
+  if (!DURATION_PATTERN.test(text)) {
+    throw new FluxQueryError(`Invalid duration '${text}'`);
+  }
+
+  return fluxExpression(text);
+}
+
+/**
+ * Validates a time bound. Accepts a Date, milliseconds since the Unix epoch,
+ * an ISO 8601 string or a relative duration such as '-1h'. Returns a Date,
+ * or a Flux expression for relative durations.
+ */
+function parseTime(value, name = 'time') {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw new FluxQueryError(`Invalid ${name}: not a valid date`);
+    }
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new FluxQueryError(`Invalid ${name}: not a finite timestamp`);
+    }
+    return new Date(value);
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new FluxQueryError(`Invalid ${name}: expected an ISO 8601 date`);
+  }
+
+  const text = value.trim();
+
+  if (DURATION_PATTERN.test(text)) {
+    return fluxExpression(text);
+  }
+
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new FluxQueryError(`Invalid ${name} '${text}': expected an ISO 8601 date`);
+  }
+
+  return date;
+}
+
+/**
+ * Validates a start/end pair and returns both as Dates. The end must be after
+ * the start.
+ */
+function parseTimeRange(start, end) {
+  const startDate = parseTime(start, 'start');
+  const endDate = parseTime(end, 'end');
+
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+    throw new FluxQueryError('Start and end must be absolute dates');
+  }
+
+  if (startDate.getTime() >= endDate.getTime()) {
+    throw new FluxQueryError('End must be after start');
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * Validates a measurement name against the whitelist.
+ */
+function measurementName(name) {
+  if (!MEASUREMENTS.has(name)) {
+    throw new FluxQueryError(`Unknown measurement '${name}'`);
+  }
+
+  return name;
+}
+
+// Require a non-empty string value, e.g. a symbol from the query string
+const requireString = (value, name) => {
+  if (typeof value !== 'string' || value === '') {
+    throw new FluxQueryError(`${name} must be a non-empty string`);
+  }
+
+  return value;
+};
+
+/**
+ * Validates a symbol taken from request input.
+ */
+function parseSymbol(symbol) {
+  return requireString(symbol, 'Symbol');
+}
+
+class FluxQueryBuilder {
+  constructor(bucket) {
+    this.steps = [flux`from(bucket: ${requireString(bucket, 'Bucket')})`];
+  }
+
+  /**
+   * Restricts the query to [start, stop). `stop` is optional.
+   */
+  range(start, stop) {
+    const startTime = parseTime(start, 'start');
+
+    if (stop === undefined) {
+      this.steps.push(flux`range(start: ${startTime})`);
+      return this;
+    }
+
+    const stopTime = parseTime(stop, 'stop');
+
+    if (startTime instanceof Date && stopTime instanceof Date && startTime.getTime() >= stopTime.getTime()) {
+      throw new FluxQueryError('End must be after start');
+    }
+
+    this.steps.push(flux`range(start: ${startTime}, stop: ${stopTime})`);
+    return this;
+  }
+
+  /**
+   * Filters on a whitelisted measurement.
+   */
+  measurement(name) {
+    this.steps.push(flux`filter(fn: (r) => r._measurement == ${measurementName(name)})`);
+    return this;
+  }
+
+  /**
+   * Filters on the symbol tag.
+   */
+  symbol(symbol) {
+    this.steps.push(flux`filter(fn: (r) => r.symbol == ${parseSymbol(symbol)})`);
+    return this;
+  }
+
+  /**
+   * Filters on a tag value.
+   */
+  tag(key, value) {
+    if (!TAG_KEY_PATTERN.test(key)) {
+      throw new FluxQueryError(`Invalid tag key '${key}'`);
+    }
+
+    this.steps.push(flux`filter(fn: (r) => r[${key}] == ${requireString(value, 'Tag value')})`);
+    return this;
+  }
+
+  /**
+   * Filters on a field name.
+   */
+  field(name) {
+    this.steps.push(flux`filter(fn: (r) => r._field == ${requireString(name, 'Field')})`);
+    return this;
+  }
+
+  /**
+   * Appends a pipeline step. Strings are emitted verbatim and must be constant
+   * Flux; steps that include values should be written with the `flux` tag.
+   */
+  pipe(step) {
+    this.steps.push(typeof step === 'string' ? fluxExpression(step) : step);
+    return this;
+  }
+
+  /**
+   * Returns the query as a ParameterizedQuery accepted by the query API.
+   */
+  build() {
+    return this.steps.reduce((query, step) => flux`${query}
+  |> ${step}`);
+  }
+}
+
+/**
+ * Starts a query on a bucket.
+ */
+function fromBucket(bucket) {
+  return new FluxQueryBuilder(bucket);
+}
+
+module.exports = {
+  FluxQueryError,
+  MEASUREMENTS,
+  fromBucket,
+  duration,
+  parseTime,
+  parseTimeRange,
+  parseSymbol,
+  measurementName
+};
@@ -0,0 +1,241 @@
+/**
+ * Technical indicators computed from candles for GET /api/indicators.
+ *
+ * Every indicator returns one entry per input candle, with null values where
+ * there is not enough history yet. `warmUp(params)` is the number of bars
+ * needed before the first requested candle for its value to be correct.
+ * Exponentially smoothed indicators (EMA, RSI, MACD) depend on the whole
+ * history, so their warm-up also covers the bars needed for the seed's weight
+ * to drop below CONVERGENCE_TOLERANCE.
+ */
+
+class IndicatorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IndicatorError';
+    this.status = 400;
+  }
+}
+
+const CONVERGENCE_TOLERANCE = 1e-4;
+
+const MAX_PERIOD = 500;
+
+// Price a candle contributes to the indicator
+const SOURCES = {
+  open: candle => candle.open,
+  high: candle => candle.high,
+  low: candle => candle.low,
+  close: candle => candle.close,
+  hl2: candle => (candle.high + candle.low) / 2,
+  hlc3: candle => (candle.high + candle.low + candle.close) / 3,
+  ohlc4: candle => (candle.open + candle.high + candle.low + candle.close) / 4
+};
+
+// Bars until a smoothing factor of `alpha` has forgotten its seed
+const convergenceBars = (alpha) => Math.ceil(Math.log(CONVERGENCE_TOLERANCE) / Math.log(1 - alpha));
+
+const emaAlpha = (period) => 2 / (period + 1);
+
+/**
+ * Simple moving average.
+ */
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) {
+      sum -= values[i - period];
+    }
+    if (i >= period - 1) {
+      result[i] = sum / period;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period`
+ * values. Leading nulls (e.g. an unfinished MACD line) are skipped.
+ */
+function ema(values, period, alpha = emaAlpha(period)) {
+  const result = new Array(values.length).fill(null);
+  const first = values.findIndex(value => value !== null);
+  if (first === -1) {
+    return result;
+  }
+
+  let average = null;
+  let sum = 0;
+
+  for (let i = first; i < values.length; i++) {
+    if (average === null) {
+      sum += values[i];
+      if (i - first === period - 1) {
+        average = sum / period;
+        result[i] = average;
+      }
+      continue;
+    }
+
+    average = alpha * values[i] + (1 - alpha) * average;
+    result[i] = average;
+  }
+
+  return result;
+}
+
+/**
+ * Population standard deviation over a sliding window.
+ */
+function rollingStdDev(values, period, means) {
+  return values.map((value, i) => {
+    if (means[i] === null) {
+      return null;
+    }
+
+    let squares = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      squares += (values[j] - means[i]) ** 2;
+    }
+    return Math.sqrt(squares / period);
+  });
+}
+
+/**
+ * Relative strength index with Wilder's smoothing.
+ */
+function rsi(values, period) {
+  const changes = values.map((value, i) => (i === 0 ? null : value - values[i - 1]));
+  const gains = ema(changes.map(change => (change === null ? null : Math.max(change, 0))), period, 1 / period);
+  const losses = ema(changes.map(change => (change === null ? null : Math.max(-change, 0))), period, 1 / period);
+
+  return values.map((value, i) => {
+    if (gains[i] === null) {
+      return null;
+    }
+    if (losses[i] === 0) {
+      return gains[i] === 0 ? 50 : 100;
+    }
+    return 100 - 100 / (1 + gains[i] / losses[i]);
+  });
+}
+
+const INDICATORS = {
+  sma: {
+    params: { period: 20 },
+    warmUp: ({ period }) => period - 1,
+    compute: (values, { period }) => sma(values, period).map(value => ({ value }))
+  },
+  ema: {
+    params: { period: 20 },
+    warmUp: ({ period }) => period - 1 + convergenceBars(emaAlpha(period)),
+    compute: (values, { period }) => ema(values, period).map(value => ({ value }))
+  },
+  rsi: {
+    params: { period: 14 },
+    warmUp: ({ period }) => period + convergenceBars(1 / period),
+    compute: (values, { period }) => rsi(values, period).map(value => ({ value }))
+  },
+  macd: {
+    params: { fast: 12, slow: 26, signal: 9 },
+    warmUp: ({ slow, signal }) =>
+      slow - 1 + convergenceBars(emaAlpha(slow)) + signal - 1 + convergenceBars(emaAlpha(signal)),
+    compute: (values, { fast, slow, signal }) => {
+      const fastEma = ema(values, fast);
+      const slowEma = ema(values, slow);
+      const macdLine = values.map((value, i) =>
+        (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+      const signalLine = ema(macdLine, signal);
+
+      return macdLine.map((macd, i) => ({
+        macd,
+        signal: signalLine[i],
+        histogram: macd === null || signalLine[i] === null ? null : macd - signalLine[i]
+      }));
+    }
+  },
+  bollinger: {
+    params: { period: 20, stdDev: 2 },
+    warmUp: ({ period }) => period - 1,
+    compute: (values, { period, stdDev }) => {
+      const middle = sma(values, period);
+      const deviations = rollingStdDev(values, period, middle);
+
+      return middle.map((value, i) => ({
+        upper: value === null ? null : value + stdDev * deviations[i],
+        middle: value,
+        lower: value === null ? null : value - stdDev * deviations[i]
+      }));
+    }
+  }
+};
+
+/**
+ * Validates the query parameters of an indicator and fills in the defaults.
+ */
+function parseIndicatorParams(type, query = {}) {
+  const indicator = INDICATORS[type];
+  if (!indicator) {
+    throw new IndicatorError(`Unknown indicator type '${type}'. Supported types: ${Object.keys(INDICATORS).join(', ')}`);
+  }
+
+  const params = {};
+  for (const [name, defaultValue] of Object.entries(indicator.params)) {
+    const raw = query[name];
+    if (raw === undefined) {
+      params[name] = defaultValue;
+      continue;
+    }
+
+    const value = Number(raw);
+    if (name === 'stdDev') {
+      if (!Number.isFinite(value) || value <= 0 || value > 10) {
+        throw new IndicatorError('stdDev must be a number between 0 and 10');
+      }
+    } else if (!Number.isInteger(value) || value < 1 || value > MAX_PERIOD) {
+      throw new IndicatorError(`${name} must be an integer between 1 and ${MAX_PERIOD}`);
+    }
+    params[name] = value;
+  }
+
+  if (type === 'macd' && params.fast >= params.slow) {
+    throw new IndicatorError('fast must be smaller than slow');
+  }
+
+  const source = query.source === undefined ? 'close' : query.source;
+  if (!SOURCES[source]) {
+    throw new IndicatorError(`source must be one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+
+  return { params, source };
+}
+
+/**
+ * Number of bars needed before the first requested candle.
+ */
+function warmUpBars(type, params) {
+  return INDICATORS[type].warmUp(params);
+}
+
+/**
+ * Computes an indicator over `candles` (oldest first). Returns one
+ * `{ time, ...values }` entry per candle.
+ */
+function calculateIndicator(type, candles, params, source = 'close') {
+  const values = candles.map(SOURCES[source]);
+
+  return INDICATORS[type].compute(values, params)
+    .map((entry, i) => ({ time: candles[i].time, ...entry }));
+}
+
+module.exports = {
+  IndicatorError,
+  INDICATORS,
+  parseIndicatorParams,
+  warmUpBars,
+  calculateIndicator
+};
@@ -0,0 +1,229 @@
+const client = require('prom-client');
+const { HttpError } = require('@influxdata/influxdb-client');
+const { RESOLUTIONS } = require('../config/resolutions');
+const { fromBucket } = require('./fluxQueryBuilder');
+const { loadCursors, describeLag } = require('./downsamplingProgress');
+const { listSymbols } = require('./symbolRegistry');
+
+/**
+ * Prometheus metrics, served in the text exposition format by GET /api/metrics.
+ *
+ * Request, write and query metrics are updated as they happen. Counting the
+ * stored trades and candles scans the whole bucket, so those gauges and the
+ * downsampling lag are refreshed by a MetricsCollector in the background
+ * every METRICS_COLLECT_INTERVAL_MS and only read by a scrape.
+ */
+
+const METRICS_COLLECT_INTERVAL_MS = (() => {
+  const interval = parseInt(process.env.METRICS_COLLECT_INTERVAL_MS || '300000', 10);
+  return Number.isInteger(interval) && interval > 0 ? interval : 300000;
+})();
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const tradesWritten = new client.Counter({
+  name: 'trades_written_total',
+  help: 'Trades written to InfluxDB by writer',
+  labelNames: ['writer'],
+  registers: [register]
+});
+
+const tradeWriteErrors = new client.Counter({
+  name: 'trade_write_errors_total',
+  help: 'Trade writes that failed after all retries by writer',
+  labelNames: ['writer'],
+  registers: [register]
+});
+
+const tradeWriteRetries = new client.Counter({
+  name: 'trade_write_retries_total',
+  help: 'Failed trade write attempts that were retried by writer',
+  labelNames: ['writer'],
+  registers: [register]
+});
+
+const ohlcQueryDuration = new client.Histogram({
+  name: 'ohlc_query_duration_seconds',
+  help: 'OHLC query latency by the resolution the candles were read from and outcome (ok or error)',
+  labelNames: ['resolution', 'status'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const downsamplingLag = new client.Gauge({
+  name: 'downsampling_lag_seconds',
+  help: 'How far the downsampled candles of a symbol are behind now, by resolution',
+  labelNames: ['resolution', 'symbol'],
+  registers: [register]
+});
+
+const storedTrades = new client.Gauge({
+  name: 'stored_trades',
+  help: 'Trades stored in InfluxDB, as of the last collection',
+  registers: [register]
+});
+
+const storedCandles = new client.Gauge({
+  name: 'stored_candles',
+  help: 'Downsampled candles stored in InfluxDB by resolution, as of the last collection',
+  labelNames: ['resolution'],
+  registers: [register]
+});
+
+const collectionTimestamp = new client.Gauge({
+  name: 'metrics_collection_timestamp_seconds',
+  help: 'When the background collector last finished',
+  registers: [register]
+});
+
+const collectionErrors = new client.Counter({
+  name: 'metrics_collection_errors_total',
+  help: 'Background collections that failed',
+  registers: [register]
+});
+
+/**
+ * Returns a `writeFailed` callback for InfluxDB write APIs that counts the
+ * failed writes the client retries. The client retries writes without an
+ * HTTP status and with a status of 429 or more while attempts are left.
+ */
+const countWriteRetries = (writer) => function (error, lines, attempt) {
+  const retriable = !(error instanceof HttpError) || error.statusCode >= 429;
+  if (retriable && attempt <= this.writeOptions.maxRetries) {
+    tradeWriteRetries.inc({ writer });
+  }
+};
+
+/**
+ * Refreshes the gauges that are too expensive to compute on a scrape.
+ */
+class MetricsCollector {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queryApi - InfluxDB query API
+   * @param {string} options.bucket - Bucket holding the trades and candles
+   */
+  constructor({ queryApi, bucket }) {
+    this.queryApi = queryApi;
+    this.bucket = bucket;
+    this.timer = null;
+    this.collecting = null;
+  }
+
+  async collect() {
+    const [trades, candles, cursors] = await Promise.all([
+      this.count('trade'),
+      Promise.all(RESOLUTIONS.map(resolution => this.count(`trade_ohlc_${resolution.name}`))),
+      loadCursors(this.queryApi, this.bucket)
+    ]);
+
+    storedTrades.set(trades);
+    RESOLUTIONS.forEach((resolution, index) => storedCandles.set({ resolution: resolution.name }, candles[index]));
+
+    // Symbols that were removed or are not downsampled yet have no lag
+    const lag = describeLag(
+      cursors,
+      RESOLUTIONS.map(resolution => resolution.name),
+      listSymbols().map(symbol => symbol.symbol)
+    );
+    downsamplingLag.reset();
+    Object.entries(lag).forEach(([resolution, symbols]) => {
+      Object.entries(symbols).forEach(([symbol, { lagSeconds }]) => {
+        if (lagSeconds !== null) {
+          downsamplingLag.set({ resolution, symbol }, lagSeconds);
+        }
+      });
+    });
+
+    collectionTimestamp.setToCurrentTime();
+  }
+
+  // Points of a measurement, counting one field so each point counts once
+  async count(measurement) {
+    const field = measurement === 'trade' ? 'price' : 'close';
+    const query = fromBucket(this.bucket)
+      .range(0)
+      .measurement(measurement)
+      .field(field)
+      .pipe('group()')
+      .pipe('count()')
+      .build();
+
+    const rows = await this.queryApi.collectRows(query);
+    return rows.length > 0 ? rows[0]._value : 0;
+  }
+
+  /**
+   * Collects now and then every `intervalMs` after each collection ends.
+   */
+  start(intervalMs = METRICS_COLLECT_INTERVAL_MS) {
+    if (this.timer) return;
+
+    const tick = async () => {
+      this.collecting = this.collect().catch(error => {
+        collectionErrors.inc();
+        console.error('Error collecting metrics:', error.message);
+      });
+      await this.collecting;
+      this.collecting = null;
+      if (this.timer) {
+        this.timer = setTimeout(tick, intervalMs);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stops collecting and waits for the collection in progress.
+   */
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    await this.collecting;
+  }
+}
+
+let defaultCollector = null;
+
+function getMetricsCollector() {
+  if (!defaultCollector) {
+    const { queryApi, config } = require('../config/influxdb');
+    defaultCollector = new MetricsCollector({ queryApi, bucket: config.bucket });
+  }
+
+  return defaultCollector;
+}
+
+module.exports = {
+  METRICS_COLLECT_INTERVAL_MS,
+  register,
+  httpRequests,
+  httpRequestDuration,
+  tradesWritten,
+  tradeWriteErrors,
+  tradeWriteRetries,
+  ohlcQueryDuration,
+  countWriteRetries,
+  MetricsCollector,
+  getMetricsCollector
+};
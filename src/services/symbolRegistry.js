@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Symbols available for trading and charting. Shared by the /api/symbols
+ * routes, trade validation and the UDF datafeed endpoints.
+ *
+ * Symbols are kept in memory and persisted to a JSON file (`SYMBOLS_FILE`,
+ * default `data/symbols.json`). Until the first change is saved the registry
+ * holds DEFAULT_SYMBOLS.
+ */
+
+const SYMBOLS_FILE = process.env.SYMBOLS_FILE || path.join(__dirname, '../../data/symbols.json');
+
+// Symbol names are used in Flux filters and in UDF `EXCHANGE:SYMBOL` tickers
+const SYMBOL_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+
+const SYMBOL_TYPES = ['crypto', 'forex', 'stock', 'futures', 'index'];
+
+// Applied to fields omitted when a symbol is created
+const SYMBOL_DEFAULTS = {
+  exchange: 'InfluxDB',
+  type: 'crypto',
+  pricescale: 100,
+  minmov: 1,
+  volumePrecision: 8,
+  session: '24x7',
+  timezone: 'America/Sao_Paulo'
+};
+
+// Fills in omitted fields, keeping the name and description first
+const withDefaults = (symbol) => ({
+  symbol: symbol.symbol,
+  description: symbol.description || symbol.symbol,
+  ...SYMBOL_DEFAULTS,
+  ...symbol
+});
+
+const DEFAULT_SYMBOLS = [
+  { symbol: 'BTCUSD', description: 'BTC/USD', baseCurrency: 'BTC', quoteCurrency: 'USD' },
+  { symbol: 'ETHUSD', description: 'ETH/USD', baseCurrency: 'ETH', quoteCurrency: 'USD' },
+  { symbol: 'LTCUSD', description: 'LTC/USD', baseCurrency: 'LTC', quoteCurrency: 'USD' }
+].map(symbol => withDefaults(symbol));
+
+class SymbolRegistryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SymbolRegistryError';
+    this.status = status;
+  }
+}
+
+let symbols = null;
+
+let pendingWrite = Promise.resolve();
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Validates the fields present in `input`
+const validateFields = (input) => {
+  const errors = [];
+  const result = {};
+
+  for (const key of ['description', 'exchange', 'baseCurrency', 'quoteCurrency']) {
+    if (input[key] !== undefined) {
+      if (typeof input[key] !== 'string' || input[key].trim() === '') {
+        errors.push(`${key} must be a non-empty string`);
+      } else {
+        result[key] = input[key].trim();
+      }
+    }
+  }
+
+  if (input.type !== undefined) {
+    if (!SYMBOL_TYPES.includes(input.type)) {
+      errors.push(`type must be one of: ${SYMBOL_TYPES.join(', ')}`);
+    } else {
+      result.type = input.type;
+    }
+  }
+
+  // pricescale must be a power of ten, as TradingView requires
+  if (input.pricescale !== undefined) {
+    const pricescale = Number(input.pricescale);
+    if (!isPositiveInteger(pricescale) || !/^10*$/.test(String(pricescale))) {
+      errors.push('pricescale must be a power of 10 (1, 10, 100, ...)');
+    } else {
+      result.pricescale = pricescale;
+    }
+  }
+
+  if (input.minmov !== undefined) {
+    const minmov = Number(input.minmov);
+    if (!isPositiveInteger(minmov)) {
+      errors.push('minmov must be a positive integer');
+    } else {
+      result.minmov = minmov;
+    }
+  }
+
+  if (input.volumePrecision !== undefined) {
+    const volumePrecision = Number(input.volumePrecision);
+    if (!Number.isInteger(volumePrecision) || volumePrecision < 0 || volumePrecision > 16) {
+      errors.push('volumePrecision must be an integer between 0 and 16');
+    } else {
+      result.volumePrecision = volumePrecision;
+    }
+  }
+
+  if (input.session !== undefined) {
+    if (typeof input.session !== 'string' || !/^(24x7|\d{4}-\d{4}(:\d+)?(,\d{4}-\d{4}(:\d+)?)*)$/.test(input.session)) {
+      errors.push("session must be '24x7' or a TradingView session such as '0930-1600:23456'");
+    } else {
+      result.session = input.session;
+    }
+  }
+
+  if (input.timezone !== undefined) {
+    if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) {
+      errors.push('timezone must be an IANA timezone such as America/Sao_Paulo');
+    } else {
+      result.timezone = input.timezone;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new SymbolRegistryError(errors.join('; '));
+  }
+
+  return result;
+};
+
+// Loads the registry from disk on first use
+const load = () => {
+  if (symbols) {
+    return symbols;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(SYMBOLS_FILE, 'utf8'));
+    if (!Array.isArray(stored)) {
+      throw new Error('expected an array of symbols');
+    }
+    symbols = stored.map(withDefaults);
+    console.log(`Loaded ${symbols.length} symbols from ${SYMBOLS_FILE}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Refuse to start from defaults, the next save would overwrite the file
+      throw new Error(`Failed to load symbols from ${SYMBOLS_FILE}: ${error.message}`);
+    }
+    symbols = DEFAULT_SYMBOLS.map(symbol => ({ ...symbol }));
+    console.log(`No symbol registry at ${SYMBOLS_FILE}, using default symbols`);
+  }
+
+  return symbols;
+};
+
+// Applies `change` to the current symbols and saves the list it returns.
+// Changes run one at a time so concurrent requests cannot overwrite each other.
+const mutate = (change) => {
+  const run = pendingWrite.then(async () => {
+    const { next, result } = change(load());
+    const tmpFile = `${SYMBOLS_FILE}.tmp`;
+    await fs.promises.mkdir(path.dirname(SYMBOLS_FILE), { recursive: true });
+    await fs.promises.writeFile(tmpFile, JSON.stringify(next, null, 2) + '\n');
+    await fs.promises.rename(tmpFile, SYMBOLS_FILE);
+    symbols = next;
+    return { ...result };
+  });
+
+  pendingWrite = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Returns all symbols.
+ */
+function listSymbols() {
+  return load().map(symbol => ({ ...symbol }));
+}
+
+/**
+ * Returns a symbol by name, or undefined if it does not exist.
+ */
+function findSymbol(name) {
+  const symbol = load().find(entry => entry.symbol === name);
+  return symbol ? { ...symbol } : undefined;
+}
+
+/**
+ * Returns the `{ timezone, session }` daily and longer candles of a symbol
+ * are aligned to. Symbols missing from the registry use the defaults.
+ */
+function getSymbolSession(name) {
+  const symbol = findSymbol(name) || SYMBOL_DEFAULTS;
+  return { timezone: symbol.timezone, session: symbol.session };
+}
+
+/**
+ * Adds a symbol. Omitted fields take their defaults.
+ */
+async function createSymbol(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new SymbolRegistryError('Symbol must be an object');
+  }
+
+  const { symbol: name } = input;
+  if (typeof name !== 'string' || !SYMBOL_PATTERN.test(name)) {
+    throw new SymbolRegistryError('symbol must be 1-32 letters, digits, dots, dashes or underscores');
+  }
+
+  const fields = validateFields(input);
+
+  const symbol = await mutate(current => {
+    if (current.some(entry => entry.symbol === name)) {
+      throw new SymbolRegistryError(`Symbol ${name} already exists`, 409);
+    }
+
+    const created = withDefaults({ symbol: name, ...fields });
+    return { next: [...current, created], result: created };
+  });
+
+  console.log(`Symbol ${name} created`);
+  return symbol;
+}
+
+/**
+ * Updates the given fields of an existing symbol. The name cannot change.
+ */
+async function updateSymbol(name, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new SymbolRegistryError('Symbol must be an object');
+  }
+
+  if (input.symbol !== undefined && input.symbol !== name) {
+    throw new SymbolRegistryError('Symbol names cannot be changed');
+  }
+
+  const fields = validateFields(input);
+
+  const symbol = await mutate(current => {
+    const existing = current.find(entry => entry.symbol === name);
+    if (!existing) {
+      throw new SymbolRegistryError(`Symbol ${name} not found`, 404);
+    }
+
+    const updated = { ...existing, ...fields };
+    return { next: current.map(entry => (entry === existing ? updated : entry)), result: updated };
+  });
+
+  console.log(`Symbol ${name} updated`);
+  return symbol;
+}
+
+/**
+ * Removes a symbol. Its trades and candles are kept.
+ */
+async function deleteSymbol(name) {
+  const symbol = await mutate(current => {
+    const existing = current.find(entry => entry.symbol === name);
+    if (!existing) {
+      throw new SymbolRegistryError(`Symbol ${name} not found`, 404);
+    }
+
+    return { next: current.filter(entry => entry !== existing), result: existing };
+  });
+
+  console.log(`Symbol ${name} deleted`);
+  return symbol;
+}
+
+module.exports = {
+  SYMBOLS_FILE,
+  SYMBOL_TYPES,
+  SYMBOL_DEFAULTS,
+  SymbolRegistryError,
+  listSymbols,
+  findSymbol,
+  getSymbolSession,
+  createSymbol,
+  updateSymbol,
+  deleteSymbol
+};
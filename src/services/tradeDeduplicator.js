@@ -0,0 +1,182 @@
+const { flux } = require('@influxdata/influxdb-client');
+
+/**
+ * Deduplication of trades that carry an exchange trade ID.
+ *
+ * Trades are identified by `exchange` + `tradeId`. A trade is a duplicate if
+ * the same identifier appears earlier in the same batch, was accepted recently
+ * by this process, or is already stored in InfluxDB (the `trade_id` field of
+ * the `trade` measurement). Trades without a `tradeId` are never deduplicated.
+ *
+ * Identifiers are reserved as soon as they are checked, so concurrent writers
+ * cannot both accept the same trade. Callers must `release()` the trades they
+ * failed to write so that a retry is not reported as a duplicate.
+ *
+ * Stored trades are looked up in groups of trades close in time, one query
+ * per group, so a batch mixing old and new trades does not scan everything
+ * in between.
+ */
+
+const tradeKey = (trade) => `${trade.exchange || ''}|${trade.tradeId}`;
+
+class TradeDeduplicator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queryApi - InfluxDB query API
+   * @param {string} options.bucket - Bucket holding the `trade` measurement
+   * @param {number} [options.cacheSize] - Number of recently seen IDs kept in memory
+   * @param {number} [options.lookupSpanMs] - Longest time range one lookup of stored IDs covers
+   * @param {number} [options.lookupSize] - Most trade IDs one lookup of stored IDs lists
+   */
+  constructor({ queryApi, bucket, cacheSize = 100000, lookupSpanMs = 60 * 60 * 1000, lookupSize = 1000 }) {
+    this.queryApi = queryApi;
+    this.bucket = bucket;
+    this.cacheSize = cacheSize;
+    this.lookupSpanMs = lookupSpanMs;
+    this.lookupSize = lookupSize;
+    this.seen = new Map();
+  }
+
+  /**
+   * Splits trades into `fresh` trades that should be written and `duplicates`.
+   */
+  async partition(trades) {
+    const fresh = [];
+    const duplicates = [];
+    const candidates = [];
+    const batchKeys = new Set();
+
+    for (const trade of trades) {
+      if (trade.tradeId === undefined) {
+        fresh.push(trade);
+        continue;
+      }
+
+      const key = tradeKey(trade);
+      if (batchKeys.has(key) || this.seen.has(key)) {
+        duplicates.push(trade);
+      } else {
+        batchKeys.add(key);
+        candidates.push(trade);
+      }
+    }
+
+    if (candidates.length === 0) {
+      return { fresh, duplicates };
+    }
+
+    // Reserve the identifiers before querying so concurrent batches see them
+    candidates.forEach(trade => this._remember(tradeKey(trade)));
+
+    let storedKeys;
+    try {
+      storedKeys = await this._findStoredKeys(candidates);
+    } catch (error) {
+      this.release(candidates);
+      throw error;
+    }
+
+    for (const trade of candidates) {
+      if (storedKeys.has(tradeKey(trade))) {
+        duplicates.push(trade);
+      } else {
+        fresh.push(trade);
+      }
+    }
+
+    return { fresh, duplicates };
+  }
+
+  /**
+   * Forgets trades that were reserved by `partition()` but not written.
+   */
+  release(trades) {
+    trades.forEach(trade => {
+      if (trade.tradeId !== undefined) {
+        this.seen.delete(tradeKey(trade));
+      }
+    });
+  }
+
+  _remember(key) {
+    // Re-inserting moves the key to the end, so the oldest keys are evicted first
+    this.seen.delete(key);
+    this.seen.set(key, true);
+
+    if (this.seen.size > this.cacheSize) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+  }
+
+  // Look up which of the candidate trades are already stored
+  async _findStoredKeys(trades) {
+    const storedKeys = new Set();
+
+    // One query per group, so no query scans a long range or lists many IDs
+    for (const group of this._groupByTime(trades)) {
+      const keys = await this._findStoredKeysInGroup(group);
+      keys.forEach(key => storedKeys.add(key));
+    }
+
+    return storedKeys;
+  }
+
+  // Split trades, in time order, into groups spanning at most `lookupSpanMs`
+  _groupByTime(trades) {
+    const sorted = trades
+      .map(trade => ({ trade, time: new Date(trade.timestamp).getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    const groups = [];
+    let group = null;
+    for (const entry of sorted) {
+      if (!group || entry.time - group[0].time > this.lookupSpanMs || group.length >= this.lookupSize) {
+        group = [];
+        groups.push(group);
+      }
+      group.push(entry);
+    }
+
+    return groups;
+  }
+
+  async _findStoredKeysInGroup(group) {
+    const start = new Date(group[0].time);
+    // The range stop is exclusive
+    const stop = new Date(group[group.length - 1].time + 1);
+
+    const symbols = [...new Set(group.map(({ trade }) => trade.symbol))];
+    const tradeIds = [...new Set(group.map(({ trade }) => trade.tradeId))];
+
+    const query = flux`
+      from(bucket: ${this.bucket})
+        |> range(start: ${start}, stop: ${stop})
+        |> filter(fn: (r) => r._measurement == "trade" and r._field == "trade_id")
+        |> filter(fn: (r) => contains(value: r.symbol, set: ${symbols}))
+        |> filter(fn: (r) => contains(value: r._value, set: ${tradeIds}))
+        |> keep(columns: ["_value", "exchange"])
+    `;
+
+    const rows = await this.queryApi.collectRows(query);
+    return rows.map(row => tradeKey({ exchange: row.exchange, tradeId: row._value }));
+  }
+}
+
+let defaultDeduplicator = null;
+
+/**
+ * Returns the deduplicator shared by the API's write paths.
+ */
+function getTradeDeduplicator() {
+  if (!defaultDeduplicator) {
+    const { queryApi, config } = require('../config/influxdb');
+    defaultDeduplicator = new TradeDeduplicator({ queryApi, bucket: config.bucket });
+  }
+
+  return defaultDeduplicator;
+}
+
+module.exports = {
+  TradeDeduplicator,
+  getTradeDeduplicator
+};
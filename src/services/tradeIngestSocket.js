@@ -0,0 +1,189 @@
+const { WebSocketServer } = require('ws');
+const { influxDB, config } = require('../config/influxdb');
+const { BatchingTradeWriter } = require('./tradeWriter');
+const { parseTrade } = require('./tradeValidation');
+const { getTradeDeduplicator } = require('./tradeDeduplicator');
+const { getDirtyRangeTracker } = require('./dirtyRangeTracker');
+const barStream = require('./barStream');
+
+/**
+ * WebSocket trade ingestion channel.
+ *
+ * Producers keep a connection open to `/api/ws/trades` and send JSON
+ * messages containing a single trade, an array of trades, or an envelope
+ * `{ "id": "...", "trades": [...] }`. Each message is validated with the same
+ * rules as POST /api/trades and written through one long-lived batching
+ * writer shared by all connections. Every message is answered with either
+ *
+ *   { "type": "ack", "id": "...", "accepted": 3, "duplicates": [] }
+ *   { "type": "nack", "id": "...", "error": "...", "rejected": [{ "index": 1, "error": "..." }] }
+ *
+ * A message is all-or-nothing: if any of its trades is invalid, none are written.
+ * Trades whose exchange trade ID was already written are skipped and their
+ * indexes are listed in `duplicates`.
+ */
+
+const WS_PATH = '/api/ws/trades';
+
+// Largest message (in bytes) a producer can send
+const MAX_PAYLOAD = 16 * 1024 * 1024;
+
+// Most trades sent in one write request
+const WRITE_SIZE = 10000;
+
+let tradeWriter = null;
+
+// Create the shared writer on first use
+const getTradeWriter = () => {
+  if (!tradeWriter) {
+    const writeApi = influxDB.getWriteApi(config.org, config.bucket, 'ns', {
+      defaultTags: { source: 'tradingview-poc' },
+      // Retries are handled by the batching writer so acks stay accurate
+      maxRetries: 0,
+      // Flushing is driven by the batching writer as well: the client sends
+      // on its own once it buffers batchSize lines, so that is more than the
+      // writer buffers between two flushes
+      flushInterval: 0,
+      batchSize: WRITE_SIZE + 1,
+      maxBufferLines: WRITE_SIZE + 1
+    });
+
+    tradeWriter = new BatchingTradeWriter({
+      writeApi,
+      writeSize: WRITE_SIZE,
+      batchSize: parseInt(process.env.WS_INGEST_BATCH_SIZE || '5000', 10),
+      flushInterval: parseInt(process.env.WS_INGEST_FLUSH_INTERVAL || '250', 10),
+      name: 'websocket',
+      onWritten: trades => {
+        barStream.publishTrades(trades);
+        getDirtyRangeTracker().record(trades);
+      }
+    });
+  }
+
+  return tradeWriter;
+};
+
+// Split an incoming message into its id and list of raw trades
+const unpackMessage = (message, sequence) => {
+  if (message && !Array.isArray(message) && typeof message === 'object') {
+    if (Array.isArray(message.trades)) {
+      return { id: message.id !== undefined ? message.id : sequence, items: message.trades };
+    }
+
+    if (message.trade) {
+      return { id: message.id !== undefined ? message.id : sequence, items: [message.trade] };
+    }
+  }
+
+  return { id: sequence, items: Array.isArray(message) ? message : [message] };
+};
+
+// Handle a single message from a producer
+const handleMessage = async (socket, data, sequence) => {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return send(socket, { type: 'nack', id: sequence, error: 'Invalid JSON' });
+  }
+
+  const { id, items } = unpackMessage(message, sequence);
+
+  if (items.length === 0) {
+    return send(socket, { type: 'nack', id, error: 'Message contains no trades' });
+  }
+
+  const trades = [];
+  const rejected = [];
+
+  items.forEach((item, index) => {
+    const { trade, error } = parseTrade(item);
+    if (error) {
+      rejected.push({ index, error });
+    } else {
+      trades.push(trade);
+    }
+  });
+
+  if (rejected.length > 0) {
+    return send(socket, { type: 'nack', id, error: 'Invalid trades in message', rejected });
+  }
+
+  const deduplicator = getTradeDeduplicator();
+  let fresh;
+  let duplicates;
+
+  try {
+    ({ fresh, duplicates } = await deduplicator.partition(trades));
+  } catch (error) {
+    return send(socket, { type: 'nack', id, error: `Failed to check for duplicates: ${error.message}` });
+  }
+
+  try {
+    await getTradeWriter().write(fresh);
+  } catch (error) {
+    deduplicator.release(fresh);
+    return send(socket, { type: 'nack', id, error: `Failed to write trades: ${error.message}` });
+  }
+
+  send(socket, {
+    type: 'ack',
+    id,
+    accepted: fresh.length,
+    duplicates: duplicates.map(trade => trades.indexOf(trade))
+  });
+};
+
+const send = (socket, payload) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+};
+
+/**
+ * Attaches the trade ingestion WebSocket endpoint to an HTTP server.
+ */
+function attachTradeIngestSocket(server) {
+  const wss = new WebSocketServer({ server, path: WS_PATH, maxPayload: MAX_PAYLOAD });
+
+  wss.on('connection', (socket, req) => {
+    const remote = req.socket.remoteAddress;
+    let sequence = 0;
+
+    console.log(`Trade ingestion connection opened from ${remote}`);
+
+    socket.on('message', data => {
+      sequence++;
+      handleMessage(socket, data, sequence).catch(error => {
+        console.error('Error handling trade ingestion message:', error);
+      });
+    });
+
+    socket.on('close', () => {
+      console.log(`Trade ingestion connection closed from ${remote}`);
+    });
+
+    socket.on('error', error => {
+      console.error('Trade ingestion socket error:', error);
+    });
+  });
+
+  console.log(`Trade ingestion WebSocket available at ${WS_PATH}`);
+  return wss;
+}
+
+/**
+ * Flushes trades still buffered by the ingestion writer.
+ */
+async function closeTradeIngestWriter() {
+  if (tradeWriter) {
+    await tradeWriter.close();
+    tradeWriter = null;
+  }
+}
+
+module.exports = {
+  attachTradeIngestSocket,
+  closeTradeIngestWriter
+};
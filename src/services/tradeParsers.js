@@ -0,0 +1,239 @@
+/**
+ * Line parsers for bulk trade imports.
+ *
+ * Each parser turns one line of input into a raw trade payload, which is then
+ * validated with the same rules as POST /api/trades. Parsers throw an Error
+ * with a readable message when a line cannot be parsed.
+ */
+
+const TRADE_FIELDS = ['symbol', 'side', 'price', 'amount', 'timestamp', 'tradeId', 'exchange'];
+
+// Columns a CSV file may leave out
+const OPTIONAL_FIELDS = ['timestamp', 'tradeId', 'exchange'];
+
+// Multipliers to convert line protocol timestamps to milliseconds
+const PRECISION_TO_MS = {
+  ns: 1e-6,
+  us: 1e-3,
+  ms: 1,
+  s: 1000
+};
+
+// Split a CSV line into fields, honouring double-quoted values
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  fields.push(current);
+  return fields.map(field => field.trim());
+}
+
+/**
+ * Creates a CSV line parser. The first line passed to it must be the header.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.columns] - Maps trade fields to CSV header names,
+ *   e.g. `{ price: 'px', amount: 'qty' }`. Unmapped fields use their own name.
+ * @param {string} [options.delimiter] - Field delimiter (default: ',')
+ * @returns {Function} Parser returning `null` for the header line and a raw trade for data lines
+ */
+function createCsvParser({ columns = {}, delimiter = ',' } = {}) {
+  let indexes = null;
+
+  return (line) => {
+    const fields = splitCsvLine(line, delimiter);
+
+    if (!indexes) {
+      indexes = {};
+
+      for (const field of TRADE_FIELDS) {
+        const header = columns[field] || field;
+        const index = fields.indexOf(header);
+
+        if (index === -1 && !OPTIONAL_FIELDS.includes(field)) {
+          throw new Error(`CSV header is missing column '${header}' for ${field}`);
+        }
+
+        indexes[field] = index;
+      }
+
+      return null;
+    }
+
+    const trade = {};
+    for (const field of TRADE_FIELDS) {
+      if (indexes[field] !== -1 && fields[indexes[field]] !== '') {
+        trade[field] = fields[indexes[field]];
+      }
+    }
+
+    // Numeric timestamps are treated as milliseconds since the Unix epoch
+    if (trade.timestamp && /^\d+$/.test(trade.timestamp)) {
+      trade.timestamp = parseInt(trade.timestamp, 10);
+    }
+
+    return trade;
+  };
+}
+
+/**
+ * Parses one line of newline-delimited JSON.
+ */
+function parseNdjsonLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new Error('Invalid JSON');
+  }
+}
+
+// Split on a separator that is not escaped with a backslash or inside double quotes
+function splitUnescaped(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length) {
+      current += char + text[i + 1];
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+const unescapeKey = (text) => text.replace(/\\([ ,=])/g, '$1');
+
+// Convert a line protocol field value to a JavaScript value
+function parseFieldValue(raw) {
+  if (raw.startsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+
+  if (/^-?\d+[iu]$/.test(raw)) {
+    return parseInt(raw.slice(0, -1), 10);
+  }
+
+  if (/^(t|true|f|false)$/i.test(raw)) {
+    return /^t/i.test(raw);
+  }
+
+  const value = Number(raw);
+  if (Number.isNaN(value)) {
+    throw new Error(`Invalid field value '${raw}'`);
+  }
+
+  return value;
+}
+
+/**
+ * Creates an InfluxDB line protocol parser for `trade` points, e.g.
+ * `trade,symbol=BTCUSD,side=buy price=46785.23,amount=0.5432 1640995200000000000`
+ *
+ * @param {Object} [options]
+ * @param {string} [options.precision] - Timestamp precision: ns, us, ms or s (default: ns)
+ */
+function createLineProtocolParser({ precision = 'ns' } = {}) {
+  const multiplier = PRECISION_TO_MS[precision];
+
+  if (multiplier === undefined) {
+    throw new Error(`Unsupported precision '${precision}'`);
+  }
+
+  return (line) => {
+    const sections = splitUnescaped(line, ' ').filter(section => section !== '');
+
+    if (sections.length < 2 || sections.length > 3) {
+      throw new Error('Line must contain a measurement, fields and an optional timestamp');
+    }
+
+    const [seriesKey, fieldSet, timestamp] = sections;
+    const [measurement, ...tagPairs] = splitUnescaped(seriesKey, ',');
+
+    if (unescapeKey(measurement) !== 'trade') {
+      throw new Error(`Unsupported measurement '${unescapeKey(measurement)}'`);
+    }
+
+    const trade = {};
+
+    for (const pair of tagPairs) {
+      const [key, value] = splitUnescaped(pair, '=');
+      if (value === undefined) {
+        throw new Error(`Invalid tag '${pair}'`);
+      }
+      trade[unescapeKey(key)] = unescapeKey(value);
+    }
+
+    for (const pair of splitUnescaped(fieldSet, ',')) {
+      const separator = pair.search(/(?<!\\)=/);
+      if (separator === -1) {
+        throw new Error(`Invalid field '${pair}'`);
+      }
+      trade[unescapeKey(pair.slice(0, separator))] = parseFieldValue(pair.slice(separator + 1));
+    }
+
+    // Accept the field name used when trades are stored
+    if (trade.trade_id !== undefined) {
+      trade.tradeId = trade.trade_id;
+      delete trade.trade_id;
+    }
+
+    if (timestamp !== undefined) {
+      if (!/^-?\d+$/.test(timestamp)) {
+        throw new Error(`Invalid timestamp '${timestamp}'`);
+      }
+
+      // Divide as a BigInt first so nanosecond timestamps keep their precision
+      trade.timestamp = multiplier < 1
+        ? Number(BigInt(timestamp) / BigInt(Math.round(1 / multiplier)))
+        : Number(timestamp) * multiplier;
+    }
+
+    return trade;
+  };
+}
+
+module.exports = {
+  createCsvParser,
+  parseNdjsonLine,
+  createLineProtocolParser
+};
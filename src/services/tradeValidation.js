@@ -0,0 +1,67 @@
+const { findSymbol } = require('./symbolRegistry');
+
+/**
+ * Validation rules shared by every trade ingestion path
+ * (POST /api/trades, the WebSocket ingestion channel and bulk imports).
+ */
+
+/**
+ * Validates a raw trade payload and normalizes it into a trade object.
+ * Returns `{ trade }` when the payload is valid, or `{ error }` otherwise.
+ */
+function parseTrade(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Trade must be an object' };
+  }
+
+  const { symbol, side, price, amount, timestamp, tradeId, exchange } = input;
+
+  if (!symbol || !side || !price || !amount) {
+    return { error: 'Symbol, side, price, and amount are required' };
+  }
+
+  if (!findSymbol(symbol)) {
+    return { error: `Unknown symbol ${symbol}` };
+  }
+
+  // Candles split volume into buy and sell volume by side
+  const normalizedSide = String(side).toLowerCase();
+  if (normalizedSide !== 'buy' && normalizedSide !== 'sell') {
+    return { error: "Side must be 'buy' or 'sell'" };
+  }
+
+  const trade = {
+    symbol,
+    side: normalizedSide,
+    price: parseFloat(price),
+    amount: parseFloat(amount),
+    timestamp: timestamp ? new Date(timestamp) : new Date()
+  };
+
+  if (!Number.isFinite(trade.price) || !Number.isFinite(trade.amount)) {
+    return { error: 'Price and amount must be numbers' };
+  }
+
+  if (isNaN(trade.timestamp.getTime())) {
+    return { error: 'Timestamp must be a valid date' };
+  }
+
+  // Exchange trade IDs make writes idempotent, which only works if a replay
+  // carries the original execution time
+  if (tradeId !== undefined && tradeId !== null && tradeId !== '') {
+    if (!timestamp) {
+      return { error: 'Timestamp is required when tradeId is provided' };
+    }
+    trade.tradeId = String(tradeId);
+  }
+
+  if (exchange) {
+    trade.exchange = String(exchange);
+  }
+
+  return { trade };
+}
+
+module.exports = {
+  parseTrade
+};
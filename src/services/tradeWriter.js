@@ -0,0 +1,175 @@
+const { Point } = require('@influxdata/influxdb-client');
+const { tradesWritten, tradeWriteErrors, tradeWriteRetries } = require('./metrics');
+
+/**
+ * Trade write helpers.
+ *
+ * `BatchingTradeWriter` keeps a single long-lived write API open and groups
+ * trades from many callers into larger writes. Every call to `write()` gets
+ * its own promise, which settles once the batch containing its trades has
+ * been accepted (or definitively rejected) by InfluxDB. This lets streaming
+ * producers know exactly which trades were persisted.
+ */
+
+// Build the InfluxDB point for a trade
+const createTradePoint = (trade) => {
+  const point = new Point('trade')
+    .tag('symbol', trade.symbol)
+    .tag('side', trade.side)
+    .floatField('price', trade.price)
+    .floatField('amount', trade.amount)
+    .timestamp(trade.timestamp || new Date());
+
+  if (trade.exchange) {
+    point.tag('exchange', trade.exchange);
+  }
+
+  // Stored as a field rather than a tag to keep series cardinality low
+  if (trade.tradeId !== undefined) {
+    point.stringField('trade_id', trade.tradeId);
+  }
+
+  return point;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BatchingTradeWriter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.writeApi - InfluxDB write API. It must not retry on
+   *   its own (maxRetries: 0), otherwise a failed flush could still be written later,
+   *   nor send on its own (flushInterval: 0, batchSize of at least `writeSize`),
+   *   otherwise a failed send would not reach the flush that is awaited.
+   * @param {number} [options.writeSize] - Most trades sent in one write request
+   * @param {number} [options.batchSize] - Trades that trigger an immediate flush
+   * @param {number} [options.flushInterval] - Maximum time (ms) a trade waits in the buffer
+   * @param {number} [options.maxRetries] - Attempts after the first failed write
+   * @param {number} [options.retryDelay] - Base delay (ms) between attempts, doubled each time
+   * @param {Function} [options.onWritten] - Called with the trades of every persisted batch
+   * @param {string} [options.name] - `writer` label of the trade write metrics
+   */
+  constructor({ writeApi, writeSize = 10000, batchSize = 5000, flushInterval = 250, maxRetries = 3, retryDelay = 500, onWritten, name = 'batching' }) {
+    this.writeApi = writeApi;
+    this.writeSize = writeSize;
+    this.name = name;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.onWritten = onWritten;
+
+    this.pending = [];
+    this.pendingCount = 0;
+    this.timer = null;
+    this.flushing = Promise.resolve();
+    this.closed = false;
+  }
+
+  /**
+   * Queues trades for writing. Resolves once they are persisted.
+   */
+  write(trades) {
+    if (this.closed) {
+      return Promise.reject(new Error('Trade writer is closed'));
+    }
+
+    if (!trades || trades.length === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ trades, resolve, reject });
+      this.pendingCount += trades.length;
+
+      if (this.pendingCount >= this.batchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.flushInterval);
+      }
+    });
+  }
+
+  /**
+   * Writes everything currently buffered. Flushes never overlap, so each
+   * one only settles the callers whose trades it actually sent.
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.flushing = this.flushing.then(() => this._flushPending());
+    return this.flushing;
+  }
+
+  async _flushPending() {
+    const entries = this.pending;
+    this.pending = [];
+    this.pendingCount = 0;
+
+    if (entries.length === 0) return;
+
+    const trades = entries.flatMap(entry => entry.trades);
+
+    try {
+      // Batches can outgrow a write request when a caller writes many trades
+      // at once. Each request is retried alone, so none is written twice.
+      for (let i = 0; i < trades.length; i += this.writeSize) {
+        await this._writeWithRetry(trades.slice(i, i + this.writeSize));
+      }
+    } catch (error) {
+      console.error(`Error writing batch of ${trades.length} trades:`, error);
+      entries.forEach(entry => entry.reject(error));
+      return;
+    }
+
+    entries.forEach(entry => entry.resolve());
+
+    if (this.onWritten) {
+      try {
+        this.onWritten(trades);
+      } catch (error) {
+        console.error('Error in trade writer callback:', error);
+      }
+    }
+  }
+
+  async _writeWithRetry(trades) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this.writeApi.writePoints(trades.map(createTradePoint));
+        await this.writeApi.flush();
+        tradesWritten.inc({ writer: this.name }, trades.length);
+        return;
+      } catch (error) {
+        if (attempt >= this.maxRetries) {
+          tradeWriteErrors.inc({ writer: this.name });
+          throw error;
+        }
+
+        tradeWriteRetries.inc({ writer: this.name });
+        const delay = this.retryDelay * Math.pow(2, attempt);
+        console.warn(`Trade batch write failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Flushes pending trades and closes the underlying write API.
+   */
+  async close() {
+    if (this.closed) return;
+
+    await this.flush();
+    this.closed = true;
+    await this.writeApi.close();
+  }
+}
+
+module.exports = {
+  createTradePoint,
+  BatchingTradeWriter
+};
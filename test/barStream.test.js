@@ -0,0 +1,71 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getWindow } = require('../src/config/resolutions');
+const barStream = require('../src/services/barStream');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+const WINDOW = getWindow('1', { timezone: 'UTC', session: '24x7' });
+
+const trade = (time, price, amount) => ({ symbol: 'BTCUSD', side: 'buy', price, amount, timestamp: new Date(time).toISOString() });
+
+describe('barStream', () => {
+  const subscriptions = [];
+
+  // Subscribes and collects what the listener receives
+  const subscribe = () => {
+    const received = [];
+    subscriptions.push(barStream.subscribe('BTCUSD', '1', WINDOW, (bar, options) => received.push({ bar, ...options })));
+    return received;
+  };
+
+  afterEach(() => {
+    subscriptions.splice(0).forEach(unsubscribe => unsubscribe());
+  });
+
+  it('sends no bar before it is seeded, then the seed with the newer trades', () => {
+    const received = subscribe();
+    assert.strictEqual(barStream.startSeed('BTCUSD', '1'), true);
+
+    // Published while the seed query runs; the first one is stored already
+    barStream.publishTrades([trade(T0 + 10000, 101, 1), trade(T0 + 20000, 105, 2)]);
+    assert.deepStrictEqual(received, []);
+    assert.strictEqual(barStream.getFormingBar('BTCUSD', '1'), null);
+
+    barStream.seedBar('BTCUSD', '1', {
+      time: T0 + MINUTE, open: 100, high: 101, low: 100, close: 101, volume: 3, lastTradeTime: T0 + 10000
+    });
+
+    assert.deepStrictEqual(received, [{
+      bar: { time: T0 + MINUTE, open: 100, high: 105, low: 100, close: 105, volume: 5 },
+      closed: false
+    }]);
+  });
+
+  it('seeds a stream once', () => {
+    subscribe();
+    subscribe();
+
+    assert.strictEqual(barStream.startSeed('BTCUSD', '1'), true);
+    assert.strictEqual(barStream.startSeed('BTCUSD', '1'), false);
+
+    barStream.seedBar('BTCUSD', '1', null);
+    assert.strictEqual(barStream.startSeed('BTCUSD', '1'), false);
+  });
+
+  it('drops the bar and the kept trades when seeding fails', () => {
+    const received = subscribe();
+    barStream.startSeed('BTCUSD', '1');
+    barStream.publishTrades([trade(T0 + 10000, 101, 1)]);
+
+    barStream.failSeed('BTCUSD', '1', 'Could not load the forming bar');
+    assert.deepStrictEqual(received, [{ bar: null, error: 'Could not load the forming bar' }]);
+
+    // The next seed starts over, without the trades published before
+    assert.strictEqual(barStream.startSeed('BTCUSD', '1'), true);
+    barStream.seedBar('BTCUSD', '1', {
+      time: T0 + MINUTE, open: 100, high: 101, low: 100, close: 101, volume: 3, lastTradeTime: T0 + 10000
+    });
+    assert.strictEqual(barStream.getFormingBar('BTCUSD', '1').volume, 3);
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getResolution } = require('../src/config/resolutions');
+const { ChunkSizer, MIN_CHUNK_MS, MAX_CHUNK_FACTOR, RECORD_INTERVAL_MS } = require('../src/services/chunkSizer');
+const { silentLogger } = require('./helpers/silentLogger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+
+describe('ChunkSizer', () => {
+  let tradeHours;
+  let chunkRows;
+  let written;
+  let now;
+  let sizer;
+
+  beforeEach(() => {
+    // Trades per hour, stamped with the end of the hour as aggregateWindow does
+    tradeHours = [];
+    chunkRows = [];
+    written = [];
+    now = T0;
+
+    sizer = new ChunkSizer({
+      queryApi: {
+        collectRows: async (query) => (String(query).includes('downsampling_chunk') ? chunkRows : tradeHours)
+      },
+      writeApi: {
+        writePoint: point => written.push(point),
+        flush: async () => {}
+      },
+      bucket: 'trades',
+      targetMs: 30000,
+      getSymbolSession: () => ({ timezone: 'UTC', session: '24x7' }),
+      now: () => now,
+      logger: silentLogger
+    });
+  });
+
+  const hours = (...counts) => counts.map((count, index) => ({
+    _time: new Date(T0 + (index + 1) * HOUR).toISOString(),
+    _value: count
+  }));
+
+  describe('clamp', () => {
+    it('keeps chunks of at least an hour', () => {
+      assert.strictEqual(sizer.clamp(0, DAY), MIN_CHUNK_MS);
+      assert.strictEqual(sizer.clamp(HOUR / 2, DAY), MIN_CHUNK_MS);
+    });
+
+    it('caps chunks at the limit', () => {
+      assert.strictEqual(sizer.clamp(Infinity, DAY), DAY);
+      assert.strictEqual(sizer.clamp(3 * DAY, DAY), DAY);
+    });
+
+    it('rounds to whole milliseconds', () => {
+      assert.strictEqual(sizer.clamp(2 * HOUR + 0.4, DAY), 2 * HOUR);
+    });
+  });
+
+  describe('fitTrades', () => {
+    it('returns an hour for an empty range', async () => {
+      assert.deepStrictEqual(await sizer.fitTrades('BTCUSD', T0, T0, 100), { chunkMs: MIN_CHUNK_MS, expectedRows: 0 });
+    });
+
+    it('takes the whole range when all trades fit', async () => {
+      tradeHours = hours(10, 20, 5);
+
+      assert.deepStrictEqual(await sizer.fitTrades('BTCUSD', T0, T0 + 3 * HOUR, 35), { chunkMs: Infinity, expectedRows: 35 });
+    });
+
+    it('stops before the first hour that does not fit', async () => {
+      tradeHours = hours(10, 20, 5);
+
+      assert.deepStrictEqual(await sizer.fitTrades('BTCUSD', T0, T0 + 3 * HOUR, 25), { chunkMs: HOUR, expectedRows: 10 });
+    });
+
+    it('takes the first hour even when it does not fit', async () => {
+      tradeHours = hours(10, 20, 5);
+
+      assert.deepStrictEqual(await sizer.fitTrades('BTCUSD', T0, T0 + 3 * HOUR, 5), { chunkMs: MIN_CHUNK_MS, expectedRows: 10 });
+    });
+
+    it('orders the hours of several series by time', async () => {
+      tradeHours = hours(10, 20, 5).reverse();
+
+      assert.deepStrictEqual(await sizer.fitTrades('BTCUSD', T0, T0 + 3 * HOUR, 31), { chunkMs: 2 * HOUR, expectedRows: 30 });
+    });
+  });
+
+  describe('limits', () => {
+    const resolution = getResolution('1m');
+    const max = resolution.chunkDays * DAY * MAX_CHUNK_FACTOR;
+
+    it('halves the chunk that timed out', async () => {
+      await sizer.recordTimeout(resolution, 'BTCUSD', 8 * HOUR);
+
+      assert.strictEqual(sizer.limits.get('1m|BTCUSD'), 4 * HOUR);
+    });
+
+    it('never limits chunks below an hour', async () => {
+      await sizer.recordTimeout(resolution, 'BTCUSD', HOUR);
+
+      assert.strictEqual(sizer.limits.get('1m|BTCUSD'), MIN_CHUNK_MS);
+    });
+
+    it('doubles the limit after each chunk within the target', async () => {
+      await sizer.recordTimeout(resolution, 'BTCUSD', 8 * HOUR);
+
+      sizer.recordChunk(resolution, 'BTCUSD', { rows: 100, durationMs: 1000 });
+      assert.strictEqual(sizer.limits.get('1m|BTCUSD'), 8 * HOUR);
+
+      sizer.recordChunk(resolution, 'BTCUSD', { rows: 100, durationMs: 1000 });
+      assert.strictEqual(sizer.limits.get('1m|BTCUSD'), 16 * HOUR);
+    });
+
+    it('keeps the limit after a chunk over the target', async () => {
+      await sizer.recordTimeout(resolution, 'BTCUSD', 8 * HOUR);
+
+      sizer.recordChunk(resolution, 'BTCUSD', { rows: 100, durationMs: 60000 });
+      assert.strictEqual(sizer.limits.get('1m|BTCUSD'), 4 * HOUR);
+    });
+
+    it('drops the limit once it reaches the largest chunk', async () => {
+      await sizer.recordTimeout(resolution, 'BTCUSD', max);
+
+      sizer.recordChunk(resolution, 'BTCUSD', { rows: 100, durationMs: 1000 });
+      assert.strictEqual(sizer.limits.has('1m|BTCUSD'), false);
+    });
+
+    it('caps the planned chunks at the limit', async () => {
+      await sizer.recordTimeout(resolution, 'BTCUSD', 8 * HOUR);
+      sizer.recordThroughput(resolution, 1000000, 1000);
+      tradeHours = hours(10, 20, 5);
+
+      const chunk = await sizer.planChunk(resolution, 'BTCUSD', T0, T0 + 10 * DAY);
+      assert.strictEqual(chunk.chunkMs, 4 * HOUR);
+      assert.strictEqual(chunk.reason, 'limit');
+    });
+  });
+
+  describe('recording', () => {
+    const resolution = getResolution('5m');
+    const plan = () => sizer.planChunk(resolution, 'BTCUSD', T0, T0 + 30 * DAY);
+
+    it('writes a size only when it changes', async () => {
+      await plan();
+      await plan();
+      assert.strictEqual(written.length, 1);
+
+      sizer.recordThroughput(resolution, 10, 1000);
+      await plan();
+      assert.strictEqual(written.length, 2);
+      assert.strictEqual(written[1].fields.reason, '"throughput"');
+    });
+
+    it('writes an unchanged size again after the interval', async () => {
+      await plan();
+      now += RECORD_INTERVAL_MS - 1;
+      await plan();
+      assert.strictEqual(written.length, 1);
+
+      now += 1;
+      await plan();
+      assert.strictEqual(written.length, 2);
+    });
+
+    it('writes every timeout and the limited size after it', async () => {
+      await plan();
+      await sizer.recordTimeout(resolution, 'BTCUSD', 8 * HOUR);
+      await sizer.recordTimeout(resolution, 'BTCUSD', 4 * HOUR);
+      await plan();
+
+      assert.deepStrictEqual(written.map(point => point.fields.reason), ['"default"', '"timeout"', '"timeout"', '"default"']);
+      assert.strictEqual(written[3].fields.limit_ms, `${2 * HOUR}i`);
+    });
+
+    it('does not write again the size recorded before a restart', async () => {
+      chunkRows = [{
+        _time: new Date(now - HOUR / 2).toISOString(),
+        resolution: '5m',
+        symbol: 'BTCUSD',
+        chunk_ms: resolution.chunkDays * DAY,
+        reason: 'default'
+      }];
+
+      await plan();
+      assert.strictEqual(written.length, 0);
+    });
+  });
+});
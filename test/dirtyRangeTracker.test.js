@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getResolution } = require('../src/config/resolutions');
+const { DownsamplingEngine } = require('../src/services/downsamplingEngine');
+const { DirtyRangeTracker } = require('../src/services/dirtyRangeTracker');
+const { FakeInflux } = require('./helpers/fakeInflux');
+const { fixedChunks } = require('./helpers/fixedChunks');
+const { silentLogger } = require('./helpers/silentLogger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+
+const trade = (time, price, amount) => ({ symbol: 'BTCUSD', side: 'buy', price, amount, timestamp: new Date(time).toISOString() });
+
+describe('DirtyRangeTracker', () => {
+  let influx;
+  let now;
+  let tracker;
+
+  const addTrades = (trades) => trades.forEach(({ timestamp, price, amount, side }) => {
+    influx.add('trade', timestamp, { symbol: 'BTCUSD', side }, { price, amount });
+  });
+
+  const createEngine = () => new DownsamplingEngine({
+    queryApi: influx.queryApi(),
+    writeApi: influx.writeApi(),
+    bucket: 'trades',
+    resolutions: [getResolution('1m'), getResolution('5m')],
+    getSymbolSession: () => ({ timezone: 'UTC', session: '24x7' }),
+    listSymbols: () => [{ symbol: 'BTCUSD' }],
+    now: () => now,
+    chunkSizer: fixedChunks(HOUR),
+    logger: silentLogger
+  });
+
+  const candle = (resolution, time) => influx.find(`trade_ohlc_${resolution}`)
+    .find(point => point.time === time).fields;
+
+  beforeEach(() => {
+    influx = new FakeInflux();
+    now = T0 + HOUR;
+
+    // Every read of the clock moves it, so ranges recorded by one run are
+    // stamped before the time it processes up to
+    tracker = new DirtyRangeTracker({
+      queryApi: influx.queryApi(),
+      writeApi: influx.writeApi(),
+      bucket: 'trades',
+      now: () => ++now,
+      logger: silentLogger
+    });
+  });
+
+  afterEach(() => tracker.stop());
+
+  // Starts the tracker and waits for its first run, which reads the cursors
+  const start = async (engine) => {
+    tracker.start(engine, HOUR);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await tracker.processing;
+  };
+
+  describe('with the InfluxDB tasks (the default engine)', () => {
+    it('folds trades older than the tasks\' cursors into their candles', async () => {
+      addTrades([trade(T0 + 10 * 1000, 100, 1)]);
+
+      // The tasks write the same candles and cursors as the engine
+      await createEngine().runAll();
+
+      // The server's engine is not started, it only rebuilds windows
+      const engine = createEngine();
+      await start(engine);
+
+      const late = trade(T0 + 20 * 1000, 200, 2);
+      const recent = trade(now + MINUTE, 300, 1);
+      addTrades([late, recent]);
+      tracker.record([late, recent]);
+
+      await tracker.process(engine);
+
+      const ranges = influx.find('downsampling_dirty');
+      assert.strictEqual(ranges.length, 1);
+      assert.strictEqual(ranges[0].fields.start, late.timestamp);
+
+      assert.strictEqual(candle('1m', T0 + MINUTE).high, 200);
+      assert.strictEqual(candle('1m', T0 + MINUTE).volume, 3);
+      assert.strictEqual(candle('5m', T0 + 5 * MINUTE).volume, 3);
+      assert.strictEqual(candle('5m', T0 + 5 * MINUTE).close, 200);
+    });
+
+    it('records trades older than the last read of the cursors', async () => {
+      const engine = createEngine();
+      await start(engine);
+
+      // No cursor yet, but a task may have passed the trade since the read
+      const time = now;
+      tracker.record([trade(time - MINUTE, 100, 1), trade(time + MINUTE, 100, 1)]);
+      await tracker.flush();
+
+      assert.deepStrictEqual(influx.find('downsampling_dirty').map(range => Date.parse(range.fields.start)), [time - MINUTE]);
+    });
+
+    it('ignores trades until started', async () => {
+      tracker.record([trade(T0, 100, 1)]);
+      await tracker.flush();
+
+      assert.strictEqual(influx.find('downsampling_dirty').length, 0);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getResolution } = require('../src/config/resolutions');
+const { DownsamplingEngine } = require('../src/services/downsamplingEngine');
+const { FakeInflux } = require('./helpers/fakeInflux');
+const { fixedChunks } = require('./helpers/fixedChunks');
+const { silentLogger } = require('./helpers/silentLogger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+
+const addTrade = (influx, time, price, amount, side = 'buy') => {
+  influx.add('trade', time, { symbol: 'BTCUSD', side }, { price, amount });
+};
+
+const cursorOf = async (engine, resolution) => {
+  const cursor = await engine.getCursor(resolution, 'BTCUSD');
+  return cursor ? cursor.getTime() : null;
+};
+
+const candles = (influx, resolution) => influx.find(`trade_ohlc_${resolution}`).map(point => ({
+  time: point.time,
+  ...point.fields
+}));
+
+describe('DownsamplingEngine', () => {
+  let influx;
+  let now;
+
+  const createEngine = (chunkMs = HOUR) => new DownsamplingEngine({
+    queryApi: influx.queryApi(),
+    writeApi: influx.writeApi(),
+    bucket: 'trades',
+    resolutions: [getResolution('1m'), getResolution('5m')],
+    getSymbolSession: () => ({ timezone: 'UTC', session: '24x7' }),
+    listSymbols: () => [{ symbol: 'BTCUSD' }],
+    now: () => now,
+    chunkSizer: fixedChunks(chunkMs),
+    logger: silentLogger
+  });
+
+  beforeEach(() => {
+    influx = new FakeInflux();
+    now = T0 + 2 * HOUR;
+  });
+
+  describe('cursor', () => {
+    it('returns null for a symbol without trades', async () => {
+      const engine = createEngine();
+
+      assert.strictEqual(await engine.processChunk(getResolution('1m'), 'BTCUSD'), null);
+      assert.strictEqual(await cursorOf(engine, '1m'), null);
+    });
+
+    it('starts at the first trade and advances to the end of the chunk', async () => {
+      addTrade(influx, T0 + 10 * 1000, 100, 1, 'buy');
+      addTrade(influx, T0 + 20 * 1000, 110, 2, 'sell');
+      addTrade(influx, T0 + 30 * 1000, 90, 1, 'buy');
+      addTrade(influx, T0 + MINUTE + 5 * 1000, 95, 3, 'sell');
+      const engine = createEngine(10 * MINUTE);
+
+      const result = await engine.processChunk(getResolution('1m'), 'BTCUSD');
+
+      assert.strictEqual(result.start.getTime(), T0 + 10 * 1000);
+      assert.strictEqual(result.end.getTime(), T0 + 10 * MINUTE + 10 * 1000);
+      assert.strictEqual(result.rows, 4);
+      assert.strictEqual(result.candles, 2);
+      assert.strictEqual(await cursorOf(engine, '1m'), T0 + 10 * MINUTE + 10 * 1000);
+
+      const [first, second] = candles(influx, '1m');
+      assert.deepStrictEqual(first, {
+        time: T0 + MINUTE,
+        open: 100,
+        high: 110,
+        low: 90,
+        close: 90,
+        volume: 4,
+        buy_volume: 2,
+        sell_volume: 2,
+        trade_count: 3,
+        vwap: 410 / 4
+      });
+      assert.strictEqual(second.time, T0 + 2 * MINUTE);
+      assert.strictEqual(second.close, 95);
+    });
+
+    it('continues from the cursor and rebuilds the window it split', async () => {
+      addTrade(influx, T0 + 10 * 1000, 100, 1);
+      addTrade(influx, T0 + 50 * 1000, 120, 1);
+      const engine = createEngine(30 * 1000);
+
+      await engine.processChunk(getResolution('1m'), 'BTCUSD');
+      assert.strictEqual(await cursorOf(engine, '1m'), T0 + 40 * 1000);
+
+      const result = await engine.processChunk(getResolution('1m'), 'BTCUSD');
+      assert.strictEqual(result.start.getTime(), T0 + 40 * 1000);
+
+      // The second write of the window holds both trades
+      const [candle] = candles(influx, '1m');
+      assert.strictEqual(candle.time, T0 + MINUTE);
+      assert.strictEqual(candle.open, 100);
+      assert.strictEqual(candle.close, 120);
+      assert.strictEqual(candle.volume, 2);
+    });
+
+    it('catches up to now and stops there', async () => {
+      addTrade(influx, T0, 100, 1);
+      addTrade(influx, T0 + 90 * MINUTE, 105, 1);
+      const engine = createEngine(HOUR);
+
+      const chunks = await engine.catchUp(getResolution('1m'));
+
+      assert.strictEqual(chunks, 2);
+      assert.strictEqual(await cursorOf(engine, '1m'), now);
+      assert.strictEqual(await engine.processChunk(getResolution('1m'), 'BTCUSD'), null);
+    });
+
+    it('stops after maxChunks', async () => {
+      addTrade(influx, T0, 100, 1);
+      const engine = createEngine(30 * MINUTE);
+
+      assert.strictEqual(await engine.catchUp(getResolution('1m'), { maxChunks: 1 }), 1);
+      assert.strictEqual(await cursorOf(engine, '1m'), T0 + 30 * MINUTE);
+    });
+  });
+
+  describe('cascaded source', () => {
+    it('does not start before the source resolution has a cursor', async () => {
+      addTrade(influx, T0, 100, 1);
+      const engine = createEngine();
+
+      assert.strictEqual(await engine.processChunk(getResolution('5m'), 'BTCUSD'), null);
+      assert.strictEqual(await cursorOf(engine, '5m'), null);
+    });
+
+    it('aggregates the source candles and stops at the source cursor', async () => {
+      addTrade(influx, T0 + 30 * 1000, 100, 1, 'buy');
+      addTrade(influx, T0 + 2 * MINUTE, 130, 2, 'sell');
+      addTrade(influx, T0 + 4 * MINUTE, 80, 1, 'buy');
+      addTrade(influx, T0 + 7 * MINUTE, 90, 1, 'buy');
+      const engine = createEngine(HOUR);
+
+      // 1m is built up to 20 minutes in
+      now = T0 + 20 * MINUTE;
+      await engine.catchUp(getResolution('1m'));
+      now = T0 + 2 * HOUR;
+
+      const result = await engine.processChunk(getResolution('5m'), 'BTCUSD');
+
+      assert.strictEqual(result.end.getTime(), T0 + 20 * MINUTE);
+      assert.strictEqual(result.rows, 4);
+      assert.strictEqual(await cursorOf(engine, '5m'), T0 + 20 * MINUTE);
+      assert.strictEqual(await engine.processChunk(getResolution('5m'), 'BTCUSD'), null);
+
+      const [first, second] = candles(influx, '5m');
+      assert.deepStrictEqual(first, {
+        time: T0 + 5 * MINUTE,
+        open: 100,
+        high: 130,
+        low: 80,
+        close: 80,
+        volume: 4,
+        buy_volume: 2,
+        sell_volume: 2,
+        trade_count: 3,
+        vwap: 440 / 4
+      });
+      assert.strictEqual(second.time, T0 + 10 * MINUTE);
+      assert.strictEqual(second.open, 90);
+    });
+
+    it('runAll builds the source before the resolutions reading it', async () => {
+      addTrade(influx, T0 + 30 * 1000, 100, 1);
+      addTrade(influx, T0 + 6 * MINUTE, 110, 1);
+      const engine = createEngine(HOUR);
+
+      await engine.runAll();
+
+      assert.strictEqual(await cursorOf(engine, '1m'), now);
+      assert.strictEqual(await cursorOf(engine, '5m'), now);
+      assert.deepStrictEqual(candles(influx, '5m').map(candle => candle.time), [T0 + 5 * MINUTE, T0 + 10 * MINUTE]);
+    });
+  });
+
+  describe('gaps and empty windows', () => {
+    it('writes no candles for windows without trades', async () => {
+      addTrade(influx, T0 + 10 * 1000, 100, 1);
+      addTrade(influx, T0 + 5 * MINUTE + 10 * 1000, 101, 1);
+      const engine = createEngine(HOUR);
+
+      await engine.processChunk(getResolution('1m'), 'BTCUSD');
+
+      assert.deepStrictEqual(candles(influx, '1m').map(candle => candle.time), [T0 + MINUTE, T0 + 6 * MINUTE]);
+    });
+
+    it('advances the cursor over chunks without trades', async () => {
+      addTrade(influx, T0, 100, 1);
+      addTrade(influx, T0 + 100 * MINUTE, 105, 1);
+      const engine = createEngine(30 * MINUTE);
+
+      await engine.processChunk(getResolution('1m'), 'BTCUSD');
+      const empty = await engine.processChunk(getResolution('1m'), 'BTCUSD');
+
+      assert.strictEqual(empty.rows, 0);
+      assert.strictEqual(empty.candles, 0);
+      assert.strictEqual(await cursorOf(engine, '1m'), T0 + HOUR);
+
+      await engine.catchUp(getResolution('1m'));
+      assert.deepStrictEqual(candles(influx, '1m').map(candle => candle.time), [T0 + MINUTE, T0 + 101 * MINUTE]);
+    });
+
+    it('writes no 5m candles for empty source windows', async () => {
+      addTrade(influx, T0, 100, 1);
+      addTrade(influx, T0 + 42 * MINUTE, 105, 1);
+      const engine = createEngine(HOUR);
+
+      await engine.runAll();
+
+      assert.deepStrictEqual(candles(influx, '5m').map(candle => candle.time), [T0 + 5 * MINUTE, T0 + 45 * MINUTE]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { DownsamplingTaskManager } = require('../src/services/downsamplingTasks');
+const { silentLogger } = require('./helpers/silentLogger');
+
+const MINUTE = 60 * 1000;
+const TASK = { id: 'task-1m', name: 'Downsample_Trades_1m', status: 'active' };
+
+describe('DownsamplingTaskManager.runTask', () => {
+  let lease;
+  let runs;
+  let triggered;
+  let released;
+  let manager;
+
+  // A lease taken by the run scheduled a minute ago
+  const scheduledFor = new Date(Math.floor(Date.now() / 1000) * 1000 - MINUTE).toISOString().replace('.000Z', 'Z');
+  const heldLease = (expiresIn) => ({
+    _time: scheduledFor,
+    task_name: TASK.name,
+    status: 'running',
+    owner: `${TASK.name}@${scheduledFor}`,
+    expires_at: new Date(Date.now() + expiresIn).toISOString()
+  });
+
+  beforeEach(() => {
+    lease = null;
+    runs = [];
+    triggered = [];
+    released = [];
+
+    manager = new DownsamplingTaskManager({
+      engine: null,
+      tasksApi: {
+        getTasks: async () => ({ tasks: [TASK] }),
+        getTasksIDRuns: async () => ({ runs }),
+        postTasksIDRuns: async ({ taskID }) => {
+          triggered.push(taskID);
+          return { id: 'run-2', status: 'scheduled', scheduledFor: new Date().toISOString() };
+        }
+      },
+      queryApi: { collectRows: async () => (lease ? [lease] : []) },
+      statusWriteApi: {
+        writePoint: point => released.push(point),
+        flush: async () => {}
+      },
+      org: 'org',
+      bucket: 'trades',
+      logger: silentLogger
+    });
+  });
+
+  it('runs a task without a lease', async () => {
+    const run = await manager.runTask('1m');
+
+    assert.deepStrictEqual(triggered, [TASK.id]);
+    assert.strictEqual(run.releasedLease, null);
+  });
+
+  it('refuses a held lease without force', async () => {
+    lease = heldLease(10 * MINUTE);
+    runs = [{ id: 'run-1', status: 'failed', scheduledFor }];
+
+    await assert.rejects(manager.runTask('1m'), { status: 409 });
+    assert.deepStrictEqual(triggered, []);
+  });
+
+  it('refuses to force a lease whose run is still going', async () => {
+    lease = heldLease(10 * MINUTE);
+    runs = [{ id: 'run-1', status: 'started', scheduledFor }];
+
+    await assert.rejects(manager.runTask('1m', { force: true }), { status: 409 });
+    assert.deepStrictEqual(released, []);
+    assert.deepStrictEqual(triggered, []);
+  });
+
+  it('takes over a lease whose run failed with force', async () => {
+    lease = heldLease(10 * MINUTE);
+    runs = [{ id: 'run-1', status: 'failed', scheduledFor }];
+
+    const run = await manager.runTask('1m', { force: true });
+
+    assert.strictEqual(released.length, 1);
+    assert.strictEqual(released[0].fields.status, '"completed"');
+    assert.deepStrictEqual(triggered, [TASK.id]);
+    assert.strictEqual(run.releasedLease.owner, lease.owner);
+  });
+
+  it('takes over a lease whose run is not listed with force', async () => {
+    lease = heldLease(10 * MINUTE);
+
+    await manager.runTask('1m', { force: true });
+
+    assert.strictEqual(released.length, 1);
+    assert.deepStrictEqual(triggered, [TASK.id]);
+  });
+
+  it('leaves an expired lease for the run to reclaim', async () => {
+    lease = heldLease(-MINUTE);
+    runs = [{ id: 'run-1', status: 'started', scheduledFor }];
+
+    const run = await manager.runTask('1m');
+
+    assert.deepStrictEqual(released, []);
+    assert.deepStrictEqual(triggered, [TASK.id]);
+    assert.strictEqual(run.releasedLease, null);
+  });
+});
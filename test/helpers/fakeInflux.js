@@ -0,0 +1,151 @@
+/**
+ * In-memory stand-in for the InfluxDB query and write APIs.
+ *
+ * Written points are stored as InfluxDB would, and queries are answered by reading
+ * back the parts of the Flux the services build with fluxQueryBuilder:
+ * `range()`, the `_measurement`, tag, `_field` and `contains()` filters, and a final
+ * `first()`, `last()` or `pivot()`. That is enough for the services to read
+ * their own writes, not a Flux interpreter.
+ */
+
+// Turn a line protocol field value back into a JS value
+const parseField = (value) => {
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value.endsWith('i')) return parseInt(value, 10);
+  if (value === 'T' || value === 'true') return true;
+  if (value === 'F' || value === 'false') return false;
+  return parseFloat(value);
+};
+
+const match = (regex, query) => {
+  const found = regex.exec(query);
+  return found ? found[1] : null;
+};
+
+class FakeInflux {
+  constructor() {
+    this.points = [];
+    this.queries = [];
+  }
+
+  /**
+   * Stores a point given as plain values, e.g. a trade. As in InfluxDB, a
+   * point of the same series and time overwrites the fields it has.
+   */
+  add(measurement, time, tags, fields) {
+    const point = { measurement, time: new Date(time).getTime(), tags: { ...tags }, fields: { ...fields } };
+    const series = JSON.stringify([measurement, Object.keys(tags).sort().map(name => [name, tags[name]])]);
+    const existing = this.points.find(stored => stored.series === series && stored.time === point.time);
+
+    if (existing) {
+      Object.assign(existing.fields, point.fields);
+    } else {
+      this.points.push({ ...point, series });
+    }
+  }
+
+  // Stored points of the given measurement, as plain values
+  find(measurement) {
+    return this.points
+      .filter(point => point.measurement === measurement)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  writeApi() {
+    return {
+      writePoint: point => this.writePoint(point),
+      writePoints: points => points.forEach(point => this.writePoint(point)),
+      flush: async () => {},
+      close: async () => {}
+    };
+  }
+
+  writePoint(point) {
+    const fields = {};
+    Object.entries(point.fields).forEach(([name, value]) => {
+      fields[name] = parseField(value);
+    });
+
+    // Points without a timestamp are written at the current time
+    this.add(point.name, point.time === undefined ? Date.now() : point.time, point.tags, fields);
+  }
+
+  queryApi() {
+    return {
+      collectRows: async (query) => this.query(String(query)),
+      iterateRows: (query) => this.iterate(String(query))
+    };
+  }
+
+  async *iterate(query) {
+    for (const row of this.query(query)) {
+      yield { values: row, tableMeta: { toObject: values => values } };
+    }
+  }
+
+  query(query) {
+    this.queries.push(query);
+
+    const start = match(/range\(start: ([^,)]+)/, query);
+    const stop = match(/range\(start: [^,)]+, stop: ([^)]+)\)/, query);
+    const startTime = start === '0' ? 0 : Date.parse(start);
+    const stopTime = stop ? Date.parse(stop) : Infinity;
+    const measurement = match(/r\._measurement == "([^"]+)"/, query);
+
+    const tags = {};
+    for (const [, name, value] of query.matchAll(/r\["(\w+)"\] == "([^"]+)"/g)) {
+      tags[name] = value;
+    }
+    for (const [, name, value] of query.matchAll(/r\.(?!_)(\w+) == "([^"]+)"/g)) {
+      tags[name] = value;
+    }
+    const fields = [...query.matchAll(/r\._field == "(\w+)"/g)].map(found => found[1]);
+    const sets = [...query.matchAll(/contains\(value: r\.(\w+), set: (\[[^\]]*\])\)/g)]
+      .map(([, column, set]) => ({ column, values: JSON.parse(set) }));
+
+    const points = this.points
+      .filter(point => point.measurement === measurement &&
+        point.time >= startTime && point.time < stopTime &&
+        Object.entries(tags).every(([name, value]) => point.tags[name] === value))
+      .sort((a, b) => a.time - b.time);
+
+    if (query.includes('pivot(')) {
+      return points.map(point => {
+        const row = { _time: new Date(point.time).toISOString(), _measurement: point.measurement, ...point.tags };
+        Object.entries(point.fields)
+          .filter(([name]) => fields.length === 0 || fields.includes(name))
+          .forEach(([name, value]) => {
+            row[name] = value;
+          });
+        return row;
+      });
+    }
+
+    // One row per series and field
+    let rows = [];
+    points.forEach(point => {
+      Object.entries(point.fields)
+        .filter(([name]) => fields.length === 0 || fields.includes(name))
+        .forEach(([name, value]) => {
+          rows.push({ _time: new Date(point.time).toISOString(), _field: name, _value: value, ...point.tags });
+        });
+    });
+    rows = rows.filter(row => sets.every(({ column, values }) => values.includes(row[column])));
+
+    const selector = query.includes('first()') ? 'first' : query.includes('last()') ? 'last' : null;
+    if (!selector) return rows;
+
+    const series = new Map();
+    rows.forEach(row => {
+      const key = JSON.stringify(Object.keys(row).filter(name => !name.startsWith('_')).sort().map(name => row[name]).concat(row._field));
+      if (selector === 'last' || !series.has(key)) {
+        series.set(key, row);
+      }
+    });
+    return Array.from(series.values());
+  }
+}
+
+module.exports = {
+  FakeInflux
+};
@@ -0,0 +1,16 @@
+/**
+ * A stand-in for the ChunkSizer that plans chunks of a fixed length, so tests
+ * control where each chunk ends.
+ */
+const fixedChunks = (chunkMs) => ({
+  async planChunk(resolution, symbol, start, maxEnd) {
+    const end = Math.min(start + chunkMs, maxEnd);
+    return { end, chunkMs: end - start, expectedRows: 0, reason: 'fixed' };
+  },
+  recordChunk() {},
+  async recordTimeout() {}
+});
+
+module.exports = {
+  fixedChunks
+};
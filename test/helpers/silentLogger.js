@@ -0,0 +1,13 @@
+/**
+ * A logger for the services that drops their messages, so the test output
+ * only shows the results.
+ */
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+module.exports = {
+  silentLogger
+};
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TradeDeduplicator } = require('../src/services/tradeDeduplicator');
+const { FakeInflux } = require('./helpers/fakeInflux');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+
+const trade = (time, tradeId) => ({
+  symbol: 'BTCUSD', side: 'buy', price: 100, amount: 1, exchange: 'binance', tradeId, timestamp: new Date(time).toISOString()
+});
+
+describe('TradeDeduplicator', () => {
+  let influx;
+  let deduplicator;
+
+  const store = (trades) => trades.forEach(({ timestamp, symbol, side, exchange, tradeId }) => {
+    influx.add('trade', timestamp, { symbol, side, exchange }, { trade_id: tradeId });
+  });
+
+  // Time ranges of the lookups, as [start, stop]
+  const lookups = () => influx.queries.map(query => {
+    const [, start, stop] = /range\(start: ([^,]+), stop: ([^)]+)\)/.exec(query);
+    return [Date.parse(start), Date.parse(stop)];
+  });
+
+  beforeEach(() => {
+    influx = new FakeInflux();
+    deduplicator = new TradeDeduplicator({ queryApi: influx.queryApi(), bucket: 'trades', lookupSpanMs: HOUR, lookupSize: 3 });
+  });
+
+  it('finds stored trades and repeats within the batch', async () => {
+    store([trade(T0, 'a')]);
+
+    const { fresh, duplicates } = await deduplicator.partition([trade(T0, 'a'), trade(T0 + MINUTE, 'b'), trade(T0 + MINUTE, 'b')]);
+
+    assert.deepStrictEqual(fresh.map(({ tradeId }) => tradeId), ['b']);
+    assert.deepStrictEqual(duplicates.map(({ tradeId }) => tradeId).sort(), ['a', 'b']);
+  });
+
+  it('looks up trades far apart in time separately', async () => {
+    store([trade(T0, 'a'), trade(T0 + 30 * DAY, 'c')]);
+
+    const { fresh, duplicates } = await deduplicator.partition([
+      trade(T0 + 30 * DAY, 'c'), trade(T0, 'a'), trade(T0 + 30 * DAY + MINUTE, 'd'), trade(T0 + MINUTE, 'b')
+    ]);
+
+    assert.deepStrictEqual(lookups(), [
+      [T0, T0 + MINUTE + 1],
+      [T0 + 30 * DAY, T0 + 30 * DAY + MINUTE + 1]
+    ]);
+    assert.deepStrictEqual(fresh.map(({ tradeId }) => tradeId).sort(), ['b', 'd']);
+    assert.deepStrictEqual(duplicates.map(({ tradeId }) => tradeId).sort(), ['a', 'c']);
+  });
+
+  it('bounds the number of IDs looked up at once', async () => {
+    const trades = ['a', 'b', 'c', 'd', 'e'].map((tradeId, i) => trade(T0 + i * 1000, tradeId));
+    store([trades[4]]);
+
+    const { duplicates } = await deduplicator.partition(trades);
+
+    assert.deepStrictEqual(lookups(), [[T0, T0 + 2001], [T0 + 3000, T0 + 4001]]);
+    assert.deepStrictEqual(duplicates.map(({ tradeId }) => tradeId), ['e']);
+  });
+});